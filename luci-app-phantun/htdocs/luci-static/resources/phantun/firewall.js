@@ -0,0 +1,368 @@
+/**
+ * 标题: phantun/firewall.js
+ * 作者: reyan
+ * 日期: 2026-10-19
+ * 版本: 1.2.0
+ * 描述: Phantun 防火墙规则解析与核对，供状态页与规则清理页共用（nftables / iptables 双后端）。
+ * 最近三次更新:
+ *   - 2026-10-19: 新增 parseRules，状态页直接解析 snapshot 中的规则，不再单独调用 rules。
+ *   - 2026-10-19: 规则读取与删除改经 rpcd 后端 luci.phantun（rules / delete_rule），页面不再直接执行 nft / iptables。
+ *   - 2026-10-19: 从 status.js 拆出规则解析与预期规则推导，新增多余规则查找与删除命令生成。
+ */
+
+'use strict';
+'require baseclass';
+'require rpc';
+
+var callRules = rpc.declare({
+    object: 'luci.phantun',
+    method: 'rules',
+    expect: { '': {} }
+});
+
+var callDeleteRule = rpc.declare({
+    object: 'luci.phantun',
+    method: 'delete_rule',
+    params: ['backend', 'family', 'table', 'chain', 'handle', 'spec'],
+    expect: { '': {} }
+});
+
+// iptables-nft 写入、nft 无法翻译的扩展（JSON 中为 xt）无法解码的字段。
+// 扩展目标的名称即动作，参数（如 DNAT 的 --to-destination）读不到
+var XT_TARGET_FIELDS = { DNAT: [ 'target' ], SNAT: [ 'target' ], REDIRECT: [ 'target' ] };
+var XT_MATCH_FIELDS = { comment: [ 'comment' ], tcp: [ 'sport', 'dport' ], udp: [ 'sport', 'dport' ], multiport: [ 'sport', 'dport' ] };
+
+return baseclass.extend({
+    /**
+     * 规范化地址：nft 前缀对象转为 addr/len，并去掉单主机的 /32、/128 后缀
+     */
+    normalizeAddr: function (value) {
+        if (value && typeof value === 'object' && value.prefix)
+            value = value.prefix.addr + '/' + value.prefix.len;
+        if (typeof value !== 'string' && typeof value !== 'number')
+            return null;
+        return String(value).replace(/\/(32|128)$/, '');
+    },
+
+    /**
+     * 将 `nft -j list ruleset` 的输出归一化为 { rules, chains }。
+     * iptables-nft 写入的规则同样出现在 ruleset 中（ip/ip6 nat 表）。
+     * 无法完整解析的规则（取反匹配、xt 兼容表达式）标记为 partial，解码不了的字段记入 unknown，核对时跳过。
+     */
+    parseNftRuleset: function (data) {
+        var self = this;
+        var rules = [];
+        var chains = [];
+
+        ((data && data.nftables) || []).forEach(function (item) {
+            if (item.chain) {
+                chains.push({ backend: 'nft', family: item.chain.family, table: item.chain.table, name: item.chain.name });
+                return;
+            }
+
+            var r = item.rule;
+            if (!r)
+                return;
+
+            var rule = {
+                backend: 'nft', family: r.family, table: r.table, chain: r.chain, handle: r.handle, spec: null,
+                comment: r.comment || null, saddr: null, daddr: null, proto: null,
+                sport: null, dport: null, action: null, target: null, partial: false, unknown: []
+            };
+
+            (r.expr || []).forEach(function (e) {
+                if (e.match) {
+                    var left = e.match.left || {};
+                    var right = e.match.right;
+
+                    if (e.match.op && e.match.op !== '==') {
+                        rule.partial = true;
+                        return;
+                    }
+
+                    if (left.payload) {
+                        var field = left.payload.field;
+                        var proto = left.payload.protocol;
+
+                        if (field === 'saddr' || field === 'daddr')
+                            rule[field] = self.normalizeAddr(right);
+                        else if (field === 'protocol' || field === 'nexthdr')
+                            rule.proto = String(right);
+                        else if (field === 'sport' || field === 'dport') {
+                            rule.proto = rule.proto || proto;
+                            if (typeof right === 'number' || typeof right === 'string')
+                                rule[field] = String(right);
+                            else
+                                rule.partial = true;
+                        } else if (proto === 'icmp' || proto === 'icmpv6')
+                            rule.proto = proto;
+                    } else if (left.meta && left.meta.key === 'l4proto') {
+                        rule.proto = String(right);
+                    }
+                } else if (e.xt !== undefined) {
+                    // 旧版 nft 输出 "xt": null，看不出是什么扩展
+                    if (e.xt && e.xt.type === 'target' && e.xt.name) {
+                        rule.action = e.xt.name.toLowerCase();
+                        rule.unknown = rule.unknown.concat(XT_TARGET_FIELDS[e.xt.name] || []);
+                    } else if (e.xt && e.xt.type === 'match' && XT_MATCH_FIELDS[e.xt.name]) {
+                        rule.unknown = rule.unknown.concat(XT_MATCH_FIELDS[e.xt.name]);
+                    } else {
+                        rule.partial = true;
+                    }
+                } else if ('masquerade' in e) {
+                    rule.action = 'masquerade';
+                } else if (e.dnat) {
+                    rule.action = 'dnat';
+                    rule.target = e.dnat.port
+                        ? (String(e.dnat.addr).indexOf(':') !== -1 ? '[' + e.dnat.addr + ']' : e.dnat.addr) + ':' + e.dnat.port
+                        : String(e.dnat.addr);
+                } else if (e.jump || e.goto) {
+                    rule.action = 'jump';
+                    rule.target = (e.jump || e.goto).target;
+                } else {
+                    ['drop', 'accept', 'reject', 'return'].forEach(function (verdict) {
+                        if (verdict in e)
+                            rule.action = verdict;
+                    });
+                }
+            });
+
+            if (rule.unknown.length)
+                rule.partial = true;
+
+            rules.push(rule);
+        });
+
+        return { rules: rules, chains: chains };
+    },
+
+    /**
+     * 将 iptables-save / ip6tables-save 输出归一化为与 parseNftRuleset 相同的结构
+     */
+    parseIptablesSave: function (output, family) {
+        var self = this;
+        var rules = [];
+        var chains = [];
+        var table = null;
+
+        String(output || '').split('\n').forEach(function (line) {
+            var m;
+            line = line.trim();
+
+            if ((m = line.match(/^\*(\S+)/))) {
+                table = m[1];
+                return;
+            }
+            if ((m = line.match(/^:(\S+)/))) {
+                chains.push({ backend: 'iptables', family: family, table: table, name: m[1] });
+                return;
+            }
+            if (line.indexOf('-A ') !== 0)
+                return;
+
+            var tokens = line.match(/"(?:[^"\\]|\\.)*"|\S+/g).map(function (t) {
+                return t.replace(/^"(.*)"$/, '$1');
+            });
+            var rule = {
+                backend: 'iptables', family: family, table: table, chain: tokens[1], handle: null, spec: tokens.slice(2),
+                comment: null, saddr: null, daddr: null, proto: null,
+                sport: null, dport: null, action: null, target: null, partial: false, unknown: []
+            };
+
+            for (var i = 2; i < tokens.length; i++) {
+                var value = tokens[i + 1];
+
+                switch (tokens[i]) {
+                case '!':
+                    rule.partial = true;
+                    break;
+                case '-s':
+                case '-d':
+                    rule[tokens[i] === '-s' ? 'saddr' : 'daddr'] = self.normalizeAddr(value);
+                    i++;
+                    break;
+                case '-p':
+                    rule.proto = value;
+                    i++;
+                    break;
+                case '--sport':
+                case '--dport':
+                    rule[tokens[i].substring(2)] = value;
+                    i++;
+                    break;
+                case '--comment':
+                    rule.comment = value;
+                    i++;
+                    break;
+                case '--to-destination':
+                    rule.target = value;
+                    i++;
+                    break;
+                case '-j':
+                case '-g':
+                    if (/^(MASQUERADE|DNAT|DROP|ACCEPT|REJECT|RETURN)$/.test(value)) {
+                        rule.action = value.toLowerCase();
+                    } else {
+                        rule.action = 'jump';
+                        rule.target = value;
+                    }
+                    i++;
+                    break;
+                }
+            }
+
+            rules.push(rule);
+        });
+
+        return { rules: rules, chains: chains };
+    },
+
+    /**
+     * 解析后端 rules 方法（或 snapshot 中 rules 字段）的结果：fw4 镜像走 nftables，旧镜像回退 iptables-save。
+     * iptables-nft-save 与 nft 输出的是同一份规则，按后端报告的 iptables 后端（iptables_backend），仅 legacy 时才合并。
+     */
+    parseRules: function (results) {
+        var self = this;
+        var sources = [];
+        var rules = [];
+        var chains = [];
+        var nftData = (results && results.nft) || null;
+
+        if (nftData) {
+            var nft = self.parseNftRuleset(nftData);
+            sources.push('nftables');
+            rules = rules.concat(nft.rules);
+            chains = chains.concat(nft.chains);
+        }
+
+        [
+            [ results && results.iptables, 'ip', results && results.iptables_backend ],
+            [ results && results.ip6tables, 'ip6', results && results.ip6tables_backend ]
+        ].forEach(function (entry) {
+            var output = entry[0] || '';
+
+            if (!output || (nftData && entry[2] === 'nf_tables'))
+                return;
+
+            var ipt = self.parseIptablesSave(output, entry[1]);
+            if (sources.indexOf('iptables') === -1)
+                sources.push('iptables');
+            rules = rules.concat(ipt.rules);
+            chains = chains.concat(ipt.chains);
+        });
+
+        return { source: sources.length ? sources.join(' + ') : null, rules: rules, chains: chains };
+    },
+
+    // 读取并解析当前防火墙规则
+    getFirewallRules: function () {
+        return L.resolveDefault(callRules(), {}).then(L.bind(this.parseRules, this));
+    },
+
+    /**
+     * 根据实例配置推导 phantun.init 应当写入的 NAT 规则
+     */
+    getExpectedRules: function (s) {
+        var isServer = s['.type'] === 'server';
+        var peer = s.tun_peer || (isServer ? '192.168.201.2' : '192.168.200.2');
+        var peer6 = s.tun_peer6 || (isServer ? 'fcc9::2' : 'fcc8::2');
+        var port = s.local_port;
+        var expected = [];
+
+        if (isServer) {
+            if (!port)
+                return expected;
+            expected.push({ family: 'ip', table: 'nat', chain: 'PREROUTING', proto: 'tcp', dport: port, action: 'dnat', target: peer + ':' + port });
+            if (s.ipv4_only !== '1')
+                expected.push({ family: 'ip6', table: 'nat', chain: 'PREROUTING', proto: 'tcp', dport: port, action: 'dnat', target: '[' + peer6 + ']:' + port });
+        } else {
+            expected.push({ family: 'ip', table: 'nat', chain: 'POSTROUTING', saddr: peer, action: 'masquerade' });
+            if (s.ipv4_only !== '1')
+                expected.push({ family: 'ip6', table: 'nat', chain: 'POSTROUTING', saddr: peer6, action: 'masquerade' });
+        }
+
+        return expected;
+    },
+
+    // 规则中解码不了的字段（rule.unknown）不参与比较
+    ruleMatches: function (rule, expected) {
+        for (var key in expected) {
+            if (rule.unknown.indexOf(key) !== -1)
+                continue;
+            if (String(rule[key]) !== String(expected[key]))
+                return false;
+        }
+        return true;
+    },
+
+    /**
+     * 是否为 phantun 写入的 NAT 规则：带 phantun 注释，或落在默认 TUN 网段的旧版无注释规则
+     */
+    isPhantunRule: function (rule) {
+        if (rule.table !== 'nat' || (rule.action !== 'masquerade' && rule.action !== 'dnat'))
+            return false;
+        return rule.comment === 'phantun' ||
+            /^(192\.168\.20[01]\.|\[?fcc[89]:)/.test(rule.action === 'dnat' ? (rule.target || '') : (rule.saddr || ''));
+    },
+
+    /**
+     * 多余规则归属：客户端按 TUN 网段（IPv4 前三段 / IPv6 去掉最后一组），服务端按监听端口
+     */
+    ruleBelongsTo: function (rule, s) {
+        var subnet = function (addr) {
+            addr = String(addr || '').replace(/^\[|\](:\d+)?$|:\d+$/g, '');
+            return addr.indexOf(':') !== -1 ? addr.replace(/:[^:]*$/, '') : addr.split('.').slice(0, 3).join('.');
+        };
+
+        if (s['.type'] === 'server')
+            return rule.action === 'dnat' && rule.dport === s.local_port;
+
+        var peer = rule.family === 'ip6' ? (s.tun_peer6 || 'fcc8::2') : (s.tun_peer || '192.168.200.2');
+        return rule.action === 'masquerade' && subnet(rule.saddr) === subnet(peer);
+    },
+
+    describeRule: function (rule) {
+        var family = rule.family === 'ip6' ? 'IPv6' : 'IPv4';
+
+        if (rule.action === 'dnat')
+            return family + ' DNAT :' + (rule.dport || '*') + ' → ' + (rule.target || '?');
+        return family + ' MASQUERADE ' + (rule.saddr || '*');
+    },
+
+    /**
+     * 找出不属于任何已配置实例（无论是否启用）的 phantun 规则
+     */
+    findOrphanRules: function (fw, sections) {
+        var self = this;
+        var expected = [];
+
+        sections.forEach(function (s) {
+            if (s['.type'] === 'client' || s['.type'] === 'server')
+                expected = expected.concat(self.getExpectedRules(s));
+        });
+
+        return fw.rules.filter(function (rule) {
+            return self.isPhantunRule(rule) && !expected.some(function (e) {
+                return self.ruleMatches(rule, e);
+            });
+        });
+    },
+
+    /**
+     * 删除一条规则的步骤，返回 [{ command: [程序, 参数数组], call }, ...]。
+     * command 用于预览，call() 经 luci.phantun delete_rule 执行同一条命令并返回 { code, stderr }。
+     * nft 按 handle 删除；legacy iptables 按原规则参数 -D 删除。
+     */
+    getRemoveCommands: function (rule) {
+        var call = function () {
+            return callDeleteRule(rule.backend, rule.family, rule.table, rule.chain,
+                rule.handle != null ? rule.handle : 0, rule.spec || []);
+        };
+
+        if (rule.backend === 'nft')
+            return [ { command: [ '/usr/sbin/nft', [ 'delete', 'rule', rule.family, rule.table, rule.chain, 'handle', String(rule.handle) ] ], call: call } ];
+
+        return [ { command: [ rule.family === 'ip6' ? '/usr/sbin/ip6tables' : '/usr/sbin/iptables',
+            [ '-t', rule.table, '-D', rule.chain ].concat(rule.spec) ], call: call } ];
+    }
+});
@@ -0,0 +1,182 @@
+/**
+ * 标题: phantun/handshake.js
+ * 作者: reyan
+ * 日期: 2026-10-19
+ * 版本: 1.0.0
+ * 描述: 握手包文件存取，统一存放在 /etc/phantun/handshake，供配置页与握手包管理页共用。
+ * 最近三次更新:
+ *   - 2026-10-19: 新增握手包目录读写、十六进制预览与内置模板（HTTP 请求、TLS ClientHello）。
+ */
+
+'use strict';
+'require baseclass';
+'require fs';
+'require rpc';
+'require request';
+
+// 握手包作为 TCP 握手后的第一个数据包发出，不能超过出口 MSS
+var MAX_SIZE = 1460;
+
+function bytesOf(str) {
+    var out = [];
+    for (var i = 0; i < str.length; i++)
+        out.push(str.charCodeAt(i) & 0xff);
+    return out;
+}
+
+function u16(n) {
+    return [ (n >> 8) & 0xff, n & 0xff ];
+}
+
+function u24(n) {
+    return [ (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff ];
+}
+
+function randomBytes(n) {
+    var buf = new Uint8Array(n);
+    window.crypto.getRandomValues(buf);
+    return Array.prototype.slice.call(buf);
+}
+
+function extension(type, body) {
+    return u16(type).concat(u16(body.length), body);
+}
+
+/**
+ * 构造一个带 SNI 的 TLS 1.3 ClientHello 记录（仅作为伪装前缀，不会真正完成握手）。
+ */
+function buildClientHello(host) {
+    var name = bytesOf(host);
+    var ciphers = [ 0x13, 0x01, 0x13, 0x02, 0x13, 0x03, 0xc0, 0x2b, 0xc0, 0x2f, 0xc0, 0x2c, 0xc0, 0x30, 0xcc, 0xa9, 0xcc, 0xa8 ];
+    var extensions = [].concat(
+        extension(0x0000, u16(name.length + 3).concat([ 0x00 ], u16(name.length), name)),
+        extension(0x000a, u16(6).concat(u16(0x001d), u16(0x0017), u16(0x0018))),
+        extension(0x000d, u16(8).concat(u16(0x0403), u16(0x0804), u16(0x0401), u16(0x0503))),
+        extension(0x0010, u16(12).concat([ 2 ], bytesOf('h2'), [ 8 ], bytesOf('http/1.1'))),
+        extension(0x002b, [ 4, 0x03, 0x04, 0x03, 0x03 ]),
+        extension(0x0033, u16(36).concat(u16(0x001d), u16(32), randomBytes(32)))
+    );
+    var hello = [ 0x03, 0x03 ].concat(
+        randomBytes(32),
+        [ 32 ], randomBytes(32),
+        u16(ciphers.length), ciphers,
+        [ 1, 0 ],
+        u16(extensions.length), extensions
+    );
+    var handshake = [ 0x01 ].concat(u24(hello.length), hello);
+
+    return [ 0x16, 0x03, 0x01 ].concat(u16(handshake.length), handshake);
+}
+
+return baseclass.extend({
+    dir: '/etc/phantun/handshake',
+    maxSize: MAX_SIZE,
+
+    /**
+     * 内置模板，build(host) 返回字节数组
+     */
+    templates: {
+        http: {
+            title: _('HTTP GET request'),
+            build: function (host) {
+                return bytesOf('GET / HTTP/1.1\r\n' +
+                    'Host: ' + host + '\r\n' +
+                    'User-Agent: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36\r\n' +
+                    'Accept: text/html,application/xhtml+xml,*/*;q=0.8\r\n' +
+                    'Accept-Language: en-US,en;q=0.9\r\n' +
+                    'Connection: keep-alive\r\n\r\n');
+            }
+        },
+        tls: {
+            title: _('TLS ClientHello'),
+            build: buildClientHello
+        }
+    },
+
+    path: function (name) {
+        return this.dir + '/' + name;
+    },
+
+    /**
+     * 列出目录中的普通文件，目录不存在时返回空数组
+     */
+    list: function () {
+        return L.resolveDefault(fs.list(this.dir), []).then(function (entries) {
+            return entries.filter(function (e) {
+                return e.type === 'file';
+            }).sort(function (a, b) {
+                return a.name.localeCompare(b.name);
+            });
+        });
+    },
+
+    isValidName: function (name) {
+        return /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(name || '');
+    },
+
+    /**
+     * 经 cgi-upload 写入二进制内容（fs.write 只能写文本）
+     */
+    upload: function (name, blob) {
+        var data = new FormData();
+
+        if (blob.size > MAX_SIZE)
+            return Promise.reject(new Error(_('File is %d bytes, handshake packets are limited to %d bytes').format(blob.size, MAX_SIZE)));
+
+        data.append('sessionid', rpc.getSessionID());
+        data.append('filename', this.path(name));
+        data.append('filedata', blob);
+
+        return request.post(L.env.cgi_base + '/cgi-upload', data).then(function (res) {
+            var reply = res.json();
+
+            if (!res.ok || (reply && reply.failure))
+                throw new Error((reply && reply.message) || res.statusText);
+
+            return reply;
+        });
+    },
+
+    writeTemplate: function (name, template, host) {
+        var bytes = this.templates[template].build(host);
+        return this.upload(name, new Blob([ new Uint8Array(bytes) ], { type: 'application/octet-stream' }));
+    },
+
+    read: function (name) {
+        return fs.read_direct(this.path(name), 'blob').then(function (blob) {
+            return new Response(blob).arrayBuffer();
+        }).then(function (buf) {
+            return new Uint8Array(buf);
+        });
+    },
+
+    remove: function (name) {
+        return fs.remove(this.path(name));
+    },
+
+    /**
+     * 经典的 偏移 / 十六进制 / ASCII 三栏预览
+     */
+    hexdump: function (bytes) {
+        var lines = [];
+
+        for (var off = 0; off < bytes.length; off += 16) {
+            var hex = [];
+            var ascii = '';
+
+            for (var i = off; i < off + 16; i++) {
+                if (i < bytes.length) {
+                    hex.push(('0' + bytes[i].toString(16)).slice(-2));
+                    ascii += (bytes[i] >= 0x20 && bytes[i] < 0x7f) ? String.fromCharCode(bytes[i]) : '.';
+                } else {
+                    hex.push('  ');
+                }
+            }
+
+            lines.push(('0000' + off.toString(16)).slice(-4) + '  ' +
+                hex.slice(0, 8).join(' ') + '  ' + hex.slice(8).join(' ') + '  |' + ascii + '|');
+        }
+
+        return lines.join('\n');
+    }
+});
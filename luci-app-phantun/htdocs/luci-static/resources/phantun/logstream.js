@@ -0,0 +1,106 @@
+/**
+ * 标题: phantun/logstream.js
+ * 作者: reyan
+ * 日期: 2026-10-19
+ * 版本: 1.2.0
+ * 描述: 状态页日志增量读取，以 logread -t 的时间戳记住读到的位置，轮询时只取回新增的行。
+ * 最近三次更新:
+ *   - 2026-10-19: 拆出 since / consume，状态页可把 snapshot 返回的日志交给游标处理。
+ *   - 2026-10-19: 改为调用 rpcd 后端 luci.phantun 的 logs 方法，窗口判断移至后端，页面不再直接执行 logread。
+ *   - 2026-10-19: 新增按时间戳游标的增量读取，取代每次轮询执行 logread -e phantun 读取全部日志。
+ */
+
+'use strict';
+'require baseclass';
+'require rpc';
+
+var callLogs = rpc.declare({
+    object: 'luci.phantun',
+    method: 'logs',
+    params: ['since'],
+    expect: { '': {} }
+});
+
+// logread -t 在每行中插入的 [秒.毫秒] 时间戳
+var STAMP_RE = / \[(\d+)\.(\d{3})\]/;
+
+function toMs(stamp) {
+    var m = String(stamp || '').match(/^(\d+)\.(\d{3})$/);
+    return m ? +m[1] * 1000 + +m[2] : null;
+}
+
+function toStamp(ms) {
+    return Math.floor(ms / 1000) + '.' + ('00' + (ms % 1000)).slice(-3);
+}
+
+function parse(output) {
+    return String(output || '').split('\n').filter(function (line) {
+        return line.trim() !== '';
+    }).map(function (line) {
+        var m = line.match(STAMP_RE);
+        return {
+            ts: m ? +m[1] * 1000 + +m[2] : null,
+            line: m ? line.replace(STAMP_RE, '') : line
+        };
+    });
+}
+
+return baseclass.extend({
+    cursor: null,   // 已读到的最新消息的时间戳（毫秒）
+    seen: [],       // 时间戳恰好等于 cursor 的已读行，同一毫秒内可能有多条
+
+    reset: function () {
+        this.cursor = null;
+        this.seen = [];
+    },
+
+    advance: function (ts, entries) {
+        if (ts == null || (this.cursor != null && ts < this.cursor))
+            return;
+
+        if (ts !== this.cursor)
+            this.seen = [];
+        this.cursor = ts;
+
+        entries.forEach(function (e) {
+            if (e.ts === ts && this.seen.indexOf(e.line) === -1)
+                this.seen.push(e.line);
+        }, this);
+    },
+
+    // 传给后端 logs / snapshot 的 since 参数
+    since: function () {
+        return this.cursor != null ? toStamp(this.cursor) : '';
+    },
+
+    /**
+     * 处理后端返回的 { reset, latest, log }，得到新增的 phantun 日志行，时间正序。返回 { reset, lines }：
+     * reset 为 true 时 lines 是全部日志，调用方应替换而不是追加。
+     * 后端在首次读取、两次读取之间的消息过多，或 logread 不支持 -t（busybox syslogd）时全量返回。
+     */
+    consume: function (res) {
+        var entries = parse(res.log);
+        var fresh = entries;
+
+        if (res.reset) {
+            this.reset();
+        } else {
+            fresh = entries.filter(function (e) {
+                return e.ts > this.cursor || (e.ts === this.cursor && this.seen.indexOf(e.line) === -1);
+            }, this);
+        }
+
+        this.advance(toMs(res.latest), entries);
+        if (entries.length)
+            this.advance(entries[entries.length - 1].ts, entries);
+
+        return {
+            reset: !!res.reset,
+            lines: fresh.map(function (e) { return e.line; })
+        };
+    },
+
+    fetch: function () {
+        return callLogs(this.since()).then(L.bind(this.consume, this));
+    }
+});
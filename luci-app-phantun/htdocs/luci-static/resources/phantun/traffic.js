@@ -0,0 +1,163 @@
+/**
+ * 标题: phantun/traffic.js
+ * 作者: reyan
+ * 日期: 2026-10-19
+ * 版本: 1.0.0
+ * 描述: 状态页流量曲线，将各实例的累计字节计数换算为速率，在浏览器 localStorage 中保留最近一小时的历史并绘制 SVG 曲线。
+ * 最近三次更新:
+ *   - 2026-10-19: 新增按实例的 RX/TX 速率历史与曲线绘制。
+ */
+
+'use strict';
+'require baseclass';
+
+var STORAGE_KEY = 'luci-app-phantun.traffic';
+var HISTORY = 3600;     // 保留的历史长度（秒）
+var MAX_GAP = 300;      // 两次读数间隔超过该值（秒）视为中断，不计算速率、曲线断开
+
+var GRAPH_WIDTH = 600;
+var GRAPH_HEIGHT = 60;
+var COLORS = { rx: '#5cb85c', tx: '#337ab7' };
+
+function svg(tag, attrs) {
+    var el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    for (var key in attrs)
+        el.setAttribute(key, attrs[key]);
+    return el;
+}
+
+function rate(cur, prev, dt) {
+    if (cur == null || prev == null || cur < prev)
+        return null;    // 计数器缺失或因接口重建 / 规则重建归零
+    return (cur - prev) / dt;
+}
+
+return baseclass.extend({
+    history: HISTORY,
+    colors: COLORS,
+
+    loadState: function () {
+        try {
+            return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    saveState: function (state) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (e) { }
+    },
+
+    /**
+     * 记录一次读数。readings 为 { 实例id: { rx, tx } }，值是累计字节数，无计数器时为 null。
+     * 每次都重新读取 localStorage，多个标签页同时打开状态页时历史保持一致；
+     * 不在 readings 中的实例（已删除）一并清除。返回 { 实例id: [[时间ms, rx B/s, tx B/s], ...] }。
+     */
+    update: function (readings, now) {
+        var state = this.loadState();
+        var counters = state.counters || {};
+        var samples = state.samples || {};
+        var next = { counters: {}, samples: {} };
+
+        now = now || Date.now();
+
+        Object.keys(readings).forEach(function (id) {
+            var cur = readings[id];
+            var prev = counters[id];
+            var list = (samples[id] || []).filter(function (s) {
+                return now - s[0] <= HISTORY * 1000;
+            });
+
+            if (cur && prev) {
+                var dt = (now - prev.t) / 1000;
+
+                if (dt > 0 && dt <= MAX_GAP) {
+                    var rx = rate(cur.rx, prev.rx, dt);
+                    var tx = rate(cur.tx, prev.tx, dt);
+
+                    if (rx != null || tx != null)
+                        list.push([ now, rx, tx ]);
+                }
+            }
+
+            if (cur)
+                next.counters[id] = { t: now, rx: cur.rx, tx: cur.tx };
+            next.samples[id] = list;
+        });
+
+        this.saveState(next);
+        return next.samples;
+    },
+
+    formatRate: function (bytesPerSec) {
+        return bytesPerSec == null ? '-' : '%1024.2mbit/s'.format(bytesPerSec * 8);
+    },
+
+    /**
+     * 最近一小时的 RX / TX 曲线，纵轴按窗口内峰值缩放，超过 MAX_GAP 的空档处断开
+     */
+    renderGraph: function (list, now) {
+        var start = (now || Date.now()) - HISTORY * 1000;
+        var peak = 0;
+
+        list.forEach(function (s) {
+            peak = Math.max(peak, s[1] || 0, s[2] || 0);
+        });
+
+        var graph = svg('svg', {
+            'viewBox': '0 0 ' + GRAPH_WIDTH + ' ' + GRAPH_HEIGHT,
+            'preserveAspectRatio': 'none',
+            'style': 'width: 100%; height: ' + GRAPH_HEIGHT + 'px; background: #fafafa; border: 1px solid #ddd;'
+        });
+
+        [ 0.25, 0.5, 0.75 ].forEach(function (f) {
+            graph.appendChild(svg('line', {
+                'x1': 0, 'x2': GRAPH_WIDTH, 'y1': GRAPH_HEIGHT * f, 'y2': GRAPH_HEIGHT * f,
+                'stroke': '#eee', 'vector-effect': 'non-scaling-stroke'
+            }));
+        });
+
+        [ [ 1, COLORS.rx ], [ 2, COLORS.tx ] ].forEach(function (series) {
+            var segments = [];
+            var points = [];
+            var last = null;
+
+            list.forEach(function (s) {
+                if (s[series[0]] == null || (last != null && s[0] - last > MAX_GAP * 1000)) {
+                    if (points.length)
+                        segments.push(points);
+                    points = [];
+                }
+                if (s[series[0]] != null) {
+                    var x = (s[0] - start) / (HISTORY * 1000) * GRAPH_WIDTH;
+                    var y = GRAPH_HEIGHT - (peak > 0 ? s[series[0]] / peak * (GRAPH_HEIGHT - 2) : 0);
+                    points.push(x.toFixed(1) + ',' + y.toFixed(1));
+                }
+                last = s[0];
+            });
+            if (points.length)
+                segments.push(points);
+
+            segments.forEach(function (seg) {
+                graph.appendChild(svg('polyline', {
+                    'points': seg.length > 1 ? seg.join(' ') : seg[0] + ' ' + seg[0],
+                    'fill': 'none',
+                    'stroke': series[1],
+                    'stroke-width': 1.5,
+                    'vector-effect': 'non-scaling-stroke'
+                }));
+            });
+        });
+
+        return E('div', {}, [
+            graph,
+            E('div', { 'style': 'display: flex; justify-content: space-between; font-size: 11px; color: #888;' }, [
+                E('span', {}, _('-60 min')),
+                E('span', {}, _('Peak: %s').format(this.formatRate(peak))),
+                E('span', {}, _('now'))
+            ])
+        ]);
+    }
+});
@@ -0,0 +1,307 @@
+/**
+ * 标题: phantun/binary.js
+ * 作者: reyan
+ * 日期: 2026-10-19
+ * 版本: 1.0.0
+ * 描述: LuCI Phantun 二进制管理页，从浏览器上传 phantun_client / phantun_server，经后端校验架构并试运行后安装，可一键回滚到上一版本。
+ * 最近三次更新:
+ *   - 2026-10-19: 新增二进制管理页（上传、架构与试运行校验、安装后重启相关实例、回滚）。
+ */
+
+'use strict';
+'require view';
+'require ui';
+'require uci';
+'require fs';
+'require rpc';
+'require request';
+
+// 与 luci.phantun 中的 UPLOAD 一致，后端只从这里取上传的文件
+var UPLOAD = '/tmp/phantun-binary.upload';
+
+var callBinaryInfo = rpc.declare({
+    object: 'luci.phantun',
+    method: 'binary_info',
+    expect: { '': {} }
+});
+
+var callBinaryVerify = rpc.declare({
+    object: 'luci.phantun',
+    method: 'binary_verify',
+    expect: { '': {} }
+});
+
+var callBinaryInstall = rpc.declare({
+    object: 'luci.phantun',
+    method: 'binary_install',
+    params: ['binary'],
+    expect: { '': {} }
+});
+
+var callBinaryRollback = rpc.declare({
+    object: 'luci.phantun',
+    method: 'binary_rollback',
+    params: ['binary'],
+    expect: { '': {} }
+});
+
+/**
+ * 经 cgi-upload 写入 UPLOAD（fs.write 只能写文本）
+ */
+function upload(blob) {
+    var data = new FormData();
+
+    data.append('sessionid', rpc.getSessionID());
+    data.append('filename', UPLOAD);
+    data.append('filedata', blob);
+
+    return request.post(L.env.cgi_base + '/cgi-upload', data).then(function (res) {
+        var reply = res.json();
+
+        if (!res.ok || (reply && reply.failure))
+            throw new Error((reply && reply.message) || res.statusText);
+
+        return reply;
+    });
+}
+
+function formatFile(f) {
+    return [
+        E('code', {}, f.md5.substring(0, 16) + '...'),
+        E('br'),
+        E('small', {}, '%1024.1mB'.format(f.size) + ' · ' + new Date(f.mtime * 1000).toLocaleString())
+    ];
+}
+
+return view.extend({
+    title: _('Phantun Binaries'),
+
+    target: null,   // 正在上传的二进制名
+
+    load: function () {
+        return Promise.all([
+            callBinaryInfo(),
+            uci.load('phantun')
+        ]);
+    },
+
+    // procd 实例名 client_<section> / server_<section> 显示为实例别名
+    instanceName: function (instance) {
+        var section = instance.replace(/^(client|server)_/, '');
+        return uci.get('phantun', section, 'alias') || section;
+    },
+
+    renderRows: function (info) {
+        var self = this;
+        var binaries = info.binaries || {};
+
+        return Object.keys(binaries).sort().map(function (name) {
+            var b = binaries[name];
+
+            return E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td' }, [ E('strong', {}, name), E('br'), E('small', {}, b.path) ]),
+                E('td', { 'class': 'td' }, b.installed ? formatFile(b) : E('em', { 'style': 'color: #d9534f;' }, _('Not installed'))),
+                E('td', { 'class': 'td' }, b.previous ? formatFile(b.previous) : E('em', { 'style': 'color: #888;' }, _('None'))),
+                E('td', { 'class': 'td' }, [
+                    E('button', {
+                        'class': 'cbi-button cbi-button-action',
+                        'click': ui.createHandlerFn(self, 'handleChoose', name)
+                    }, _('Upload…')),
+                    ' ',
+                    E('button', {
+                        'class': 'cbi-button cbi-button-reset',
+                        'disabled': b.previous ? null : '',
+                        'click': ui.createHandlerFn(self, 'handleRollback', name, b.previous)
+                    }, _('Roll back'))
+                ])
+            ]);
+        });
+    },
+
+    handleRefresh: function () {
+        var self = this;
+
+        return callBinaryInfo().then(function (info) {
+            var tableEl = document.getElementById('binary-table');
+
+            tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+            self.renderRows(info).forEach(function (r) { tableEl.appendChild(r); });
+        });
+    },
+
+    handleChoose: function (name) {
+        this.target = name;
+        document.getElementById('binary-file').click();
+    },
+
+    handleUpload: function (ev) {
+        var self = this;
+        var input = ev.target;
+        var file = input.files[0];
+        var name = this.target;
+
+        if (!file || !name)
+            return;
+
+        input.value = '';
+
+        ui.showModal(_('Checking %s').format(file.name), [
+            E('p', { 'class': 'spinning' }, _('Uploading the file and running it with --version…'))
+        ]);
+
+        return upload(file).then(function () {
+            return callBinaryVerify();
+        }).then(function (res) {
+            if (!res.valid) {
+                ui.showModal(_('Verification Failed'), [
+                    E('p', {}, _('%s cannot be used as %s: %s').format(file.name, name, res.error || _('Unknown error'))),
+                    res.output ? E('pre', { 'style': 'max-height: 200px; overflow: auto; font-size: 12px;' }, res.output) : '',
+                    E('div', { 'class': 'right' }, [
+                        E('button', { 'class': 'cbi-button', 'click': ui.hideModal }, _('Close'))
+                    ])
+                ]);
+                return;
+            }
+
+            self.showInstall(name, file.name, res);
+        }).catch(function (err) {
+            ui.hideModal();
+            ui.addNotification(null, E('p', _('Upload failed: %s').format(err.message || err)), 'error');
+        });
+    },
+
+    showInstall: function (name, fileName, res) {
+        var self = this;
+
+        ui.showModal(_('Install %s').format(name), [
+            E('p', {}, _('%s is an executable for this router. Install it as %s? The current version is kept for rollback and the instances using it are restarted.').format(fileName, name)),
+            E('table', { 'class': 'table' }, [
+                E('tr', { 'class': 'tr' }, [ E('td', { 'class': 'td left', 'width': '30%' }, _('Architecture')), E('td', { 'class': 'td left' }, res.arch) ]),
+                E('tr', { 'class': 'tr' }, [ E('td', { 'class': 'td left' }, _('Size')), E('td', { 'class': 'td left' }, '%1024.1mB'.format(res.size)) ]),
+                E('tr', { 'class': 'tr' }, [ E('td', { 'class': 'td left' }, _('MD5')), E('td', { 'class': 'td left' }, E('code', {}, res.md5)) ])
+            ]),
+            E('p', {}, _('Output:')),
+            E('pre', { 'style': 'max-height: 200px; overflow: auto; font-size: 12px;' }, res.output || _('(no output)')),
+            E('div', { 'class': 'right' }, [
+                E('button', {
+                    'class': 'cbi-button cbi-button-neutral',
+                    'click': ui.createHandlerFn(self, 'handleDiscard')
+                }, _('Cancel')),
+                ' ',
+                E('button', {
+                    'class': 'cbi-button cbi-button-positive',
+                    'click': ui.createHandlerFn(self, 'handleInstall', name)
+                }, _('Install'))
+            ])
+        ]);
+    },
+
+    handleDiscard: function () {
+        ui.hideModal();
+        return L.resolveDefault(fs.remove(UPLOAD), null);
+    },
+
+    // 安装与回滚的共同结果：失败的实例另行提示
+    notifyResult: function (res, done) {
+        var restarted = (res.restarted || []).map(L.bind(this.instanceName, this));
+        var failed = (res.failed || []).map(L.bind(this.instanceName, this));
+
+        if (res.code !== 0) {
+            ui.addNotification(null, E('p', res.stderr || _('Unknown error')), 'error');
+            return;
+        }
+
+        ui.addNotification(null, E('p', [
+            done, ' ',
+            restarted.length
+                ? _('Restarted instances: %s').format(restarted.join(', '))
+                : _('No instance was using it, nothing was restarted.')
+        ]), 'info');
+
+        if (failed.length)
+            ui.addNotification(null, E('p', _('Failed to restart instances: %s').format(failed.join(', '))), 'warning');
+    },
+
+    handleInstall: function (name) {
+        var self = this;
+
+        ui.showModal(_('Install %s').format(name), [
+            E('p', { 'class': 'spinning' }, _('Installing and restarting instances…'))
+        ]);
+
+        return callBinaryInstall(name).then(function (res) {
+            ui.hideModal();
+            self.notifyResult(res, _('Installed the new %s.').format(name));
+            return self.handleRefresh();
+        }).catch(function (err) {
+            ui.hideModal();
+            ui.addNotification(null, E('p', _('Failed to install %s: %s').format(name, err.message || err)), 'error');
+        });
+    },
+
+    handleRollback: function (name, previous) {
+        var self = this;
+
+        if (!previous || !confirm(_('Replace %s with the previous version (MD5 %s, %s)? The current version is kept, rolling back again restores it.')
+                .format(name, previous.md5.substring(0, 16) + '...', new Date(previous.mtime * 1000).toLocaleString())))
+            return;
+
+        return callBinaryRollback(name).then(function (res) {
+            self.notifyResult(res, _('Rolled back %s.').format(name));
+            return self.handleRefresh();
+        }).catch(function (err) {
+            ui.addNotification(null, E('p', _('Failed to roll back %s: %s').format(name, err.message || err)), 'error');
+        });
+    },
+
+    render: function (data) {
+        var info = data[0] || {};
+
+        return E('div', { 'class': 'cbi-map' }, [
+            E('h2', {}, _('Phantun Binaries')),
+            E('div', { 'class': 'cbi-map-descr' },
+                _('Replace phantun_client or phantun_server with a build uploaded from this browser, for routers that cannot download packages. The file must be an ELF executable for this router and must run with --version or --help. The replaced binary is kept as a .prev file next to it for rollback, and the instances using the binary are restarted.')),
+
+            E('div', { 'class': 'cbi-section' }, [
+                E('table', { 'class': 'table' }, [
+                    E('tr', { 'class': 'tr' }, [
+                        E('td', { 'class': 'td left', 'width': '33%' }, _('Router Architecture')),
+                        E('td', { 'class': 'td left' }, info.arch || _('Unknown'))
+                    ]),
+                    E('tr', { 'class': 'tr' }, [
+                        E('td', { 'class': 'td left' }, _('Package Architecture')),
+                        E('td', { 'class': 'td left' }, info.target ? E('code', {}, info.target) : _('Unknown'))
+                    ])
+                ])
+            ]),
+
+            E('div', { 'class': 'cbi-section' }, [
+                E('table', { 'class': 'table cbi-section-table', 'id': 'binary-table' }, [
+                    E('tr', { 'class': 'tr table-titles' }, [
+                        E('th', { 'class': 'th' }, _('Binary')),
+                        E('th', { 'class': 'th' }, _('Installed')),
+                        E('th', { 'class': 'th' }, _('Previous Version')),
+                        E('th', { 'class': 'th' }, _('Actions'))
+                    ])
+                ].concat(this.renderRows(info))),
+
+                E('div', { 'class': 'right', 'style': 'margin-top: 10px;' }, [
+                    E('input', {
+                        'type': 'file',
+                        'id': 'binary-file',
+                        'style': 'display: none;',
+                        'change': ui.createHandlerFn(this, 'handleUpload')
+                    }),
+                    E('button', {
+                        'class': 'cbi-button cbi-button-neutral',
+                        'click': ui.createHandlerFn(this, 'handleRefresh')
+                    }, _('Refresh'))
+                ])
+            ])
+        ]);
+    },
+
+    handleSave: null,
+    handleSaveApply: null,
+    handleReset: null
+});
@@ -0,0 +1,195 @@
+/**
+ * 标题: phantun/cleanup.js
+ * 作者: reyan
+ * 日期: 2026-10-19
+ * 版本: 1.1.0
+ * 描述: LuCI Phantun 规则清理页，列出不属于任何已配置实例的 MASQUERADE / DNAT 规则并按需删除。
+ * 最近三次更新:
+ *   - 2026-10-19: 删除改经 rpcd 后端 luci.phantun 的 delete_rule 方法执行。
+ *   - 2026-10-19: 新增规则清理页，删除前先预览（dry-run）将执行的命令。
+ */
+
+'use strict';
+'require view';
+'require ui';
+'require uci';
+'require phantun.firewall as firewall';
+
+function formatCommand(cmd) {
+    return [ cmd[0] ].concat(cmd[1].map(function (arg) {
+        return /^[\w.:\/@,+=\[\]-]+$/.test(arg) ? arg : "'" + String(arg).replace(/'/g, "'\\''") + "'";
+    })).join(' ');
+}
+
+return view.extend({
+    title: _('Phantun Rule Cleanup'),
+
+    load: function () {
+        return Promise.all([
+            firewall.getFirewallRules(),
+            uci.load('phantun')
+        ]);
+    },
+
+    findOrphans: function (data) {
+        var fw = data[0];
+        return fw.source ? firewall.findOrphanRules(fw, uci.sections('phantun')) : [];
+    },
+
+    renderRows: function (orphans) {
+        if (orphans.length === 0) {
+            return [
+                E('tr', { 'class': 'tr' }, [
+                    E('td', { 'class': 'td', 'colspan': '5', 'style': 'text-align: center; color: #888;' },
+                        _('No orphaned rules found'))
+                ])
+            ];
+        }
+
+        return orphans.map(function (rule, i) {
+            return E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td' }, E('input', { 'type': 'checkbox', 'data-orphan': i, 'checked': 'checked' })),
+                E('td', { 'class': 'td' }, firewall.describeRule(rule)),
+                E('td', { 'class': 'td' }, rule.family + ' ' + rule.table + ' / ' + rule.chain),
+                E('td', { 'class': 'td' }, rule.backend === 'nft' ? 'nftables' : 'iptables'),
+                E('td', { 'class': 'td' }, rule.comment || '-')
+            ]);
+        });
+    },
+
+    getSelected: function () {
+        var orphans = this.orphans;
+
+        return Array.prototype.filter.call(document.querySelectorAll('input[data-orphan]'), function (cb) {
+            return cb.checked;
+        }).map(function (cb) {
+            return orphans[+cb.getAttribute('data-orphan')];
+        });
+    },
+
+    // 逐条执行删除命令；某条失败不影响后续
+    runCommands: function (commands) {
+        var failed = [];
+
+        return commands.reduce(function (p, step) {
+            return p.then(function () {
+                return step.call().then(function (res) {
+                    if (res.code !== 0)
+                        failed.push(formatCommand(step.command) + ': ' + ((res.stderr || '').trim() || ('exit code ' + res.code)));
+                }).catch(function (err) {
+                    failed.push(formatCommand(step.command) + ': ' + (err.message || err));
+                });
+            });
+        }, Promise.resolve()).then(function () {
+            return failed;
+        });
+    },
+
+    handlePreview: function () {
+        var self = this;
+        var selected = this.getSelected();
+        var commands = [];
+
+        if (selected.length === 0) {
+            ui.addNotification(null, E('p', _('No rules selected')), 'info');
+            return;
+        }
+
+        selected.forEach(function (rule) {
+            commands = commands.concat(firewall.getRemoveCommands(rule));
+        });
+
+        ui.showModal(_('Remove Orphaned Rules'), [
+            E('p', {}, _('Dry run: the following commands will be executed. Nothing has been changed yet.')),
+            E('pre', { 'style': 'white-space: pre-wrap; word-break: break-all;' }, commands.map(function (step) { return formatCommand(step.command); }).join('\n')),
+            E('div', { 'class': 'right' }, [
+                E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Cancel')),
+                ' ',
+                E('button', {
+                    'class': 'cbi-button cbi-button-negative',
+                    'click': ui.createHandlerFn(self, function () {
+                        return self.runCommands(commands).then(function (failed) {
+                            ui.hideModal();
+
+                            if (failed.length > 0)
+                                ui.addNotification(null, [
+                                    E('p', _('Some rules could not be removed:')),
+                                    E('pre', {}, failed.join('\n'))
+                                ], 'error');
+                            else
+                                ui.addNotification(null, E('p', _('%d rules removed').format(commands.length)), 'info');
+
+                            return self.handleRefresh();
+                        });
+                    })
+                }, _('Remove'))
+            ])
+        ]);
+    },
+
+    handleRefresh: function () {
+        var self = this;
+
+        return this.load().then(function (data) {
+            var tableEl = document.getElementById('orphan-rules-table');
+
+            self.orphans = self.findOrphans(data);
+            if (tableEl) {
+                tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+                self.renderRows(self.orphans).forEach(function (r) { tableEl.appendChild(r); });
+            }
+        });
+    },
+
+    render: function (data) {
+        var self = this;
+        var fw = data[0];
+
+        this.orphans = this.findOrphans(data);
+
+        return E('div', { 'class': 'cbi-map' }, [
+            E('h2', {}, _('Phantun Rule Cleanup')),
+            E('div', { 'class': 'cbi-map-descr' },
+                _('NAT rules created by phantun that belong to no configured client or server, e.g. after an instance was deleted or its TUN address or port was changed. Select the rules to remove and review the commands before they run.')),
+
+            E('div', { 'class': 'cbi-section' }, [
+                E('div', { 'style': 'padding: 10px 0; color: #888;' },
+                    fw.source ? _('Rule source: %s').format(fw.source) : _('Neither nft nor iptables-save is available in this runtime')),
+                E('table', { 'class': 'table cbi-section-table', 'id': 'orphan-rules-table' }, [
+                    E('tr', { 'class': 'tr table-titles' }, [
+                        E('th', { 'class': 'th', 'style': 'width: 30px;' }, E('input', {
+                            'type': 'checkbox',
+                            'checked': 'checked',
+                            'title': _('Select all'),
+                            'change': function (ev) {
+                                document.querySelectorAll('input[data-orphan]').forEach(function (cb) {
+                                    cb.checked = ev.target.checked;
+                                });
+                            }
+                        })),
+                        E('th', { 'class': 'th' }, _('Rule')),
+                        E('th', { 'class': 'th' }, _('Table / Chain')),
+                        E('th', { 'class': 'th' }, _('Backend')),
+                        E('th', { 'class': 'th' }, _('Comment'))
+                    ])
+                ].concat(this.renderRows(this.orphans))),
+
+                E('div', { 'class': 'right', 'style': 'margin-top: 10px;' }, [
+                    E('button', {
+                        'class': 'cbi-button cbi-button-neutral',
+                        'click': ui.createHandlerFn(self, 'handleRefresh')
+                    }, _('Refresh')),
+                    ' ',
+                    E('button', {
+                        'class': 'cbi-button cbi-button-negative',
+                        'click': ui.createHandlerFn(self, 'handlePreview')
+                    }, _('Remove Selected…'))
+                ])
+            ])
+        ]);
+    },
+
+    handleSave: null,
+    handleSaveApply: null,
+    handleReset: null
+});
@@ -1,13 +1,13 @@
 /**
  * 标题: phantun/config.js
  * 作者: reyan
- * 日期: 2026-03-08
- * 版本: 1.1.0
+ * 日期: 2026-10-19
+ * 版本: 1.13.0
  * 描述: LuCI Phantun 配置页，负责客户端/服务端实例管理、导入导出与服务控制。
  * 最近三次更新:
- *   - 2026-03-08: 修复 Add Client / Add Server 产生未保存 ghost instance 的问题。
- *   - 2026-03-08: 优化 Save / Reset 前对临时 section 的清理，避免脏 UCI 状态被提交。
- *   - 2026-03-08: 保留原有导入导出、服务控制与网格配置逻辑。
+ *   - 2026-10-19: 未安装提示新增二进制管理页链接，无法联网的路由器可从浏览器上传。
+ *   - 2026-10-19: 实例新增“重启”标签页，按实例设置 procd respawn 的阈值、延迟与重试次数。
+ *   - 2026-10-19: 全局设置新增“状态页日志行数”，限制状态页日志框保留的行数。
  */
 
 'use strict';
@@ -17,6 +17,10 @@
 'require fs';
 'require ui';
 'require rpc';
+'require poll';
+'require network';
+'require phantun.ports as ports';
+'require phantun.handshake as handshake';
 
 var callServiceList = rpc.declare({
     object: 'service',
@@ -32,6 +36,410 @@ var callInitAction = rpc.declare({
     expect: { result: false }
 });
 
+// procd 实例实时状态（键为 client_<section> / server_<section>），由 poll 刷新
+var instanceStates = {};
+
+// quotaCycle 为 quota_exceeded 的值（配额用尽的周期起始日），实例因此被 phantun-usage 停止
+function renderInstanceState(el, inst, quotaCycle) {
+    var running = !!(inst && inst.running);
+
+    el.style.color = running ? '#5cb85c' : (quotaCycle ? '#f0ad4e' : '#d9534f');
+    el.style.fontWeight = 'bold';
+
+    if (!running && quotaCycle) {
+        el.textContent = _('Stopped: quota exceeded');
+        el.title = _('Monthly traffic quota reached in the cycle starting %s. Use Override on the Status page to run it until the next reset.').format(quotaCycle);
+        return;
+    }
+
+    el.textContent = running ? _('Running') + ' (PID ' + inst.pid + ')' : _('Stopped');
+    el.title = '';
+}
+
+function refreshInstanceStates() {
+    return L.resolveDefault(callServiceList('phantun'), {}).then(function (res) {
+        instanceStates = (res && res.phantun && res.phantun.instances) || {};
+
+        document.querySelectorAll('[data-phantun-instance]').forEach(function (el) {
+            renderInstanceState(el, instanceStates[el.getAttribute('data-phantun-instance')], el.getAttribute('data-phantun-quota'));
+        });
+    });
+}
+
+/**
+ * 单独启动/停止/重启一个 procd 实例，其他隧道不受影响。
+ * rc.common 会把实例名传给 procd；stop_service 只清理该实例的 NAT 规则。
+ */
+function controlInstance(instance, action) {
+    return fs.exec('/etc/init.d/phantun', [action, instance]).then(function (res) {
+        if (res.code !== 0)
+            throw new Error((res.stderr || res.stdout || '').trim() || ('exit code ' + res.code));
+
+        // 给 procd 一点时间拉起或回收进程
+        return new Promise(function (resolve) { window.setTimeout(resolve, 1000); });
+    }).then(refreshInstanceStates).then(function () {
+        var inst = instanceStates[instance];
+
+        if (action !== 'stop' && !(inst && inst.running))
+            ui.addNotification(null, E('p', _('Instance %s is not running. Make sure it is enabled and the configuration is saved.').format(instance)), 'warning');
+    }).catch(function (err) {
+        ui.addNotification(null, E('p', _('Failed to control instance %s: %s').format(instance, err.message || err)), 'error');
+    });
+}
+
+function shellQuote(value) {
+    return "'" + String(value).replace(/'/g, "'\\''") + "'";
+}
+
+// 别名中的换行会让后面的文字跑出注释行，按 shell 命令执行
+function shellComment(value) {
+    return String(value).replace(/[\x00-\x1f\x7f]+/g, ' ');
+}
+
+/**
+ * 尽量推测对端应连接的地址：取第一个 WAN 网络的 IPv4 地址。
+ */
+function getPublicAddress() {
+    return L.resolveDefault(network.getWANNetworks(), []).then(function (nets) {
+        for (var i = 0; i < nets.length; i++) {
+            var addr = nets[i].getIPAddr();
+            if (addr)
+                return addr;
+        }
+        return '';
+    });
+}
+
+/**
+ * 将粘贴的 shell 命令拆分为参数，支持单/双引号与反斜杠转义，续行符视为空白。
+ */
+function splitCommandLine(str) {
+    var args = [];
+    var cur = '';
+    var quote = null;
+    var inWord = false;
+
+    str = String(str).replace(/\\\r?\n/g, ' ');
+
+    for (var i = 0; i < str.length; i++) {
+        var ch = str.charAt(i);
+
+        if (quote) {
+            if (ch === quote)
+                quote = null;
+            else if (ch === '\\' && quote === '"' && i + 1 < str.length)
+                cur += str.charAt(++i);
+            else
+                cur += ch;
+        } else if (ch === '\'' || ch === '"') {
+            quote = ch;
+            inWord = true;
+        } else if (ch === '\\' && i + 1 < str.length) {
+            cur += str.charAt(++i);
+            inWord = true;
+        } else if (/\s/.test(ch)) {
+            if (inWord)
+                args.push(cur);
+            cur = '';
+            inWord = false;
+        } else {
+            cur += ch;
+            inWord = true;
+        }
+    }
+
+    if (quote)
+        throw new Error(_('Unterminated quote in command line'));
+
+    if (inWord)
+        args.push(cur);
+
+    return args;
+}
+
+function splitHostPort(value) {
+    var m = String(value).match(/^\[?(.*?)\]?:(\d+)$/);
+    return m ? { host: m[1], port: m[2] } : null;
+}
+
+var PHANTUN_VALUE_FLAGS = {
+    '--tun': 'tun_name',
+    '--tun-local': 'tun_local',
+    '--tun-peer': 'tun_peer',
+    '--tun-local6': 'tun_local6',
+    '--tun-peer6': 'tun_peer6',
+    '--handshake-packet': 'handshake_packet'
+};
+
+// init 脚本自行生成的参数，不允许再出现在 extra_args 中
+var PHANTUN_MANAGED_FLAGS = [ '-l', '--local', '-r', '--remote', '--ipv4-only' ]
+    .concat(Object.keys(PHANTUN_VALUE_FLAGS));
+
+/**
+ * 将 phantun_client / phantun_server 命令行映射为 UCI 选项。
+ * 返回 { type, config, warnings }；无法从程序名判断类型时 type 为 null。
+ */
+function parsePhantunCommand(str) {
+    var args = splitCommandLine(str);
+    var config = {};
+    var extra = [];
+    var warnings = [];
+    var type = null;
+    var i = 0;
+
+    // 跳过程序名及其之前的内容（sudo、RUST_LOG=info、./phantun_client ...）
+    while (i < args.length && args[i].charAt(0) !== '-') {
+        if (/phantun_client/.test(args[i]))
+            type = 'client';
+        else if (/phantun_server/.test(args[i]))
+            type = 'server';
+        i++;
+    }
+
+    for (; i < args.length; i++) {
+        var arg = args[i];
+        var flag = arg;
+        var value = null;
+        var eq = arg.indexOf('=');
+
+        if (arg.indexOf('--') === 0 && eq > 0) {
+            flag = arg.substring(0, eq);
+            value = arg.substring(eq + 1);
+        }
+
+        var takeValue = function () {
+            if (value === null && i + 1 < args.length)
+                value = args[++i];
+            return value;
+        };
+
+        if (flag === '-l' || flag === '--local') {
+            var local = takeValue() || '';
+            var lhp = splitHostPort(local);
+            if (lhp) {
+                config.local_addr = lhp.host;
+                config.local_port = lhp.port;
+            } else if (/^\d+$/.test(local)) {
+                config.local_port = local;
+            } else {
+                warnings.push(_('Cannot parse address "%s" of %s').format(local, flag));
+            }
+        } else if (flag === '-r' || flag === '--remote') {
+            var rhp = splitHostPort(takeValue() || '');
+            if (!rhp) {
+                warnings.push(_('Cannot parse address "%s" of %s').format(value || '', flag));
+                continue;
+            }
+            config.remote_addr = rhp.host;
+            config.remote_port = rhp.port;
+        } else if (flag === '--ipv4-only') {
+            config.ipv4_only = '1';
+        } else if (PHANTUN_VALUE_FLAGS[flag]) {
+            config[PHANTUN_VALUE_FLAGS[flag]] = takeValue() || '';
+            if (flag === '--handshake-packet')
+                warnings.push(_('The handshake packet file must exist on this router at the same path'));
+        } else {
+            // 未识别参数：若下一个词不是参数，则视为其取值一并保留
+            var entry = arg;
+            if (value === null && i + 1 < args.length && args[i + 1].charAt(0) !== '-')
+                entry += ' ' + args[++i];
+            extra.push(entry);
+            warnings.push(_('Unknown argument "%s" was added to Extra Arguments').format(entry));
+        }
+    }
+
+    // 服务端只监听端口，不使用 local_addr
+    if (type === 'server')
+        delete config.local_addr;
+
+    if (extra.length)
+        config.extra_args = extra;
+
+    return { type: type, config: config, warnings: warnings };
+}
+
+// phantun.init 中客户端/服务端的 TUN 默认地址
+var TUN_DEFAULTS = {
+    client: { tun_local: '192.168.200.1', tun_peer: '192.168.200.2', tun_local6: 'fcc8::1', tun_peer6: 'fcc8::2' },
+    server: { tun_local: '192.168.201.1', tun_peer: '192.168.201.2', tun_local6: 'fcc9::1', tun_peer6: 'fcc9::2' }
+};
+
+/**
+ * 按 phantun.init 的逻辑还原某个实例的 argv。get(opt) 返回实例取值（未设置为 null）。
+ * 每项为 { arg, implied, conditional }：implied 表示由 init 脚本补上的默认值，
+ * conditional 表示仅在文件存在时才会传入。
+ */
+function buildPhantunArgv(type, get) {
+    var defaults = TUN_DEFAULTS[type];
+    var argv = [ { arg: type === 'server' ? '/usr/bin/phantun_server' : '/usr/bin/phantun_client', implied: false, conditional: false } ];
+    var push = function (arg, implied, conditional) {
+        argv.push({ arg: String(arg), implied: !!implied, conditional: !!conditional });
+    };
+    var value = function (opt) {
+        var v = get(opt);
+        return (v != null && v !== '') ? v : null;
+    };
+    var tunParam = function (flag, opt) {
+        var v = value(opt);
+        push(flag);
+        push(v != null ? v : defaults[opt], v == null);
+    };
+
+    push('--local');
+    push(type === 'server'
+        ? (value('local_port') || '')
+        : (value('local_addr') || '') + ':' + (value('local_port') || ''));
+    push('--remote');
+    push((value('remote_addr') || '') + ':' + (value('remote_port') || ''));
+
+    if (value('tun_name')) {
+        push('--tun');
+        push(value('tun_name'));
+    }
+    tunParam('--tun-local', 'tun_local');
+    tunParam('--tun-peer', 'tun_peer');
+
+    if (value('ipv4_only') === '1') {
+        push('--ipv4-only');
+    } else {
+        tunParam('--tun-local6', 'tun_local6');
+        tunParam('--tun-peer6', 'tun_peer6');
+    }
+
+    if (value('handshake_packet')) {
+        push('--handshake-packet', false, true);
+        push(value('handshake_packet'), false, true);
+    }
+
+    // init 脚本对 extra_args 按空白拆分
+    L.toArray(get('extra_args')).join(' ').split(/\s+/).forEach(function (arg) {
+        if (arg)
+            push(arg);
+    });
+
+    return argv;
+}
+
+// 路由器各接口已占用的网段，render 时由 network.getNetworks() 填充
+var routerSubnets = [];
+
+/**
+ * 将 IPv4 / IPv6 地址（可带 /前缀）解析为 16 位字数组：IPv4 为 2 个字，IPv6 为 8 个字。
+ */
+function parseAddrWords(str) {
+    var addr = String(str || '').split('/')[0];
+    var m = addr.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+
+    if (m)
+        return [ (+m[1] << 8) | +m[2], (+m[3] << 8) | +m[4] ];
+
+    var halves = addr.split('::');
+    if (addr.indexOf(':') === -1 || halves.length > 2)
+        return null;
+
+    var head = halves[0] ? halves[0].split(':') : [];
+    var tail = (halves.length > 1 && halves[1]) ? halves[1].split(':') : [];
+    var fill = 8 - head.length - tail.length;
+    var words = head;
+
+    if (halves.length === 1 ? fill !== 0 : fill < 1)
+        return null;
+    for (var i = 0; i < fill; i++)
+        words = words.concat([ '0' ]);
+    words = words.concat(tail);
+
+    for (var j = 0; j < words.length; j++) {
+        if (!/^[0-9a-f]{1,4}$/i.test(words[j]))
+            return null;
+        words[j] = parseInt(words[j], 16);
+    }
+
+    return words;
+}
+
+function inPrefix(a, b, bits) {
+    if (!a || !b || a.length !== b.length)
+        return false;
+
+    for (var i = 0; i < a.length && bits > 0; i++, bits -= 16) {
+        var mask = bits >= 16 ? 0xffff : (0xffff << (16 - bits)) & 0xffff;
+        if ((a[i] & mask) !== (b[i] & mask))
+            return false;
+    }
+    return true;
+}
+
+/**
+ * 实例实际使用的 TUN 地址（未设置时按 phantun.init 取默认值，ipv4_only 时不含 IPv6）。
+ */
+function getTunAddresses(s) {
+    var defaults = TUN_DEFAULTS[s['.type']];
+    var opts = s.ipv4_only === '1' ? [ 'tun_local', 'tun_peer' ] : [ 'tun_local', 'tun_peer', 'tun_local6', 'tun_peer6' ];
+    var addrs = {};
+
+    opts.forEach(function (opt) {
+        addrs[opt] = s[opt] || defaults[opt];
+    });
+    return addrs;
+}
+
+/**
+ * 检查 TUN 地址是否与其他实例或路由器接口网段冲突，返回错误描述或 null。
+ * 每个实例的本端/对端地址视为一个 /30（IPv6 为 /126）点对点网段。
+ */
+function findTunConflict(section_id, value) {
+    var addr = parseAddrWords(value);
+    var bits = addr && addr.length === 2 ? 30 : 126;
+    var conflict = null;
+
+    if (!addr)
+        return null;
+
+    uci.sections('phantun').forEach(function (s) {
+        if (conflict || (s['.type'] !== 'client' && s['.type'] !== 'server') || s['.name'] === section_id)
+            return;
+
+        var addrs = getTunAddresses(s);
+        for (var opt in addrs) {
+            if (inPrefix(addr, parseAddrWords(addrs[opt]), bits)) {
+                conflict = _('Overlaps with %s of instance "%s"').format(addrs[opt], s.alias || s['.name']);
+                return;
+            }
+        }
+    });
+
+    for (var i = 0; !conflict && i < routerSubnets.length; i++) {
+        var subnet = routerSubnets[i];
+        if (inPrefix(addr, subnet.words, Math.min(bits, subnet.bits)))
+            conflict = _('Overlaps with subnet %s of interface "%s"').format(subnet.cidr, subnet.name);
+    }
+
+    return conflict;
+}
+
+/**
+ * 为新实例分配第一组不冲突的 TUN 地址：192.168.X.1/2 与 fcXX::1/2（XX 为 X 的十六进制），
+ * X 从该类型的默认值（客户端 200、服务端 201）起在 200-254 间循环查找；全部冲突时退回默认值。
+ */
+function allocateTunAddresses(type) {
+    var start = type === 'server' ? 1 : 0;
+
+    for (var n = 0; n < 55; n++) {
+        var x = 200 + (start + n) % 55;
+        var pair = {
+            tun_local: '192.168.' + x + '.1',
+            tun_peer: '192.168.' + x + '.2',
+            tun_local6: 'fc' + x.toString(16) + '::1',
+            tun_peer6: 'fc' + x.toString(16) + '::2'
+        };
+
+        if (Object.keys(pair).every(function (opt) { return !findTunConflict(null, pair[opt]); }))
+            return pair;
+    }
+
+    return Object.assign({}, TUN_DEFAULTS[type]);
+}
+
 return view.extend({
     title: _('Phantun Configuration'),
 
@@ -40,7 +448,10 @@ return view.extend({
             uci.load('phantun'),
             L.resolveDefault(fs.stat('/usr/bin/phantun_client'), null),
             L.resolveDefault(fs.stat('/usr/bin/phantun_server'), null),
-            L.resolveDefault(callServiceList('phantun'), null)
+            L.resolveDefault(callServiceList('phantun'), null),
+            L.resolveDefault(network.getNetworks(), []),
+            ports.load(),
+            handshake.list()
         ]);
     },
 
@@ -48,6 +459,21 @@ return view.extend({
         var clientInstalled = data[1] !== null;
         var serverInstalled = data[2] !== null;
         var serviceStatus = data[3] || {};
+        var handshakeFiles = data[6] || [];
+
+        instanceStates = (serviceStatus.phantun && serviceStatus.phantun.instances) || {};
+
+        routerSubnets = [];
+        (data[4] || []).forEach(function (net) {
+            if (net.getName() === 'loopback')
+                return;
+
+            net.getIPAddrs().concat(net.getIP6Addrs()).forEach(function (cidr) {
+                var words = parseAddrWords(cidr);
+                if (words)
+                    routerSubnets.push({ name: net.getName(), cidr: cidr, words: words, bits: +cidr.split('/')[1] || words.length * 16 });
+            });
+        });
 
         // Check installation
         if (!clientInstalled && !serverInstalled) {
@@ -62,6 +488,10 @@ return view.extend({
                         'href': 'https://github.com/dndx/phantun/releases',
                         'target': '_blank'
                     }, _('GitHub Releases'))
+                ]),
+                E('p', {}, [
+                    _('Or upload them from this browser: '),
+                    E('a', { 'href': L.url('admin/services/phantun/binary') }, _('Binaries'))
                 ])
             ]);
         }
@@ -347,7 +777,9 @@ return view.extend({
                 configs: clientSections.map(function (section) {
                     var config = {};
                     for (var key in section) {
-                        if (key !== '.anonymous' && key !== '.index' && key !== '.type') {
+                        // 配额标记是本机运行状态，不随配置导出
+                        if (key !== '.anonymous' && key !== '.index' && key !== '.type' &&
+                            key !== 'quota_exceeded' && key !== 'quota_override') {
                             config[key] = section[key];
                         }
                     }
@@ -554,6 +986,11 @@ return view.extend({
         o.value('trace', _('Trace (Very Verbose)'));
         o.default = 'info';
 
+        o = s.option(form.Value, 'log_lines', _('Status Page Log Lines'),
+            _('Number of log lines kept in the log panel of the status page. Lower values reduce the load on slow routers.'));
+        o.datatype = 'range(50,5000)';
+        o.placeholder = '500';
+
         o = s.option(form.Flag, 'keep_rule', _('Keep Firewall Rules'),
             _('Automatically restore iptables rules if they are cleared by the system (firewall reload). Recommended.'));
         o.default = '0';
@@ -566,6 +1003,474 @@ return view.extend({
             _('Automatically restart the service if it crash or exits unexpectedly.'));
         o.default = '0';
 
+        // ==================== Per-Instance Controls ====================
+        var addInstanceControls = function (s, type) {
+            o = s.taboption('basic', form.DummyValue, '_state', _('State'));
+            o.modalonly = false;
+            o.width = '15%';
+            o.textvalue = function (section_id) {
+                var quotaCycle = uci.get('phantun', section_id, 'quota_exceeded') || '';
+                var el = E('span', { 'data-phantun-instance': type + '_' + section_id, 'data-phantun-quota': quotaCycle });
+                renderInstanceState(el, instanceStates[type + '_' + section_id], quotaCycle);
+                return el;
+            };
+
+            s.renderRowActions = function (section_id) {
+                var tdEl = form.GridSection.prototype.renderRowActions.call(this, section_id, _('Edit'));
+
+                // 未确认的临时 section 还没有对应的 procd 实例
+                if (transientSections[section_id])
+                    return tdEl;
+
+                var actions = tdEl.lastChild;
+                var editBtn = actions.firstChild;
+                var buttons = [
+                    { action: 'start', label: _('Start'), title: _('Start this instance only'), style: 'cbi-button-positive' },
+                    { action: 'stop', label: _('Stop'), title: _('Stop this instance only'), style: 'cbi-button-negative' },
+                    { action: 'restart', label: _('Restart'), title: _('Restart this instance only'), style: 'cbi-button-action' }
+                ];
+
+                buttons.forEach(function (b) {
+                    actions.insertBefore(E('button', {
+                        'class': 'cbi-button ' + b.style,
+                        'title': b.title,
+                        'click': ui.createHandlerFn(this, function (ev) {
+                            ev.preventDefault();
+                            return controlInstance(type + '_' + section_id, b.action);
+                        })
+                    }, b.label), editBtn);
+                }, this);
+
+                return tdEl;
+            };
+        };
+
+        // ==================== Peer Profile Generation ====================
+        // 生成隧道另一端的镜像配置，格式与导出文件一致，可直接用导入按钮导入。
+        var buildPeerProfile = function (type, section_id, publicAddr) {
+            var get = function (opt, def) {
+                var v = uci.get('phantun', section_id, opt);
+                return (v != null && v !== '') ? v : def;
+            };
+            var peerType = type === 'client' ? 'server' : 'client';
+            var tun = TUN_DEFAULTS[peerType];
+            var peer = {
+                enabled: '1',
+                alias: get('alias', section_id) + ' (peer)',
+                ipv4_only: get('ipv4_only', '0'),
+                tun_local: tun.tun_local,
+                tun_peer: tun.tun_peer,
+                tun_local6: tun.tun_local6,
+                tun_peer6: tun.tun_peer6
+            };
+
+            if (type === 'client') {
+                // 本端客户端连接 remote_port，对端服务端在该端口监听，并转发到本端暴露的 UDP 端口
+                peer.local_port = get('remote_port', '');
+                peer.remote_addr = '127.0.0.1';
+                peer.remote_port = get('local_port', '');
+            } else {
+                peer.local_addr = '127.0.0.1';
+                peer.local_port = get('remote_port', '');
+                peer.remote_addr = publicAddr || '';
+                peer.remote_port = get('local_port', '');
+            }
+
+            return {
+                type: peerType,
+                version: '1.0',
+                timestamp: new Date().toISOString(),
+                configs: [ peer ]
+            };
+        };
+
+        var buildPeerCommand = function (profile) {
+            var c = profile.configs[0];
+            var ipv6 = c.ipv4_only !== '1';
+            var lines = [
+                '#!/bin/sh',
+                '# Phantun ' + profile.type + ' profile for "' + shellComment(c.alias) + '"',
+                '# Generated by luci-app-phantun on ' + profile.timestamp,
+                '# Run as root.',
+                '',
+                'sysctl -w net.ipv4.ip_forward=1'
+            ];
+            var args;
+
+            if (ipv6)
+                lines.push('sysctl -w net.ipv6.conf.all.forwarding=1');
+
+            if (profile.type === 'server') {
+                lines.push('iptables -t nat -A PREROUTING -p tcp --dport ' + c.local_port + ' -j DNAT --to-destination ' + c.tun_peer);
+                if (ipv6)
+                    lines.push('ip6tables -t nat -A PREROUTING -p tcp --dport ' + c.local_port + ' -j DNAT --to-destination ' + c.tun_peer6);
+
+                args = [ 'phantun_server', '--local', c.local_port ];
+            } else {
+                lines.push('iptables -t nat -A POSTROUTING -s ' + c.tun_peer + '/32 -j MASQUERADE');
+                if (ipv6)
+                    lines.push('ip6tables -t nat -A POSTROUTING -s ' + c.tun_peer6 + '/128 -j MASQUERADE');
+
+                args = [ 'phantun_client', '--local', shellQuote(c.local_addr + ':' + c.local_port) ];
+            }
+
+            args.push('--remote', shellQuote(c.remote_addr + ':' + c.remote_port),
+                '--tun-local', c.tun_local, '--tun-peer', c.tun_peer);
+
+            if (ipv6)
+                args.push('--tun-local6', c.tun_local6, '--tun-peer6', c.tun_peer6);
+            else
+                args.push('--ipv4-only');
+
+            lines.push('', 'RUST_LOG=info exec ' + args.join(' '), '');
+            return lines.join('\n');
+        };
+
+        var downloadText = function (filename, text, mime) {
+            var blob = new Blob([text], { type: mime });
+            var url = URL.createObjectURL(blob);
+            var a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(url);
+        };
+
+        var showPeerProfile = function (type, section_id) {
+            return getPublicAddress().then(function (publicAddr) {
+                var jsonArea = E('textarea', { 'class': 'cbi-input-textarea', 'readonly': 'readonly', 'rows': 12, 'style': 'width: 100%; font-family: monospace;' });
+                var shellArea = E('textarea', { 'class': 'cbi-input-textarea', 'readonly': 'readonly', 'rows': 10, 'style': 'width: 100%; font-family: monospace;' });
+                var addrInput = E('input', { 'class': 'cbi-input-text', 'type': 'text', 'value': publicAddr, 'placeholder': 'vps.example.com' });
+                var addrHint = E('div', { 'class': 'cbi-value-description', 'style': 'color: #d9534f;' },
+                    _('Enter the address the client should connect to. The profiles cannot be downloaded without it.'));
+                var scriptButton = E('button', {
+                    'class': 'cbi-button cbi-button-apply',
+                    'click': function () {
+                        downloadText('phantun_peer_' + section_id + '.sh', shellArea.value, 'text/x-shellscript');
+                    }
+                }, _('Download Script'));
+                var jsonButton = E('button', {
+                    'class': 'cbi-button cbi-button-positive',
+                    'click': function () {
+                        downloadText('phantun_peer_' + section_id + '.json', jsonArea.value, 'application/json');
+                    }
+                }, _('Download JSON'));
+
+                // 对端客户端要连接本机地址，地址为空时生成的配置无法连接，不提供下载
+                var update = function () {
+                    var addr = addrInput.value.trim();
+                    var missing = type === 'server' && !addr;
+
+                    var profile = buildPeerProfile(type, section_id, addr);
+                    jsonArea.value = JSON.stringify(profile, null, 2);
+                    shellArea.value = buildPeerCommand(profile);
+                    scriptButton.disabled = missing;
+                    jsonButton.disabled = missing;
+                    addrHint.style.display = missing ? '' : 'none';
+                };
+
+                addrInput.addEventListener('input', update);
+                update();
+
+                ui.showModal(_('Peer Configuration'), [
+                    E('p', {}, type === 'client'
+                        ? _('Server profile for the remote end of this client. Ports are swapped and the TUN addresses use the default server subnet.')
+                        : _('Client profile for the remote end of this server. Ports are swapped and the TUN addresses use the default client subnet.')),
+                    type === 'server' ? E('div', { 'class': 'cbi-value' }, [
+                        E('label', { 'class': 'cbi-value-title' }, _('Public address of this router')),
+                        E('div', { 'class': 'cbi-value-field' }, [ addrInput, addrHint ])
+                    ]) : '',
+                    E('h5', {}, _('OpenWrt (use the Import button on the other router)')),
+                    jsonArea,
+                    E('h5', {}, _('Linux command line')),
+                    shellArea,
+                    E('div', { 'class': 'right' }, [
+                        E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Close')),
+                        ' ',
+                        scriptButton,
+                        ' ',
+                        jsonButton
+                    ])
+                ]);
+            });
+        };
+
+        var addPeerAction = function (s, type) {
+            var renderRowActions = s.renderRowActions;
+
+            s.renderRowActions = function (section_id) {
+                var tdEl = renderRowActions.call(this, section_id);
+
+                if (transientSections[section_id])
+                    return tdEl;
+
+                var actions = tdEl.lastChild;
+
+                actions.insertBefore(E('button', {
+                    'class': 'cbi-button cbi-button-neutral',
+                    'title': _('Generate the matching configuration for the other end'),
+                    'click': ui.createHandlerFn(this, function (ev) {
+                        ev.preventDefault();
+                        return showPeerProfile(type, section_id);
+                    })
+                }, _('Peer')), actions.querySelector('.cbi-button-edit'));
+
+                return tdEl;
+            };
+        };
+
+        // ==================== Command Preview ====================
+        // 读取弹窗中当前（未保存）的取值，弹窗外的选项回退到 uci；
+        // 因依赖关系被隐藏的选项保存时会被删除，这里同样视为未设置。
+        var previewValue = function (section, section_id, name) {
+            var opt = section.getOption(name);
+
+            if (opt && opt.getUIElement(section_id))
+                return opt.isActive(section_id) ? opt.formvalue(section_id) : null;
+
+            return uci.get('phantun', section_id, name);
+        };
+
+        var renderArgv = function (argv) {
+            var lines = [];
+
+            argv.forEach(function (a, i) {
+                if (i === 0 || a.arg.charAt(0) === '-')
+                    lines.push([]);
+
+                var attrs = {};
+                if (a.implied)
+                    attrs = { 'style': 'color: #f0ad4e;', 'title': _('Filled in by phantun.init, not set in this form') };
+                else if (a.conditional)
+                    attrs = { 'style': 'color: #5bc0de;', 'title': _('Only passed if the file exists on the router') };
+
+                lines[lines.length - 1].push(E('span', attrs, shellQuote(a.arg).replace(/^'([\w.:\/@,+=-]+)'$/, '$1')));
+            });
+
+            return lines.map(function (line, i) {
+                var nodes = [];
+                line.forEach(function (n, j) {
+                    nodes.push(j ? ' ' : '', n);
+                });
+                if (i < lines.length - 1)
+                    nodes.push(' \\\n    ');
+                return nodes;
+            });
+        };
+
+        // 可直接选择握手包管理页中存放的文件，也可手动填写路径
+        var addHandshakeOption = function (s) {
+            o = s.taboption('advanced', form.Value, 'handshake_packet', _('Handshake Packet File'),
+                _('File sent as the first data packet after the TCP connection is established. Pick a file stored on the Handshake Packets page or enter a path on this router.'));
+            handshakeFiles.forEach(function (f) {
+                o.value(handshake.path(f.name), '%s (%d B)'.format(f.name, f.size));
+            });
+            o.optional = true;
+            o.modalonly = true;
+        };
+
+        // 用量由 phantun-usage 每 5 分钟统计一次，超额后停止实例直到下一个重置日
+        var addQuotaOptions = function (s) {
+            s.tab('quota', _('Traffic Quota'));
+
+            o = s.taboption('quota', form.Value, 'quota', _('Monthly Quota (GiB)'),
+                _('Traffic through the TUN interface (received + sent) allowed per cycle. When it is reached the instance is stopped until the next reset day. Usage is checked every 5 minutes, so the quota can be overshot slightly. Empty or 0 means unlimited.'));
+            o.datatype = 'ufloat';
+            o.placeholder = _('Unlimited');
+            o.optional = true;
+            o.modalonly = true;
+
+            o = s.taboption('quota', form.ListValue, 'quota_reset_day', _('Reset Day'),
+                _('Day of the month on which a new cycle starts and a stopped instance is started again.'));
+            for (var day = 1; day <= 28; day++)
+                o.value(String(day));
+            o.default = '1';
+            o.modalonly = true;
+        };
+
+        // 由 phantun-watchdog 服务执行；进程仍在但隧道不通时 procd 的 respawn 不会介入
+        var addWatchdogOptions = function (s) {
+            s.tab('watchdog', _('Watchdog'));
+
+            o = s.taboption('watchdog', form.Flag, 'watchdog', _('Enable Watchdog'),
+                _('Ping a probe target periodically and restart only this instance when it stops answering.'));
+            o.default = '0';
+            o.modalonly = true;
+
+            o = s.taboption('watchdog', form.Value, 'watchdog_target', _('Probe Target'),
+                _('Address that only answers while the tunnel works: the peer\'s address inside the tunnel (e.g. its WireGuard address) or a host behind it.'));
+            o.datatype = 'host';
+            o.placeholder = '10.0.0.1';
+            o.rmempty = false;
+            o.depends('watchdog', '1');
+            o.modalonly = true;
+
+            o = s.taboption('watchdog', form.Value, 'watchdog_interval', _('Probe Interval (s)'));
+            o.datatype = 'range(10,3600)';
+            o.placeholder = '60';
+            o.depends('watchdog', '1');
+            o.modalonly = true;
+
+            o = s.taboption('watchdog', form.Value, 'watchdog_threshold', _('Failure Threshold'),
+                _('Consecutive failed probes before the instance is restarted.'));
+            o.datatype = 'range(1,100)';
+            o.placeholder = '3';
+            o.depends('watchdog', '1');
+            o.modalonly = true;
+        };
+
+        // 由 phantun.init 传给 procd 的 respawn 参数，仅在全局“出错时重试”启用时生效
+        var addRespawnOptions = function (s) {
+            s.tab('respawn', _('Respawn'));
+
+            o = s.taboption('respawn', form.Value, 'respawn_threshold', _('Crash Threshold (s)'),
+                _('An exit within this many seconds of starting counts as a crash. Only used while "Retry on Error" is enabled in the global settings.'));
+            o.datatype = 'range(1,86400)';
+            o.placeholder = '3600';
+            o.modalonly = true;
+
+            o = s.taboption('respawn', form.Value, 'respawn_timeout', _('Restart Delay (s)'),
+                _('Seconds procd waits before restarting the instance.'));
+            o.datatype = 'range(0,3600)';
+            o.placeholder = '5';
+            o.modalonly = true;
+
+            o = s.taboption('respawn', form.Value, 'respawn_retry', _('Crash Retries'),
+                _('Consecutive crashes after which procd gives up and the instance is marked as crash looping. 0 retries forever.'));
+            o.datatype = 'range(0,1000)';
+            o.placeholder = '5';
+            o.modalonly = true;
+        };
+
+        var addCommandPreview = function (s, type) {
+            s.tab('preview', _('Command Preview'));
+
+            o = s.taboption('preview', form.DummyValue, '_command', _('Command Line'),
+                _('The exact command phantun.init will run for the values entered above, including unsaved changes. Highlighted values are defaults filled in by the init script.'));
+            o.modalonly = true;
+            o.renderWidget = function (section_id) {
+                var section = this.section;
+                var pre = E('pre', { 'style': 'white-space: pre-wrap; word-break: break-all; margin: 0;' });
+
+                var update = function () {
+                    L.dom.content(pre, renderArgv(buildPhantunArgv(type, function (name) {
+                        return previewValue(section, section_id, name);
+                    })));
+                };
+
+                // 弹窗挂载到 DOM 后渲染，之后每次编辑都刷新
+                window.requestAnimationFrame(function () {
+                    var root = pre.closest('.cbi-map') || document;
+                    var deferred = function () { window.setTimeout(update, 0); };
+
+                    root.addEventListener('widget-change', deferred);
+                    root.addEventListener('widget-update', deferred);
+                    update();
+                });
+
+                return pre;
+            };
+        };
+
+        // ==================== Command Line Import ====================
+        var showPasteCommandModal = function (defaultType) {
+            var input = E('textarea', {
+                'class': 'cbi-input-textarea',
+                'rows': 4,
+                'style': 'width: 100%; font-family: monospace;',
+                'placeholder': 'phantun_client --local 127.0.0.1:51820 --remote 1.2.3.4:4567'
+            });
+
+            ui.showModal(_('Paste Command Line'), [
+                E('p', {}, _('Paste a phantun_client or phantun_server command line. Recognized flags are mapped onto the instance options, anything else goes into Extra Arguments.')),
+                input,
+                E('div', { 'class': 'right' }, [
+                    E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Cancel')),
+                    ' ',
+                    E('button', {
+                        'class': 'cbi-button cbi-button-positive',
+                        'click': function () {
+                            var parsed;
+
+                            try {
+                                parsed = parsePhantunCommand(input.value);
+                            } catch (err) {
+                                ui.addNotification(null, E('p', err.message), 'error');
+                                return;
+                            }
+
+                            previewParsedCommand(parsed, defaultType);
+                        }
+                    }, _('Parse'))
+                ])
+            ]);
+        };
+
+        var previewParsedCommand = function (parsed, defaultType) {
+            var type = parsed.type || defaultType;
+            var data = { type: type, version: '1.0', timestamp: new Date().toISOString(), configs: [ parsed.config ] };
+            var rows = Object.keys(parsed.config).map(function (key) {
+                var value = parsed.config[key];
+                return E('tr', { 'class': 'tr' }, [
+                    E('td', { 'class': 'td' }, key),
+                    E('td', { 'class': 'td' }, Array.isArray(value) ? value.join(', ') : value)
+                ]);
+            });
+
+            if (!parsed.type)
+                parsed.warnings.unshift(_('The program name does not tell client from server, importing as %s').format(type === 'server' ? _('Server') : _('Client')));
+
+            ui.showModal(_('Import from Command Line'), [
+                E('p', {}, type === 'server' ? _('A new server instance will be created:') : _('A new client instance will be created:')),
+                E('table', { 'class': 'table' }, rows),
+                parsed.warnings.length ? E('div', { 'class': 'alert-message warning' }, [
+                    E('ul', {}, parsed.warnings.map(function (w) { return E('li', {}, w); }))
+                ]) : '',
+                E('div', { 'class': 'right' }, [
+                    E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Cancel')),
+                    ' ',
+                    E('button', {
+                        'class': 'cbi-button cbi-button-positive',
+                        'click': function () {
+                            ui.hideModal();
+                            if (type === 'server')
+                                validateAndImportServers(data);
+                            else
+                                validateAndImportClients(data);
+                        }
+                    }, _('Import'))
+                ])
+            ]);
+        };
+
+        var validateTunAddress = function (section_id, value) {
+            return findTunConflict(section_id, value) || true;
+        };
+
+        // 服务端 DNAT 接管该 TCP 端口的全部入站流量，客户端只占用 local_addr 上的 UDP 端口
+        var validateListenPort = function (section_id, value) {
+            var isServer = this.section.sectiontype === 'server';
+            var addr = isServer ? '0.0.0.0' : (previewValue(this.section, section_id, 'local_addr') || '127.0.0.1');
+
+            if (!value)
+                return true;
+
+            return ports.findConflict('phantun', section_id, isServer ? 'tcp' : 'udp', addr, value) || true;
+        };
+
+        var validateExtraArgs = function (section_id, value) {
+            if (!value)
+                return true;
+
+            var tokens = String(value).trim().split(/\s+/);
+            for (var i = 0; i < tokens.length; i++) {
+                var flag = tokens[i].split('=')[0];
+                if (PHANTUN_MANAGED_FLAGS.indexOf(flag) !== -1)
+                    return _('%s is managed by this page, use the dedicated field instead').format(flag);
+            }
+            return true;
+        };
+
         // ==================== Server Instances ====================
         s = m.section(form.GridSection, 'server', _('Server Instances'),
             _('<b>Server Mode:</b> OpenWrt listens for TCP connections from Phantun clients and forwards to local UDP service.<br/>' +
@@ -583,17 +1488,13 @@ return view.extend({
                 'class': 'cbi-button cbi-button-add',
                 'title': _('Add server instance'),
                 'click': ui.createHandlerFn(this, function () {
-                    return openTransientSectionModal(this, 'server', {
+                    return openTransientSectionModal(this, 'server', Object.assign({
                         enabled: '1',
                         local_port: '4567',
                         remote_addr: '127.0.0.1',
                         remote_port: '51820',
-                        tun_local: '192.168.201.1',
-                        tun_peer: '192.168.201.2',
-                        ipv4_only: '0',
-                        tun_local6: 'fcc9::1',
-                        tun_peer6: 'fcc9::2'
-                    });
+                        ipv4_only: '0'
+                    }, allocateTunAddresses('server')));
                 })
             }, _('Add Server'));
 
@@ -613,6 +1514,19 @@ return view.extend({
             container.appendChild(importBtn);
             container.appendChild(E('span', { 'style': 'margin: 0 5px;' }));
 
+            var pasteBtn = E('button', {
+                'class': 'cbi-button cbi-button-positive',
+                'title': _('Import a server from a phantun command line'),
+                'click': function (ev) {
+                    ev.preventDefault();
+                    ev.stopPropagation();
+                    showPasteCommandModal('server');
+                }
+            }, _('Paste Command'));
+
+            container.appendChild(pasteBtn);
+            container.appendChild(E('span', { 'style': 'margin: 0 5px;' }));
+
             var exportBtn = E('button', {
                 'class': 'cbi-button cbi-button-apply',
                 'title': _('Export server configurations'),
@@ -649,6 +1563,7 @@ return view.extend({
 
         o = s.taboption('basic', form.Value, 'local_port', _('TCP Listen Port'));
         o.datatype = 'port';
+        o.validate = validateListenPort;
         o.rmempty = false;
         o.width = '18%';
 
@@ -663,6 +1578,9 @@ return view.extend({
         o.rmempty = false;
         o.width = '15%';
 
+        addInstanceControls(s, 'server');
+        addPeerAction(s, 'server');
+
         // Advanced Settings
         o = s.taboption('advanced', form.Flag, 'ipv4_only', _('IPv4 Only'),
             _('Only use IPv4. Disables IPv6 addresses on TUN interface.'));
@@ -678,18 +1596,21 @@ return view.extend({
         o = s.taboption('advanced', form.Value, 'tun_local', _('TUN Local IPv4'),
             _('IPv4 address for OS side of TUN interface. Default 192.168.201.1.'));
         o.datatype = 'ip4addr';
+        o.validate = validateTunAddress;
         o.default = '192.168.201.1';
         o.modalonly = true;
 
         o = s.taboption('advanced', form.Value, 'tun_peer', _('TUN Peer IPv4'),
             _('IPv4 address for Phantun side of TUN interface. DNAT rules will redirect to this IP. Default 192.168.201.2.'));
         o.datatype = 'ip4addr';
+        o.validate = validateTunAddress;
         o.default = '192.168.201.2';
         o.modalonly = true;
 
         o = s.taboption('advanced', form.Value, 'tun_local6', _('TUN Local IPv6'),
             _('IPv6 address for OS side of TUN interface. Default fcc9::1.'));
         o.datatype = 'ip6addr';
+        o.validate = validateTunAddress;
         o.default = 'fcc9::1';
         o.depends('ipv4_only', '0');
         o.modalonly = true;
@@ -697,14 +1618,22 @@ return view.extend({
         o = s.taboption('advanced', form.Value, 'tun_peer6', _('TUN Peer IPv6'),
             _('IPv6 address for Phantun side of TUN interface. Default fcc9::2.'));
         o.datatype = 'ip6addr';
+        o.validate = validateTunAddress;
         o.default = 'fcc9::2';
         o.depends('ipv4_only', '0');
         o.modalonly = true;
 
-        o = s.taboption('advanced', form.Value, 'handshake_packet', _('Handshake Packet File'),
-            _('Path to file containing custom handshake packet to send after TCP connection. Advanced feature.'));
+        addHandshakeOption(s);
+
+        o = s.taboption('advanced', form.DynamicList, 'extra_args', _('Extra Arguments'),
+            _('Additional command line arguments that have no dedicated field above.'));
         o.optional = true;
         o.modalonly = true;
+        o.validate = validateExtraArgs;
+
+        addWatchdogOptions(s);
+        addRespawnOptions(s);
+        addCommandPreview(s, 'server');
 
         // ==================== Client Instances ====================
         s = m.section(form.GridSection, 'client', _('Client Instances'),
@@ -723,16 +1652,12 @@ return view.extend({
                 'class': 'cbi-button cbi-button-add',
                 'title': _('Add client instance'),
                 'click': ui.createHandlerFn(this, function () {
-                    return openTransientSectionModal(this, 'client', {
+                    return openTransientSectionModal(this, 'client', Object.assign({
                         enabled: '1',
                         local_addr: '127.0.0.1',
                         local_port: '51820',
-                        tun_local: '192.168.200.1',
-                        tun_peer: '192.168.200.2',
-                        ipv4_only: '0',
-                        tun_local6: 'fcc8::1',
-                        tun_peer6: 'fcc8::2'
-                    });
+                        ipv4_only: '0'
+                    }, allocateTunAddresses('client')));
                 })
             }, _('Add Client'));
 
@@ -752,6 +1677,19 @@ return view.extend({
             container.appendChild(importBtn);
             container.appendChild(E('span', { 'style': 'margin: 0 5px;' }));
 
+            var pasteBtn = E('button', {
+                'class': 'cbi-button cbi-button-positive',
+                'title': _('Import a client from a phantun command line'),
+                'click': function (ev) {
+                    ev.preventDefault();
+                    ev.stopPropagation();
+                    showPasteCommandModal('client');
+                }
+            }, _('Paste Command'));
+
+            container.appendChild(pasteBtn);
+            container.appendChild(E('span', { 'style': 'margin: 0 5px;' }));
+
             var exportBtn = E('button', {
                 'class': 'cbi-button cbi-button-apply',
                 'title': _('Export client configurations'),
@@ -788,6 +1726,7 @@ return view.extend({
 
         o = s.taboption('basic', form.Value, 'local_port', _('Local Listen Port'));
         o.datatype = 'port';
+        o.validate = validateListenPort;
         o.rmempty = false;
         o.width = '18%';
 
@@ -802,6 +1741,9 @@ return view.extend({
         o.rmempty = false;
         o.width = '15%';
 
+        addInstanceControls(s, 'client');
+        addPeerAction(s, 'client');
+
         // Modal Only Options - Basic
         o = s.taboption('basic', form.Value, 'local_addr', _('Local UDP Address'),
             _('IP address to bind for incoming UDP packets. Use 127.0.0.1 for WireGuard/OpenVPN.'));
@@ -824,18 +1766,21 @@ return view.extend({
         o = s.taboption('advanced', form.Value, 'tun_local', _('TUN Local IPv4'),
             _('IPv4 address for OS side of TUN interface. Default 192.168.200.1.'));
         o.datatype = 'ip4addr';
+        o.validate = validateTunAddress;
         o.default = '192.168.200.1';
         o.modalonly = true;
 
         o = s.taboption('advanced', form.Value, 'tun_peer', _('TUN Peer IPv4'),
             _('IPv4 address for Phantun side of TUN interface. MASQUERADE rules will be added for this IP. Default 192.168.200.2.'));
         o.datatype = 'ip4addr';
+        o.validate = validateTunAddress;
         o.default = '192.168.200.2';
         o.modalonly = true;
 
         o = s.taboption('advanced', form.Value, 'tun_local6', _('TUN Local IPv6'),
             _('IPv6 address for OS side of TUN interface. Default fcc8::1.'));
         o.datatype = 'ip6addr';
+        o.validate = validateTunAddress;
         o.default = 'fcc8::1';
         o.depends('ipv4_only', '0');
         o.modalonly = true;
@@ -843,23 +1788,81 @@ return view.extend({
         o = s.taboption('advanced', form.Value, 'tun_peer6', _('TUN Peer IPv6'),
             _('IPv6 address for Phantun side of TUN interface. Default fcc8::2.'));
         o.datatype = 'ip6addr';
+        o.validate = validateTunAddress;
         o.default = 'fcc8::2';
         o.depends('ipv4_only', '0');
         o.modalonly = true;
 
-        o = s.taboption('advanced', form.Value, 'handshake_packet', _('Handshake Packet File'),
-            _('Path to file containing custom handshake packet to send after TCP connection. Advanced feature.'));
+        addHandshakeOption(s);
+
+        o = s.taboption('advanced', form.DynamicList, 'extra_args', _('Extra Arguments'),
+            _('Additional command line arguments that have no dedicated field above.'));
         o.optional = true;
         o.modalonly = true;
+        o.validate = validateExtraArgs;
+
+        addQuotaOptions(s);
+        addWatchdogOptions(s);
+        addRespawnOptions(s);
+        addCommandPreview(s, 'client');
+
+        // 保存前确认被引用的握手包文件存在；phantun.init 会静默跳过缺失的文件
+        var confirmHandshakeFiles = function () {
+            var refs = {};
+
+            return m.parse().then(function () {
+                uci.sections('phantun').forEach(function (s) {
+                    if ((s['.type'] === 'client' || s['.type'] === 'server') && s.handshake_packet) {
+                        refs[s.handshake_packet] = refs[s.handshake_packet] || [];
+                        refs[s.handshake_packet].push(s.alias || s['.name']);
+                    }
+                });
+
+                return Promise.all(Object.keys(refs).map(function (path) {
+                    return L.resolveDefault(fs.stat(path), null).then(function (st) {
+                        return (st && st.type === 'file') ? null : path;
+                    });
+                }));
+            }).then(function (missing) {
+                missing = missing.filter(function (path) { return path; });
+                if (missing.length === 0)
+                    return true;
+
+                return new Promise(function (resolve) {
+                    ui.showModal(_('Missing Handshake Packet Files'), [
+                        E('p', {}, _('These files do not exist on this router. phantun.init skips a missing file, so the instances listed will start without a handshake packet.')),
+                        E('ul', {}, missing.map(function (path) {
+                            return E('li', {}, [ E('code', {}, path), ' — ', refs[path].join(', ') ]);
+                        })),
+                        E('div', { 'class': 'right' }, [
+                            E('button', {
+                                'class': 'cbi-button cbi-button-neutral',
+                                'click': function () { ui.hideModal(); resolve(false); }
+                            }, _('Cancel')),
+                            ' ',
+                            E('button', {
+                                'class': 'cbi-button cbi-button-positive',
+                                'click': function () { ui.hideModal(); resolve(true); }
+                            }, _('Save Anyway'))
+                        ])
+                    ]);
+                });
+            });
+        };
 
         // ==================== Override Save / Reset On View Level ====================
         this.handleSave = function () {
             cleanupTransientSections();
             pruneIncompleteSections();
 
-            return m.save(null, true).then(function () {
-                ui.addNotification(null, E('p', _('Configuration saved successfully')), 'info');
-                setTimeout(function () { window.location.reload(); }, 800);
+            return confirmHandshakeFiles().then(function (proceed) {
+                if (!proceed)
+                    return;
+
+                return m.save(null, true).then(function () {
+                    ui.addNotification(null, E('p', _('Configuration saved successfully')), 'info');
+                    setTimeout(function () { window.location.reload(); }, 800);
+                });
             });
         };
 
@@ -867,22 +1870,27 @@ return view.extend({
             cleanupTransientSections();
             pruneIncompleteSections();
 
-            return m.save(null, true).then(function () {
-                ui.showModal(_('Applying Configuration'), [
-                    E('p', { 'class': 'spinning' }, _('Saving configuration...'))
-                ]);
-
-                var general = uci.sections('phantun', 'general')[0];
-                var enabled = general ? uci.get('phantun', general['.name'], 'enabled') : '0';
-                var action = enabled === '1' ? 'restart' : 'stop';
+            return confirmHandshakeFiles().then(function (proceed) {
+                if (!proceed)
+                    return;
 
-                return callInitAction('phantun', action).then(function () {
-                    ui.hideModal();
-                    ui.addNotification(null, E('p', _('Configuration applied successfully')), 'info');
-                    setTimeout(function () { window.location.reload(); }, 1500);
-                }).catch(function (err) {
-                    ui.hideModal();
-                    ui.addNotification(null, E('p', _('Configuration saved but failed to control service: ') + (err.message || err)), 'error');
+                return m.save(null, true).then(function () {
+                    ui.showModal(_('Applying Configuration'), [
+                        E('p', { 'class': 'spinning' }, _('Saving configuration...'))
+                    ]);
+
+                    var general = uci.sections('phantun', 'general')[0];
+                    var enabled = general ? uci.get('phantun', general['.name'], 'enabled') : '0';
+                    var action = enabled === '1' ? 'restart' : 'stop';
+
+                    return callInitAction('phantun', action).then(function () {
+                        ui.hideModal();
+                        ui.addNotification(null, E('p', _('Configuration applied successfully')), 'info');
+                        setTimeout(function () { window.location.reload(); }, 1500);
+                    }).catch(function (err) {
+                        ui.hideModal();
+                        ui.addNotification(null, E('p', _('Configuration saved but failed to control service: ') + (err.message || err)), 'error');
+                    });
                 });
             });
         };
@@ -1031,6 +2039,8 @@ return view.extend({
             return mapEl;
         };
 
+        poll.add(refreshInstanceStates, 5);
+
         return m.render();
     }
 });
\ No newline at end of file
@@ -0,0 +1,258 @@
+/**
+ * 标题: phantun/handshake.js
+ * 作者: reyan
+ * 日期: 2026-10-19
+ * 版本: 1.0.0
+ * 描述: LuCI Phantun 握手包管理页，上传、预览、删除 /etc/phantun/handshake 中的握手包文件，并可从内置模板生成。
+ * 最近三次更新:
+ *   - 2026-10-19: 新增握手包管理页（上传、十六进制/ASCII 预览、HTTP 与 TLS ClientHello 模板、引用实例显示）。
+ */
+
+'use strict';
+'require view';
+'require ui';
+'require uci';
+'require phantun.handshake as handshake';
+
+return view.extend({
+    title: _('Handshake Packets'),
+
+    load: function () {
+        return Promise.all([
+            handshake.list(),
+            uci.load('phantun')
+        ]);
+    },
+
+    // 引用某个文件的实例别名
+    usedBy: function (name) {
+        var path = handshake.path(name);
+
+        return uci.sections('phantun').filter(function (s) {
+            return (s['.type'] === 'client' || s['.type'] === 'server') && s.handshake_packet === path;
+        }).map(function (s) {
+            return s.alias || s['.name'];
+        });
+    },
+
+    renderRows: function (files) {
+        var self = this;
+
+        if (files.length === 0) {
+            return [
+                E('tr', { 'class': 'tr' }, [
+                    E('td', { 'class': 'td', 'colspan': '4', 'style': 'text-align: center; color: #888;' },
+                        _('No handshake packet files stored yet'))
+                ])
+            ];
+        }
+
+        return files.map(function (f) {
+            var users = self.usedBy(f.name);
+
+            return E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td' }, E('code', {}, f.name)),
+                E('td', { 'class': 'td' }, _('%d bytes').format(f.size)),
+                E('td', { 'class': 'td' }, users.length ? users.join(', ') : E('em', { 'style': 'color: #888;' }, _('unused'))),
+                E('td', { 'class': 'td' }, [
+                    E('button', {
+                        'class': 'cbi-button cbi-button-action',
+                        'click': ui.createHandlerFn(self, 'handlePreview', f.name)
+                    }, _('Preview')),
+                    ' ',
+                    E('button', {
+                        'class': 'cbi-button cbi-button-remove',
+                        'click': ui.createHandlerFn(self, 'handleRemove', f.name, users)
+                    }, _('Delete'))
+                ])
+            ]);
+        });
+    },
+
+    handleRefresh: function () {
+        var self = this;
+
+        return handshake.list().then(function (files) {
+            var tableEl = document.getElementById('handshake-files-table');
+
+            tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+            self.renderRows(files).forEach(function (r) { tableEl.appendChild(r); });
+        });
+    },
+
+    handlePreview: function (name) {
+        return handshake.read(name).then(function (bytes) {
+            ui.showModal(_('Handshake Packet: %s').format(name), [
+                E('p', {}, [ E('code', {}, handshake.path(name)), ' — ', _('%d bytes').format(bytes.length) ]),
+                E('pre', { 'style': 'max-height: 400px; overflow: auto; font-size: 12px;' }, handshake.hexdump(bytes)),
+                E('div', { 'class': 'right' }, [
+                    E('button', { 'class': 'cbi-button', 'click': ui.hideModal }, _('Close'))
+                ])
+            ]);
+        }).catch(function (err) {
+            ui.addNotification(null, E('p', _('Failed to read %s: %s').format(name, err.message || err)), 'error');
+        });
+    },
+
+    handleRemove: function (name, users) {
+        var self = this;
+        var message = users.length
+            ? _('%s is used by %s. Those instances will start without a custom handshake packet. Delete it anyway?').format(name, users.join(', '))
+            : _('Delete %s?').format(name);
+
+        if (!confirm(message))
+            return;
+
+        return handshake.remove(name).then(function () {
+            return self.handleRefresh();
+        }).catch(function (err) {
+            ui.addNotification(null, E('p', _('Failed to delete %s: %s').format(name, err.message || err)), 'error');
+        });
+    },
+
+    // 同名文件会被覆盖，先确认
+    confirmOverwrite: function (name) {
+        return handshake.list().then(function (files) {
+            return !files.some(function (f) { return f.name === name; }) ||
+                confirm(_('%s already exists. Overwrite it?').format(name));
+        });
+    },
+
+    handleUpload: function (ev) {
+        var self = this;
+        var input = ev.target;
+        var file = input.files[0];
+        var name = file ? file.name.replace(/[^A-Za-z0-9._-]/g, '_').replace(/^[._-]+/, '') : '';
+
+        if (!file)
+            return;
+
+        input.value = '';
+
+        if (!handshake.isValidName(name)) {
+            ui.addNotification(null, E('p', _('Invalid file name: %s').format(file.name)), 'error');
+            return;
+        }
+
+        return this.confirmOverwrite(name).then(function (ok) {
+            if (!ok)
+                return;
+
+            return handshake.upload(name, file).then(function () {
+                ui.addNotification(null, E('p', _('Uploaded %s').format(name)), 'info');
+                return self.handleRefresh();
+            });
+        }).catch(function (err) {
+            ui.addNotification(null, E('p', _('Upload failed: %s').format(err.message || err)), 'error');
+        });
+    },
+
+    handleTemplate: function () {
+        var self = this;
+        var templateSelect = E('select', { 'class': 'cbi-input-select' }, Object.keys(handshake.templates).map(function (key) {
+            return E('option', { 'value': key }, handshake.templates[key].title);
+        }));
+        var hostInput = E('input', { 'class': 'cbi-input-text', 'type': 'text', 'value': 'www.example.com' });
+        var nameInput = E('input', { 'class': 'cbi-input-text', 'type': 'text', 'value': 'http.bin' });
+
+        templateSelect.addEventListener('change', function () {
+            nameInput.value = templateSelect.value + '.bin';
+        });
+
+        ui.showModal(_('Create From Template'), [
+            E('p', {}, _('Templates only imitate the first bytes of a common protocol so the TCP stream looks less like a tunnel. The host name is sent in clear text.')),
+            E('div', { 'class': 'cbi-value' }, [
+                E('label', { 'class': 'cbi-value-title' }, _('Template')),
+                E('div', { 'class': 'cbi-value-field' }, templateSelect)
+            ]),
+            E('div', { 'class': 'cbi-value' }, [
+                E('label', { 'class': 'cbi-value-title' }, _('Host name')),
+                E('div', { 'class': 'cbi-value-field' }, hostInput)
+            ]),
+            E('div', { 'class': 'cbi-value' }, [
+                E('label', { 'class': 'cbi-value-title' }, _('File name')),
+                E('div', { 'class': 'cbi-value-field' }, nameInput)
+            ]),
+            E('div', { 'class': 'right' }, [
+                E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Cancel')),
+                ' ',
+                E('button', {
+                    'class': 'cbi-button cbi-button-positive',
+                    'click': ui.createHandlerFn(self, function () {
+                        var name = nameInput.value.trim();
+                        var host = hostInput.value.trim();
+
+                        if (!handshake.isValidName(name)) {
+                            ui.addNotification(null, E('p', _('Invalid file name: %s').format(name)), 'error');
+                            return;
+                        }
+                        if (!/^[A-Za-z0-9.-]+$/.test(host)) {
+                            ui.addNotification(null, E('p', _('Invalid host name: %s').format(host)), 'error');
+                            return;
+                        }
+
+                        return self.confirmOverwrite(name).then(function (ok) {
+                            if (!ok)
+                                return;
+
+                            return handshake.writeTemplate(name, templateSelect.value, host).then(function () {
+                                ui.hideModal();
+                                return self.handleRefresh();
+                            });
+                        }).catch(function (err) {
+                            ui.addNotification(null, E('p', _('Upload failed: %s').format(err.message || err)), 'error');
+                        });
+                    })
+                }, _('Create'))
+            ])
+        ]);
+    },
+
+    render: function (data) {
+        var self = this;
+        var fileInput = E('input', {
+            'type': 'file',
+            'style': 'display: none;',
+            'change': ui.createHandlerFn(self, 'handleUpload')
+        });
+
+        return E('div', { 'class': 'cbi-map' }, [
+            E('h2', {}, _('Handshake Packets')),
+            E('div', { 'class': 'cbi-map-descr' },
+                _('Files stored in %s can be selected as the handshake packet of a phantun instance. After the TCP handshake the file content is sent as the first data packet, so it must not exceed %d bytes.').format(handshake.dir, handshake.maxSize)),
+
+            E('div', { 'class': 'cbi-section' }, [
+                E('table', { 'class': 'table cbi-section-table', 'id': 'handshake-files-table' }, [
+                    E('tr', { 'class': 'tr table-titles' }, [
+                        E('th', { 'class': 'th' }, _('File')),
+                        E('th', { 'class': 'th' }, _('Size')),
+                        E('th', { 'class': 'th' }, _('Used by')),
+                        E('th', { 'class': 'th' }, _('Actions'))
+                    ])
+                ].concat(this.renderRows(data[0]))),
+
+                E('div', { 'class': 'right', 'style': 'margin-top: 10px;' }, [
+                    fileInput,
+                    E('button', {
+                        'class': 'cbi-button cbi-button-neutral',
+                        'click': ui.createHandlerFn(self, 'handleRefresh')
+                    }, _('Refresh')),
+                    ' ',
+                    E('button', {
+                        'class': 'cbi-button cbi-button-add',
+                        'click': ui.createHandlerFn(self, 'handleTemplate')
+                    }, _('Create From Template…')),
+                    ' ',
+                    E('button', {
+                        'class': 'cbi-button cbi-button-action',
+                        'click': function () { fileInput.click(); }
+                    }, _('Upload…'))
+                ])
+            ])
+        ]);
+    },
+
+    handleSave: null,
+    handleSaveApply: null,
+    handleReset: null
+});
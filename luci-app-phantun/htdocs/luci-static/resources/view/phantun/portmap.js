@@ -0,0 +1,89 @@
+/**
+ * 标题: phantun/portmap.js
+ * 作者: reyan
+ * 日期: 2026-10-19
+ * 版本: 1.0.0
+ * 描述: LuCI 端口映射页，列出 phantun / udp2raw / udpspeeder 实例、WireGuard 与系统服务占用的监听端口。
+ * 最近三次更新:
+ *   - 2026-10-19: 新增端口映射页，标记同协议同端口的冲突项。
+ */
+
+'use strict';
+'require view';
+'require ui';
+'require phantun.ports as ports';
+
+return view.extend({
+    title: _('Port Map'),
+
+    load: function () {
+        return ports.load();
+    },
+
+    renderRows: function () {
+        var rows = ports.getPortMap();
+
+        if (rows.length === 0) {
+            return [
+                E('tr', { 'class': 'tr' }, [
+                    E('td', { 'class': 'td', 'colspan': '5', 'style': 'text-align: center; color: #888;' },
+                        _('No listening ports found'))
+                ])
+            ];
+        }
+
+        return rows.map(function (e) {
+            return E('tr', { 'class': 'tr', 'style': e.conflict ? 'background: #fdecea;' : '' }, [
+                E('td', { 'class': 'td' }, e.port),
+                E('td', { 'class': 'td' }, e.proto.toUpperCase()),
+                E('td', { 'class': 'td' }, e.addr || '*'),
+                E('td', { 'class': 'td' }, e.label),
+                E('td', { 'class': 'td' }, e.conflict
+                    ? E('span', { 'style': 'color: #d9534f; font-weight: bold;' }, _('Conflict'))
+                    : (e.config ? _('Configured') : _('System')))
+            ]);
+        });
+    },
+
+    handleRefresh: function () {
+        var self = this;
+
+        return ports.load().then(function () {
+            var tableEl = document.getElementById('port-map-table');
+
+            tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+            self.renderRows().forEach(function (r) { tableEl.appendChild(r); });
+        });
+    },
+
+    render: function () {
+        return E('div', { 'class': 'cbi-map' }, [
+            E('h2', {}, _('Port Map')),
+            E('div', { 'class': 'cbi-map-descr' },
+                _('Listening ports of all phantun, udp2raw and udpspeeder instances, WireGuard interfaces and other services currently bound on this router. Entries sharing a protocol, port and address are marked as conflicts.')),
+
+            E('div', { 'class': 'cbi-section' }, [
+                E('table', { 'class': 'table cbi-section-table', 'id': 'port-map-table' }, [
+                    E('tr', { 'class': 'tr table-titles' }, [
+                        E('th', { 'class': 'th' }, _('Port')),
+                        E('th', { 'class': 'th' }, _('Protocol')),
+                        E('th', { 'class': 'th' }, _('Address')),
+                        E('th', { 'class': 'th' }, _('Owner')),
+                        E('th', { 'class': 'th' }, _('Status'))
+                    ])
+                ].concat(this.renderRows())),
+
+                E('div', { 'class': 'right', 'style': 'margin-top: 10px;' }, [
+                    E('button', {
+                        'class': 'cbi-button cbi-button-neutral',
+                        'click': ui.createHandlerFn(this, 'handleRefresh')
+                    }, _('Refresh'))
+                ])
+            ])
+        ]);
+    },
+
+    handleSave: null,
+    handleSaveApply: null,
+    handleReset: null
+});
@@ -1,29 +1,44 @@
 /**
  * 标题: phantun/status.js
  * 作者: reyan
- * 日期: 2026-03-08
- * 版本: 1.1.0
- * 描述: LuCI Phantun 状态页，负责展示服务状态、日志、TUN 诊断与规则检查。
+ * 日期: 2026-10-19
+ * 版本: 1.13.0
+ * 描述: LuCI Phantun 状态页，负责展示服务状态、日志、TUN 诊断、流量曲线与规则检查。
  * 最近三次更新:
- *   - 2026-03-08: 修复日志面板“Scroll to Top”按钮目标元素错误。
- *   - 2026-03-08: 当运行态缺少 iptables-save / ip6tables-save 时改为友好降级提示。
- *   - 2026-03-08: 继续保留轮询刷新与多实例状态诊断逻辑。
+ *   - 2026-10-19: 新增“进程重启”表，显示 procd 重启次数、上次重启时间与退出码，procd 放弃重启的实例标为崩溃循环。
+ *   - 2026-10-19: 进程按 procd 实例名与命令行参数对应到实例，隧道表显示 PID、运行时长、内存与 CPU，标出不属于任何实例的进程。
+ *   - 2026-10-19: 每次轮询只调用一次 luci.phantun snapshot，MD5 只在打开页面时读取；标签页隐藏时暂停刷新，操作后短时加快刷新。
  */
 
 'use strict';
 'require view';
 'require fs';
 'require ui';
-'require uci';
 'require rpc';
 'require poll';
+'require phantun.firewall as firewall';
+'require phantun.traffic as traffic';
+'require phantun.logstream as logstream';
+
+var USAGE_COLLECTOR = '/usr/libexec/phantun-usage';
+var PROBE = '/usr/libexec/phantun-probe';
+var WATCHDOG_EVENT_ROWS = 20;
+var DEFAULT_LOG_LINES = 500;
+var FAST_POLL_INTERVAL = 1;     // 控制操作后的刷新间隔（秒）
+var FAST_POLL_DURATION = 15;    // 加快刷新持续的秒数
+var LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
 
 var lastClearTime = null;
-var clearedLogCount = 0;  // Track number of logs when cleared
-var callServiceList = rpc.declare({
-    object: 'service',
-    method: 'list',
-    params: ['name'],
+var callBinaryInfo = rpc.declare({
+    object: 'luci.phantun',
+    method: 'binary_info',
+    expect: { binaries: {} }
+});
+
+var callSnapshot = rpc.declare({
+    object: 'luci.phantun',
+    method: 'snapshot',
+    params: ['since', 'logs'],
     expect: { '': {} }
 });
 
@@ -31,7 +46,17 @@ return view.extend({
     title: _('Phantun Status'),
 
     pollInterval: 5,
-    logPollFn: null,
+    pollFastUntil: 0,
+    lastPoll: 0,
+    pending: null,
+    lastStatus: null,
+    md5s: {},
+    cpuSamples: {},     // 上次轮询各 PID 的 CPU 时间，用于计算 CPU 占用
+    logPaused: false,
+    logLines: [],
+    logMaxLines: DEFAULT_LOG_LINES,
+    logPids: {},
+    logFilter: { instance: '', level: '', text: '', range: 0 },
 
     cleanText: function (str) {
         if (!str) return '';
@@ -50,147 +75,484 @@ return view.extend({
         return '#ddd'; // Default color for info
     },
 
-    getServiceStatus: function () {
-        return Promise.all([
-            L.resolveDefault(callServiceList('phantun'), {}),
-            L.resolveDefault(fs.exec('/bin/sh', ['-c', 'pgrep -f \"phantun_server|phantun_client\"']), {})
-        ]).then(function (results) {
-            var serviceList = results[0];
-            var psOutput = results[1];
-
-            var instances = {};
-            var isRunning = false;
-
-            // Check service list first
-            if (serviceList && serviceList.phantun && serviceList.phantun.instances) {
-                for (var key in serviceList.phantun.instances) {
-                    var inst = serviceList.phantun.instances[key];
-                    if (inst && inst.running) {
-                        isRunning = true;
-                        instances[key] = {
-                            pid: inst.pid,
-                            command: Array.isArray(inst.command) ? inst.command.join(' ') : ''
-                        };
-                    }
-                }
+    /**
+     * 日志级别：取 syslog 优先级，procd 转发的程序输出一律是 daemon.info，
+     * 因此再按正文中的关键字提升或降低
+     */
+    getLogLevel: function (line) {
+        var lowerLine = line.toLowerCase();
+        var m = lowerLine.match(/\.(emerg|alert|crit|err|warn|notice|info|debug)\b/);
+        var prio = m ? m[1] : 'info';
+
+        if (/^(emerg|alert|crit|err)$/.test(prio) || /\b(err|error|fail\w*|panic)\b/.test(lowerLine))
+            return 'error';
+        if (prio === 'warn' || /\bwarn(ing)?\b/.test(lowerLine))
+            return 'warn';
+        if (prio === 'debug' || /\b(debug|trace)\b/.test(lowerLine))
+            return 'debug';
+        return 'info';
+    },
+
+    /**
+     * 记录各实例的 PID。实例重启后旧 PID 仍保留，本页打开期间的历史日志也能归到实例
+     */
+    trackLogPids: function (serviceStatus) {
+        var self = this;
+
+        Object.keys(serviceStatus.instances).forEach(function (key) {
+            var pid = serviceStatus.instances[key].pid;
+            if (pid)
+                self.logPids[pid] = key.replace(/^(client|server)_/, '');
+        });
+    },
+
+    // 按进程 PID，或 init 脚本与辅助脚本写入的 [section] 前缀判断日志所属实例
+    matchLogInstance: function (line, id) {
+        var m = line.match(/\[(\d+)\]:/);
+        if (m && this.logPids[m[1]] === id)
+            return true;
+        return line.indexOf('[' + id + ']') !== -1;
+    },
+
+    /**
+     * 按当前筛选条件过滤日志（最新在前）。清理标记始终保留；
+     * 设置时间范围时，无法解析时间的行被排除
+     */
+    filterLogs: function (lines) {
+        var self = this;
+        var f = this.logFilter;
+        var minLevel = f.level ? LOG_LEVELS[f.level] : 0;
+        var since = f.range ? new Date(Date.now() - f.range * 60000) : null;
+        var pattern = this.getLogPattern(f.text);
+
+        return lines.filter(function (line) {
+            if (line.indexOf('===') === 0)
+                return true;
+            if (f.instance && !self.matchLogInstance(line, f.instance))
+                return false;
+            if (minLevel && LOG_LEVELS[self.getLogLevel(line)] < minLevel)
+                return false;
+            if (pattern && !pattern.test(line))
+                return false;
+            if (since) {
+                var logTime = self.parseLogTime(line);
+                if (!logTime || logTime < since)
+                    return false;
             }
+            return true;
+        });
+    },
 
-            // Fallback: check if processes exist (pgrep returns 0 if found, non-zero if not found)
-            if (!isRunning && psOutput && psOutput.code === 0 && psOutput.stdout && psOutput.stdout.trim()) {
-                isRunning = true;
+    /**
+     * 搜索文本：/.../ 形式按正则（可带标志），否则不区分大小写的子串匹配。
+     * 正则无效时返回 false
+     */
+    getLogPattern: function (text) {
+        if (!text)
+            return null;
+
+        var m = text.match(/^\/(.+)\/([gimsuy]*)$/);
+        if (m) {
+            try {
+                return new RegExp(m[1], m[2].replace('g', ''));
+            } catch (e) {
+                return false;
             }
+        }
 
-            return { running: isRunning, instances: instances };
-        });
+        return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
     },
 
-    getTunnelConfigs: function () {
-        return uci.load('phantun').then(function () {
-            var tunnels = [];
-            var sections = uci.sections('phantun');
+    renderLogFilters: function (tunnels) {
+        var self = this;
+        var f = this.logFilter;
+        var update = function () { self.updateLogView(document); };
 
-            sections.forEach(function (s) {
-                if (s['.type'] === 'general') return;
+        var option = function (value, label, selected) {
+            return E('option', { 'value': value, 'selected': selected ? 'selected' : null }, label);
+        };
 
-                var mode = s['.type']; // 'client' or 'server'
-                var localStr = '?';
-                var remoteStr = '?';
+        var textInput = E('input', {
+            'class': 'cbi-input-text',
+            'type': 'text',
+            'id': 'log-filter-text',
+            'value': f.text,
+            'placeholder': _('Text or /regex/'),
+            'style': 'width: 200px;',
+            'input': function (ev) {
+                f.text = ev.target.value;
+                ev.target.style.borderColor = self.getLogPattern(f.text) === false ? '#d9534f' : '';
+                update();
+            }
+        });
 
-                if (mode === 'server') {
-                    var listenPort = s.local_port || '4567';
-                    var target = s.remote_addr || '127.0.0.1';
-                    var targetPort = s.remote_port || '51820';
-                    localStr = '0.0.0.0:' + listenPort + ' (TCP)';
-                    remoteStr = target + ':' + targetPort + ' (UDP)';
-                } else {
-                    var localIP = s.local_addr || '127.0.0.1';
-                    var localPort = s.local_port || '51820';
-                    var serverIP = s.remote_addr || '?';
-                    var serverPort = s.remote_port || '?';
-                    localStr = localIP + ':' + localPort + ' (UDP)';
-                    remoteStr = serverIP + ':' + serverPort + ' (TCP)';
-                }
+        return E('div', { 'style': 'display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin-bottom: 8px;' }, [
+            E('select', {
+                'class': 'cbi-input-select',
+                'change': function (ev) { f.instance = ev.target.value; update(); }
+            }, [option('', _('All instances'), !f.instance)].concat(tunnels.map(function (t) {
+                return option(t.id, t.alias, f.instance === t.id);
+            }))),
+            E('select', {
+                'class': 'cbi-input-select',
+                'change': function (ev) { f.level = ev.target.value; update(); }
+            }, [
+                option('', _('All levels'), !f.level),
+                option('info', _('Info and above'), f.level === 'info'),
+                option('warn', _('Warnings and errors'), f.level === 'warn'),
+                option('error', _('Errors only'), f.level === 'error')
+            ]),
+            E('select', {
+                'class': 'cbi-input-select',
+                'change': function (ev) { f.range = +ev.target.value; update(); }
+            }, [
+                option(0, _('Any time'), !f.range),
+                option(15, _('Last 15 minutes'), f.range === 15),
+                option(60, _('Last hour'), f.range === 60),
+                option(360, _('Last 6 hours'), f.range === 360),
+                option(1440, _('Last 24 hours'), f.range === 1440)
+            ]),
+            textInput,
+            E('span', { 'id': 'log-filter-count', 'style': 'color: #888; font-size: 0.9em;' }, '')
+        ]);
+    },
 
-                tunnels.push({
-                    id: s['.name'],
-                    alias: s.alias || s['.name'],
-                    mode: mode,
-                    disabled: s.enabled === '0',
-                    local: localStr,
-                    remote: remoteStr,
-                    tun_local: s.tun_local || (mode === 'server' ? '192.168.201.1' : '192.168.200.1'),
-                    tun_peer: s.tun_peer || (mode === 'server' ? '192.168.201.2' : '192.168.200.2')
-                });
+    renderLogLine: function (line) {
+        var div = document.createElement('div');
+        div.style.color = this.getLogColor(line);
+        div.textContent = line;
+        return div;
+    },
+
+    updateLogCount: function (root, matchedCount) {
+        var countEl = root.querySelector('#log-filter-count');
+        if (countEl)
+            countEl.textContent = _('%d of %d lines').format(matchedCount, this.logLines.length);
+    },
+
+    // root 为 document 或尚未挂载的页面容器
+    updateLogView: function (root) {
+        var self = this;
+        var container = root.querySelector('#syslog-container');
+        var matched = this.filterLogs(this.logLines);
+
+        if (container) {
+            container.innerHTML = '';
+            matched.forEach(function (line) {
+                container.appendChild(self.renderLogLine(line));
             });
-            return tunnels;
-        });
+
+            if (matched.length === 0 && this.logLines.length > 0)
+                container.appendChild(E('div', { 'class': 'log-empty', 'style': 'color: #888;' }, _('No log lines match the filters.')));
+        }
+
+        this.updateLogCount(root, matched.length);
     },
 
-    getRecentLogs: function () {
+    /**
+     * 增量读取的新行插到日志框顶部，超出 logMaxLines 而移出缓存的旧行同时从底部移除；
+     * 全量读取时整体重绘
+     */
+    appendLogs: function (res, root) {
         var self = this;
+        var container = root.querySelector('#syslog-container');
+
+        if (res.reset) {
+            this.logLines = res.lines.slice(0, this.logMaxLines);
+            this.updateLogView(root);
+            return;
+        }
+
+        if (res.lines.length === 0)
+            return;
+
+        this.logLines = res.lines.concat(this.logLines).slice(0, this.logMaxLines);
+
+        var matchedCount = this.filterLogs(this.logLines).length;
 
-        // Get configured log level
-        return uci.load('phantun').then(function () {
-            var generalSections = uci.sections('phantun', 'general');
-            var logLevel = 'info';  // Default
-            if (generalSections.length > 0) {
-                logLevel = generalSections[0].log_level || 'info';
+        if (container) {
+            var fresh = this.filterLogs(res.lines);
+            var first = container.firstChild;
+            var empty = container.querySelector('.log-empty');
+
+            if (empty && fresh.length) {
+                container.removeChild(empty);
+                empty = null;
             }
 
-            return fs.exec('/sbin/logread', ['-e', 'phantun']).then(function (res) {
-                var output = res.stdout || '';
-                if (!output && res.code !== 0) {
-                    return fs.exec('/bin/sh', ['-c', 'logread | grep phantun | tail -n 150']);
-                }
-                return res;
-            }).then(function (res) {
-                var logContent = res.stdout || '';
-                if (!logContent) return [];
-                var lines = logContent.trim().split('\n');
-
-                // Log level priority mapping
-                var levelPriority = {
-                    'trace': 0,
-                    'debug': 1,
-                    'info': 2,
-                    'warn': 3,
-                    'warning': 3,
-                    'error': 4,
-                    'err': 4
-                };
-
-                var selectedPriority = levelPriority[logLevel] || 2;
-
-                // Filter by log level
-                lines = lines.filter(function (line) {
-                    // Extract log level (daemon.info, daemon.warn, daemon.err, etc.)
-                    var match = line.match(/daemon\.(trace|debug|info|warn|warning|err|error)/i);
-                    if (match) {
-                        var linePriority = levelPriority[match[1].toLowerCase()] || 2;
-                        return linePriority >= selectedPriority;
-                    }
-                    return true;  // Show lines without recognizable level
-                });
+            fresh.forEach(function (line) {
+                container.insertBefore(self.renderLogLine(line), first);
+            });
 
-                // If clear was clicked, only show logs after that time
-                if (lastClearTime) {
-                    lines = lines.filter(function (line) {
-                        var logTime = self.parseLogTime(line);
-                        if (logTime) {
-                            return logTime > lastClearTime;
-                        }
-                        // Show marker lines
-                        return line.indexOf('===') >= 0;
-                    });
+            while (container.childNodes.length > matchedCount + (empty ? 1 : 0))
+                container.removeChild(container.lastChild);
+        }
+
+        this.updateLogCount(root, matchedCount);
+    },
+
+    clearMarker: function () {
+        return _('=== Logs Cleared (%s) ===').format(lastClearTime.toLocaleString());
+    },
+
+    downloadLogs: function (lines, prefix) {
+        var blob = new Blob([lines.join('\n') + '\n'], { type: 'text/plain' });
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = prefix + new Date().toISOString().replace(/[:.]/g, '-') + '.txt';
+        a.click();
+        URL.revokeObjectURL(url);
+    },
 
-                    // Add highlighted clear marker at the beginning of filtered logs
-                    var clearMarker = _('=== Logs Cleared (%s) ===').format(lastClearTime.toLocaleString());
-                    lines.unshift(clearMarker);
+    // serviceList 为 ubus service list 的结果，processes 为 luci.phantun status 的进程列表
+    // procd 记录的是 procd 中的全部实例（含已退出、等待重启或放弃重启的），供重启状态使用
+    parseServiceStatus: function (serviceList, processes) {
+        var instances = {};
+        var procd = {};
+        var isRunning = false;
+
+        // Check service list first
+        if (serviceList && serviceList.phantun && serviceList.phantun.instances) {
+            for (var key in serviceList.phantun.instances) {
+                var inst = serviceList.phantun.instances[key];
+                if (inst)
+                    procd[key] = { running: !!inst.running, exit_code: inst.exit_code, respawn: inst.respawn || null };
+                if (inst && inst.running) {
+                    isRunning = true;
+                    instances[key] = {
+                        pid: inst.pid,
+                        command: Array.isArray(inst.command) ? inst.command.join(' ') : ''
+                    };
                 }
+            }
+        }
+
+        // Fallback: phantun processes started outside procd
+        if (!isRunning && Array.isArray(processes) && processes.length) {
+            isRunning = true;
+        }
+
+        return { running: isRunning, instances: instances, procd: procd };
+    },
+
+    /**
+     * phantun-respawn 的状态文件与 procd 实例数据合并为
+     * { <procd 实例名>: { state, restarts, last, exit, limits, looping } }。
+     * limits 为 procd 的 { threshold, timeout, retry }，未启用 respawn 时为 null；
+     * looping 表示 procd 判定崩溃循环后已放弃重启
+     */
+    parseRespawnInfo: function (state, serviceStatus) {
+        var info = {};
+
+        String(state || '').split('\n').forEach(function (line) {
+            var f = line.trim().split(/\s+/);
+            if (f.length < 5) return;
+
+            info[f[0]] = {
+                state: f[1],
+                restarts: +f[2],
+                last: f[3] !== '-' ? +f[3] : null,
+                exit: f[4] !== '-' ? +f[4] : null,
+                limits: null
+            };
+        });
+
+        Object.keys(serviceStatus.procd).forEach(function (key) {
+            var p = serviceStatus.procd[key];
+            var r = info[key] || (info[key] = { state: p.running ? 'running' : 'exited', restarts: 0, last: null, exit: null });
+
+            // procd 的当前状态优先于状态文件，监视程序重启期间可能漏掉事件
+            if (p.running)
+                r.state = 'running';
+            else if (p.exit_code != null)
+                r.exit = p.exit_code;
+            r.limits = p.respawn;
+        });
+
+        Object.keys(info).forEach(function (key) {
+            info[key].looping = info[key].state === 'failed';
+        });
+
+        return info;
+    },
+
+    // 进程命令行是否为该实例：程序、--local 与（配置了时）--tun 与 init 脚本拼出的一致
+    processMatches: function (args, t) {
+        var opt = function (long, short) {
+            for (var i = 1; i < args.length - 1; i++)
+                if (args[i] === long || args[i] === short)
+                    return args[i + 1];
+            return '';
+        };
+
+        return args[0].replace(/^.*\//, '') === 'phantun_' + t.mode &&
+            opt('--local', '-l') === t.listen &&
+            (!t.tun_name || opt('--tun', '') === t.tun_name);
+    },
+
+    /**
+     * 把 luci.phantun status 返回的进程对应到实例：先按 procd 实例的 PID，其余（手动启动的等）
+     * 按命令行参数匹配。返回 { instances: { client_<section>: proc }, unmatched: [proc] }，
+     * proc 为 { pid, command, managed, uptime（秒）, rss（字节）, cpu（%，首次轮询为 null）}
+     */
+    matchProcesses: function (serviceStatus, status, tunnels) {
+        var self = this;
+        var hz = +status.hz || 100;
+        var clock = +status.clock || 0;
+        var result = { instances: {}, unmatched: [] };
+        var samples = {};
+        var pidKeys = {};
+
+        Object.keys(serviceStatus.instances).forEach(function (key) {
+            pidKeys[serviceStatus.instances[key].pid] = key;
+        });
+
+        // procd 管理的进程先分配，手动启动的进程不会占用它们的实例
+        var processes = (status.processes || []).slice().sort(function (a, b) {
+            return (pidKeys[b.pid] ? 1 : 0) - (pidKeys[a.pid] ? 1 : 0);
+        });
+
+        processes.forEach(function (p) {
+            var command = String(p.command || '').trim();
+            var args = command.split(/\s+/);
+            var key = pidKeys[p.pid];
+            var prev = self.cpuSamples[p.pid];
+            var proc = {
+                pid: p.pid,
+                command: command,
+                managed: !!key,
+                uptime: clock >= p.started ? Math.floor((clock - p.started) / hz) : null,
+                rss: (+p.rss || 0) * 1024,
+                cpu: prev && clock > prev.clock ? (p.cpu - prev.cpu) * 100 / (clock - prev.clock) : null
+            };
+
+            samples[p.pid] = { cpu: p.cpu, clock: clock };
+
+            var owner = tunnels.filter(function (t) {
+                var k = t.mode + '_' + t.id;
+                return key ? k === key : !result.instances[k] && self.processMatches(args, t);
+            })[0];
+
+            if (owner)
+                result.instances[owner.mode + '_' + owner.id] = proc;
+            else
+                result.unmatched.push(proc);
+        });
+
+        this.cpuSamples = samples;
+        return result;
+    },
+
+    /**
+     * ubus uci get 返回的 { values: { name: section } } 转为与 uci.sections() 相同顺序的数组
+     */
+    getSections: function (config) {
+        var values = (config && config.values) || {};
+
+        return Object.keys(values).map(function (name) {
+            return values[name];
+        }).sort(function (a, b) {
+            return a['.index'] - b['.index'];
+        });
+    },
 
-                return lines.slice(-150).map(self.cleanText).reverse();
+    // quota_exceeded 由 phantun-usage 在后台写入，配置随每次 snapshot 重新读取
+    getTunnelConfigs: function (sections) {
+        var tunnels = [];
+
+        sections.forEach(function (s) {
+            if (s['.type'] === 'general') return;
+
+            var mode = s['.type']; // 'client' or 'server'
+            var localStr = '?';
+            var remoteStr = '?';
+
+            if (mode === 'server') {
+                var listenPort = s.local_port || '4567';
+                var target = s.remote_addr || '127.0.0.1';
+                var targetPort = s.remote_port || '51820';
+                localStr = '0.0.0.0:' + listenPort + ' (TCP)';
+                remoteStr = target + ':' + targetPort + ' (UDP)';
+            } else {
+                var localIP = s.local_addr || '127.0.0.1';
+                var localPort = s.local_port || '51820';
+                var serverIP = s.remote_addr || '?';
+                var serverPort = s.remote_port || '?';
+                localStr = localIP + ':' + localPort + ' (UDP)';
+                remoteStr = serverIP + ':' + serverPort + ' (TCP)';
+            }
+
+            tunnels.push({
+                id: s['.name'],
+                alias: s.alias || s['.name'],
+                mode: mode,
+                disabled: s.enabled === '0',
+                listen: mode === 'server' ? listenPort : localIP + ':' + localPort,  // init 脚本传给 --local 的值
+                local: localStr,
+                remote: remoteStr,
+                tun_name: s.tun_name || '',
+                tun_local: s.tun_local || (mode === 'server' ? '192.168.201.1' : '192.168.200.1'),
+                tun_peer: s.tun_peer || (mode === 'server' ? '192.168.201.2' : '192.168.200.2'),
+                quota: s.quota || '',
+                quota_exceeded: s.quota_exceeded || ''
             });
         });
+        return tunnels;
+    },
+
+    /**
+     * 按 general 中的 log_level 过滤 logstream 给出的新行并转为最新在前；
+     * 全量读取且点过“清除日志”时只保留清除之后的行
+     */
+    processLogs: function (res, general) {
+        var self = this;
+        var logLevel = general.log_level || 'info';
+
+        self.logMaxLines = +general.log_lines || DEFAULT_LOG_LINES;
+
+        var lines = res.lines;
+
+        // Log level priority mapping
+        var levelPriority = {
+            'trace': 0,
+            'debug': 1,
+            'info': 2,
+            'warn': 3,
+            'warning': 3,
+            'error': 4,
+            'err': 4
+        };
+
+        var selectedPriority = levelPriority[logLevel] || 2;
+
+        // Filter by log level
+        lines = lines.filter(function (line) {
+            // Extract log level (daemon.info, daemon.warn, daemon.err, etc.)
+            var match = line.match(/daemon\.(trace|debug|info|warn|warning|err|error)/i);
+            if (match) {
+                var linePriority = levelPriority[match[1].toLowerCase()] || 2;
+                return linePriority >= selectedPriority;
+            }
+            return true;  // Show lines without recognizable level
+        });
+
+        // If clear was clicked, only show logs after that time
+        if (res.reset && lastClearTime) {
+            lines = lines.filter(function (line) {
+                var logTime = self.parseLogTime(line);
+                if (logTime) {
+                    return logTime > lastClearTime;
+                }
+                // Show marker lines
+                return line.indexOf('===') >= 0;
+            });
+
+            // Add highlighted clear marker at the beginning of filtered logs
+            lines.unshift(self.clearMarker());
+        }
+
+        return { reset: res.reset, lines: lines.map(self.cleanText).reverse() };
     },
 
     // Parse log timestamp more reliably
@@ -220,23 +582,21 @@ return view.extend({
      * Calculate MD5 hash of binary files
      */
     getMD5: function () {
-        return fs.exec('/bin/sh', ['-c', 'md5sum /usr/bin/phantun_client /usr/bin/phantun_server 2>/dev/null || echo "NOTFOUND"'])
-            .then(function (res) {
-                var output = (res.stdout || '').trim();
-
-                if (output.indexOf('NOTFOUND') === 0) {
-                    throw new Error('Binary not found');
-                }
-
-                var lines = output.split('\n');
+        return callBinaryInfo()
+            .then(function (binaries) {
                 var md5s = {};
-                lines.forEach(function (line) {
-                    var match = line.match(/^([a-f0-9]{32})\s+.*\/(phantun_\w+)$/i);
-                    if (match && match[1] && match[2]) {
-                        md5s[match[2]] = match[1].substring(0, 16) + '...';
+
+                Object.keys(binaries || {}).forEach(function (name) {
+                    var info = binaries[name];
+                    if (info && info.installed && info.md5) {
+                        md5s[name] = info.md5.substring(0, 16) + '...';
                     }
                 });
 
+                if (!Object.keys(md5s).length) {
+                    throw new Error('Binary not found');
+                }
+
                 return md5s;
             })
             .catch(function (err) {
@@ -245,144 +605,304 @@ return view.extend({
     },
 
     /**
-     * Check iptables rules
+     * 按实例核对 MASQUERADE / DNAT 规则（nftables 与 iptables 均可）。
+     * 每条预期规则标记 present / missing；属于 phantun 但不在预期内的规则为 orphaned，
+     * 能按网段或端口对应到实例的归入该实例，其余归入 unassigned。
      */
-    checkIptablesRules: function () {
-        return Promise.all([
-            L.resolveDefault(fs.exec('/usr/sbin/iptables-save'), {}),
-            L.resolveDefault(fs.exec('/usr/sbin/ip6tables-save'), {})
-        ]).then(function (results) {
-            var ipv4Res = results[0] || {};
-            var ipv6Res = results[1] || {};
-            var ipv4Output = (results[0] && results[0].stdout) || '';
-            var ipv6Output = (results[1] && results[1].stdout) || '';
-
-            var ipv4Unavailable = ipv4Res.code === 127 || /not found/i.test(ipv4Res.stderr || '');
-            var ipv6Unavailable = ipv6Res.code === 127 || /not found/i.test(ipv6Res.stderr || '');
-
-            if (ipv4Unavailable && ipv6Unavailable) {
-                return {
-                    text: _('iptables tools unavailable in this runtime'),
-                    color: '#f0ad4e',
-                    ipv4: [],
-                    ipv6: []
-                };
-            }
+    checkIptablesRules: function (fw, sections) {
+        if (!fw.source) {
+            return {
+                text: _('Neither nft nor iptables-save is available in this runtime'),
+                color: '#f0ad4e',
+                source: null,
+                instances: [],
+                unassigned: []
+            };
+        }
 
-            var statusText = _('No rules detected');
-            var statusColor = '#f0ad4e';
-            var ruleTypes = [];
-
-            // Strict check: parse output line by line
-            var lines = ipv4Output.split('\n');
-            var masqueradeFound = false;
-            var dnatFound = false;
-            var activeRules = false;
-
-            for (var i = 0; i < lines.length; i++) {
-                var line = lines[i].trim();
-                // Check if line contains relevant IP range AND is a rule (contains -A or -I, or implicitly from iptables-save format which doesn't always show -A for all lines but usually does, or starts with -A)
-                // iptables-save output: -A PREROUTING ...
-                if ((line.indexOf('192.168.200') !== -1 || line.indexOf('192.168.201') !== -1) && line.indexOf('-j') !== -1) {
-                    if (line.indexOf('MASQUERADE') !== -1) masqueradeFound = true;
-                    if (line.indexOf('DNAT') !== -1) dnatFound = true;
-                    activeRules = true;
-                }
-            }
+        var total = 0;
+        var missing = 0;
+        var instances = [];
+        var expectedAll = [];
 
-            // Also accept if specific chain jump exists (though phantun usually uses built-in chains)
-            // If explicit active rules found
-            if (activeRules) {
-                if (masqueradeFound) ruleTypes.push('MASQUERADE');
-                if (dnatFound) ruleTypes.push('DNAT');
-
-                statusColor = '#5cb85c';
-                if (ruleTypes.length > 0) {
-                    statusText = _('Active') + ' (' + ruleTypes.join(', ') + ')';
-                } else {
-                    statusText = _('Active (Rules Detected)');
-                }
-            }
+        sections.forEach(function (s) {
+            if ((s['.type'] !== 'client' && s['.type'] !== 'server') || s.enabled !== '1')
+                return;
 
-            return {
-                text: statusText,
-                color: statusColor,
-                ipv4: ipv4Output.split('\n').filter(function (l) {
-                    return l.indexOf('192.168.200') !== -1 || l.indexOf('192.168.201') !== -1;
-                }),
-                ipv6: ipv6Output.split('\n').filter(function (l) {
-                    return l.indexOf('fcc8') !== -1 || l.indexOf('fcc9') !== -1;
-                })
-            };
+            var checks = firewall.getExpectedRules(s).map(function (expected) {
+                var present = fw.rules.some(function (rule) {
+                    return firewall.ruleMatches(rule, expected);
+                });
+
+                total++;
+                if (!present)
+                    missing++;
+                expectedAll.push(expected);
+
+                return { label: firewall.describeRule(expected), state: present ? 'present' : 'missing' };
+            });
+
+            instances.push({ id: s['.name'], alias: s.alias || s['.name'], mode: s['.type'], section: s, checks: checks });
+        });
+
+        var unassigned = [];
+
+        fw.rules.forEach(function (rule) {
+            if (!firewall.isPhantunRule(rule) || expectedAll.some(function (e) { return firewall.ruleMatches(rule, e); }))
+                return;
+
+            var owner = instances.filter(function (inst) {
+                return firewall.ruleBelongsTo(rule, inst.section);
+            })[0];
+
+            (owner ? owner.checks : unassigned).push({ label: firewall.describeRule(rule), state: 'orphaned' });
+        });
+
+        var orphaned = unassigned.length;
+        instances.forEach(function (inst) {
+            orphaned += inst.checks.filter(function (c) { return c.state === 'orphaned'; }).length;
+        });
+
+        var text = total === 0 ? _('No enabled instances')
+            : missing > 0 ? _('%d of %d expected rules missing').format(missing, total)
+                : _('All expected rules present');
+        if (orphaned > 0)
+            text += ', ' + _('%d orphaned').format(orphaned);
+
+        return {
+            text: text,
+            color: total > 0 && missing === 0 && orphaned === 0 ? '#5cb85c' : '#f0ad4e',
+            source: fw.source,
+            instances: instances,
+            unassigned: unassigned
+        };
+    },
+
+    // Render the rule check summary line (shared between render and update)
+    renderFirewallRules: function (info) {
+        return E('div', {}, [
+            E('span', { 'style': 'color: ' + info.color + '; font-weight: bold;' }, info.text),
+            info.source ? E('span', { 'style': 'margin-left: 10px; color: #888;' }, '(' + info.source + ')') : ''
+        ]);
+    },
+
+    /**
+     * 通过 init 脚本的 reapply 动作只为该实例重新写入 NAT 规则，不重启进程
+     */
+    handleReapply: function (inst) {
+        var self = this;
+        var instance = inst.mode + '_' + inst.id;
+
+        return fs.exec('/etc/init.d/phantun', ['reapply', instance]).then(function (res) {
+            if (res.code !== 0)
+                throw new Error((res.stderr || res.stdout || '').trim() || ('exit code ' + res.code));
+
+            return self.refreshSoon();
         }).catch(function (err) {
-            return {
-                text: _('Check failed'),
-                color: '#d9534f',
-                ipv4: [],
-                ipv6: []
-            };
+            ui.addNotification(null, E('p', _('Failed to re-apply rules for %s: %s').format(inst.alias, err.message || err)), 'error');
         });
     },
 
+    // Helper to render firewall rule rows (shared between render and update)
+    renderFirewallRows: function (info) {
+        var self = this;
+        var stateStyle = {
+            present: { color: '#5cb85c', icon: '✓', label: _('present') },
+            missing: { color: '#d9534f', icon: '✗', label: _('missing') },
+            orphaned: { color: '#f0ad4e', icon: '!', label: _('orphaned') }
+        };
+        var renderChecks = function (checks) {
+            return checks.length > 0 ? checks.map(function (c) {
+                var st = stateStyle[c.state];
+                return E('div', { 'style': 'color: ' + st.color + ';' }, st.icon + ' ' + c.label + ' (' + st.label + ')');
+            }) : E('span', { 'style': 'color: #888;' }, '-');
+        };
+
+        var rows = info.instances.map(function (inst) {
+            return E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td' }, inst.alias),
+                E('td', { 'class': 'td' }, inst.mode === 'server' ? _('Server') : _('Client')),
+                E('td', { 'class': 'td' }, renderChecks(inst.checks)),
+                E('td', { 'class': 'td' }, E('button', {
+                    'class': 'cbi-button cbi-button-action',
+                    'title': _('Re-add the NAT rules of this instance without restarting it'),
+                    'click': ui.createHandlerFn(self, 'handleReapply', inst)
+                }, _('Re-apply rules')))
+            ]);
+        });
+
+        if (info.unassigned.length > 0) {
+            rows.push(E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td', 'style': 'color: #888;' }, _('Unassigned')),
+                E('td', { 'class': 'td' }, '-'),
+                E('td', { 'class': 'td' }, renderChecks(info.unassigned)),
+                E('td', { 'class': 'td' }, '')
+            ]));
+        }
+
+        if (rows.length === 0) {
+            rows.push(E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td', 'colspan': '4', 'style': 'text-align: center; color: #888;' },
+                    info.source ? _('No enabled instances') : info.text)
+            ]));
+        }
+
+        return rows;
+    },
+
+    updateFirewallView: function (container, info) {
+        var self = this;
+        var iptEl = container.querySelector('#diag-iptables');
+        if (iptEl)
+            L.dom.content(iptEl, self.renderFirewallRules(info));
+
+        var tableEl = container.querySelector('#firewall-rules-table');
+        if (tableEl) {
+            tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+            self.renderFirewallRows(info).forEach(function (r) { tableEl.appendChild(r); });
+        }
+    },
+
     /**
-     * Check TUN interfaces
+     * 解析 /proc/net/dev 中各接口的累计收发字节数：{ ifname: { rx, tx } }
      */
-    checkTunInterfaces: function () {
-        return fs.exec('/sbin/ip', ['addr', 'show']).then(function (res) {
-            var output = res.stdout || '';
-            var lines = output.split('\n');
-            var tunInterfaces = [];
-            var currentIface = null;
-
-            lines.forEach(function (line) {
-                // Match interface name line
-                var ifaceMatch = line.match(/^\d+:\s+(tun\d+):/);
-                if (ifaceMatch) {
-                    currentIface = {
-                        name: ifaceMatch[1],
-                        state: line.indexOf('UP') !== -1 ? 'UP' : 'DOWN',
-                        ipv4: [],
-                        ipv6: []
-                    };
-                    tunInterfaces.push(currentIface);
-                }
+    parseInterfaceCounters: function (content) {
+        var counters = {};
 
-                // Match IPv4 address
-                if (currentIface) {
-                    var ipv4Match = line.match(/inet\s+([\d.]+\/\d+)/);
-                    if (ipv4Match) {
-                        currentIface.ipv4.push(ipv4Match[1]);
-                    }
+        String(content || '').split('\n').forEach(function (line) {
+            var m = line.match(/^\s*([^:\s]+):\s*(.*)$/);
+            if (!m) return;
 
-                    // Match IPv6 address
-                    var ipv6Match = line.match(/inet6\s+([a-f0-9:]+\/\d+)/i);
-                    if (ipv6Match) {
-                        currentIface.ipv6.push(ipv6Match[1]);
-                    }
-                }
-            });
+            var fields = m[2].trim().split(/\s+/);
+            counters[m[1]] = { rx: +fields[0], tx: +fields[8] };
+        });
 
-            return tunInterfaces.length > 0 ? tunInterfaces : null;
-        }).catch(function (err) {
-            return null;
+        return counters;
+    },
+
+    /**
+     * 解析 phantun-watchdog 的状态与事件文件：
+     * { instances: { section: { state, fails, threshold, last, restarts, target } }, events: [{ time, section, event, detail }] }
+     * 事件按时间倒序
+     */
+    parseWatchdogInfo: function (state, events) {
+        var info = { instances: {}, events: [] };
+
+        String(state || '').split('\n').forEach(function (line) {
+            var f = line.trim().split(/\s+/);
+            if (f.length < 7) return;
+
+            info.instances[f[0]] = {
+                state: f[1],
+                fails: +f[2],
+                threshold: +f[3],
+                last: f[4] !== '-' ? +f[4] : null,
+                restarts: +f[5],
+                target: f[6]
+            };
         });
+
+        String(events || '').split('\n').forEach(function (line) {
+            var m = line.match(/^(\d+) (\S+) (\S+) ?(.*)$/);
+            if (m)
+                info.events.unshift({ time: +m[1], section: m[2], event: m[3], detail: m[4] });
+        });
+
+        return info;
     },
 
+    // 二进制 MD5 只在打开页面时读取，之后的轮询沿用
     load: function () {
         var self = this;
         return Promise.all([
-            self.getServiceStatus(),
-            self.getTunnelConfigs(),
-            self.getRecentLogs(),
             self.getMD5(),
-            self.checkIptablesRules(),
-            self.checkTunInterfaces()
-        ]);
+            self.fetchStatusData()
+        ]).then(function (results) {
+            self.md5s = results[0];
+            results[1][3] = results[0];
+            return results[1];
+        });
     },
 
-    // Wrapper for polling
+    /**
+     * 一次 snapshot 调用取回轮询所需的全部数据，返回与 render 相同顺序的数组。
+     * 日志自动刷新暂停时不读取日志，data[2] 为 null
+     */
     fetchStatusData: function () {
-        return this.load();
+        var self = this;
+
+        return L.resolveDefault(callSnapshot(logstream.since(), !self.logPaused), {}).then(function (snap) {
+            var sections = self.getSections(snap.config);
+            var general = sections.filter(function (s) { return s['.type'] === 'general'; })[0] || {};
+            var tun = (snap.tun && snap.tun.interfaces) || [];
+            var watchdog = snap.watchdog || {};
+            var status = snap.status || {};
+            var serviceStatus = self.parseServiceStatus(snap.service, status.processes);
+            var tunnels = self.getTunnelConfigs(sections);
+
+            serviceStatus.processes = self.matchProcesses(serviceStatus, status, tunnels);
+            serviceStatus.respawn = self.parseRespawnInfo(snap.respawn, serviceStatus);
+            self.lastStatus = serviceStatus;
+
+            return [
+                serviceStatus,
+                tunnels,
+                snap.logs ? self.processLogs(logstream.consume(snap.logs), general) : null,
+                self.md5s,
+                self.checkIptablesRules(firewall.parseRules(snap.rules), sections),
+                tun.length > 0 ? tun : null,
+                self.parseInterfaceCounters(snap.counters),
+                self.parseWatchdogInfo(watchdog.state, watchdog.events)
+            ];
+        });
+    },
+
+    /**
+     * 轮询入口，每秒调用一次，按当前间隔决定是否刷新：标签页隐藏时不刷新，
+     * 控制操作后 FAST_POLL_DURATION 秒内每 FAST_POLL_INTERVAL 秒刷新一次
+     */
+    pollStatus: function () {
+        var now = Date.now();
+        var interval = now < this.pollFastUntil ? FAST_POLL_INTERVAL : this.pollInterval;
+
+        if (document.hidden || now - this.lastPoll < interval * 1000 - 500)
+            return Promise.resolve();
+
+        return this.refreshStatus();
+    },
+
+    // 立即刷新整页；已有刷新在进行时复用，避免同一批新日志被追加两次
+    refreshStatus: function () {
+        var self = this;
+
+        if (this.pending)
+            return this.pending;
+
+        this.lastPoll = Date.now();
+        this.pending = this.fetchStatusData().then(function (data) {
+            var container = document.querySelector('.cbi-map');
+
+            if (container)
+                self.updateStatusView(container, data);
+
+            if (data[2]) {
+                self.appendLogs(data[2], document);
+                self.updateLogTime();
+            }
+
+            self.pending = null;
+        }, function (err) {
+            self.pending = null;
+            throw err;
+        });
+
+        return this.pending;
+    },
+
+    // 控制操作之后立即刷新，并在一段时间内加快刷新以显示状态变化
+    refreshSoon: function () {
+        this.pollFastUntil = Date.now() + FAST_POLL_DURATION * 1000;
+        return this.refreshStatus();
     },
 
     render: function (data) {
@@ -393,11 +913,16 @@ return view.extend({
         var md5s = data[3];
         var iptablesRules = data[4];
         var tunInterfaces = data[5];
+        var ifCounters = data[6];
+        var watchdogInfo = data[7];
 
         var statusColor = serviceStatus.running ? '#5cb85c' : '#d9534f';
         var statusText = serviceStatus.running ? _('Running') : _('Stopped');
         var instanceCount = Object.keys(serviceStatus.instances).length;
 
+        self.logLines = logs ? logs.lines.slice(0, self.logMaxLines) : [];
+        self.trackLogPids(serviceStatus);
+
         var container = E('div', { 'class': 'cbi-map' }, [
             E('h2', {}, _('Phantun Status')),
 
@@ -421,13 +946,75 @@ return view.extend({
                         E('th', { 'class': 'th' }, _('Local')),
                         E('th', { 'class': 'th' }, _('Remote')),
                         E('th', { 'class': 'th' }, _('TUN Address')),
-                        E('th', { 'class': 'th' }, _('PID'))
+                        E('th', { 'class': 'th' }, _('PID')),
+                        E('th', { 'class': 'th' }, _('Uptime')),
+                        E('th', { 'class': 'th' }, _('Memory')),
+                        E('th', { 'class': 'th' }, _('CPU')),
+                        E('th', { 'class': 'th' }, _('Test'))
                     ])
                 ].concat(
                     self.renderTunnelRows(tunnels, serviceStatus)
                 ))
             ]),
 
+            // ==================== Process Restarts ====================
+            E('div', { 'class': 'cbi-section', 'style': 'margin-top: 20px;' }, [
+                E('h3', {}, _('Process Restarts')),
+                E('div', { 'class': 'cbi-section-descr' },
+                    _('Restarts by procd since boot. procd gives up on an instance that crashes more often than its retry limit, each time within the threshold after starting; it is then marked as crash looping. The limits are set in the Respawn tab of each instance and only apply while "Retry on Error" is enabled.')),
+                E('table', { 'class': 'table cbi-section-table', 'id': 'respawn-table' }, [
+                    E('tr', { 'class': 'tr table-titles' }, [
+                        E('th', { 'class': 'th' }, _('Name')),
+                        E('th', { 'class': 'th' }, _('State')),
+                        E('th', { 'class': 'th' }, _('Restarts')),
+                        E('th', { 'class': 'th' }, _('Last Restart')),
+                        E('th', { 'class': 'th' }, _('Last Exit Code')),
+                        E('th', { 'class': 'th' }, _('Threshold / Delay / Retries'))
+                    ])
+                ])
+            ]),
+
+            // ==================== Traffic ====================
+            E('div', { 'class': 'cbi-section', 'style': 'margin-top: 20px;' }, [
+                E('h3', {}, _('Traffic')),
+                E('div', { 'class': 'cbi-section-descr' },
+                    _('Rates are read from the TUN interface of each instance on every status refresh. The last hour is kept in this browser.')),
+                E('table', { 'class': 'table cbi-section-table', 'id': 'traffic-table' }, [
+                    E('tr', { 'class': 'tr table-titles' }, [
+                        E('th', { 'class': 'th' }, _('Name')),
+                        E('th', { 'class': 'th' }, _('Interface')),
+                        E('th', { 'class': 'th', 'style': 'color: ' + traffic.colors.rx + ';' }, _('RX')),
+                        E('th', { 'class': 'th', 'style': 'color: ' + traffic.colors.tx + ';' }, _('TX')),
+                        E('th', { 'class': 'th', 'style': 'width: 50%;' }, _('Last hour'))
+                    ])
+                ])
+            ]),
+
+            // ==================== Watchdog ====================
+            E('div', { 'class': 'cbi-section', 'style': 'margin-top: 20px;' }, [
+                E('h3', {}, _('Watchdog')),
+                E('div', { 'class': 'cbi-section-descr' },
+                    _('Instances with the watchdog enabled are pinged at their probe interval and restarted after the configured number of consecutive failures.')),
+                E('table', { 'class': 'table cbi-section-table', 'id': 'watchdog-table' }, [
+                    E('tr', { 'class': 'tr table-titles' }, [
+                        E('th', { 'class': 'th' }, _('Name')),
+                        E('th', { 'class': 'th' }, _('Probe Target')),
+                        E('th', { 'class': 'th' }, _('Last Probe')),
+                        E('th', { 'class': 'th' }, _('Failures')),
+                        E('th', { 'class': 'th' }, _('Restarts'))
+                    ])
+                ]),
+                E('h4', { 'style': 'margin-top: 10px;' }, _('Recent Restarts')),
+                E('table', { 'class': 'table cbi-section-table', 'id': 'watchdog-events' }, [
+                    E('tr', { 'class': 'tr table-titles' }, [
+                        E('th', { 'class': 'th' }, _('Time')),
+                        E('th', { 'class': 'th' }, _('Name')),
+                        E('th', { 'class': 'th' }, _('Event')),
+                        E('th', { 'class': 'th' }, _('Details'))
+                    ])
+                ])
+            ]),
+
             // ==================== System Diagnostics (Compact) ====================
             E('div', { 'class': 'cbi-section', 'style': 'margin-top: 20px;' }, [
                 E('h3', {}, _('System Diagnostics')),
@@ -454,34 +1041,44 @@ return view.extend({
                         E('span', { 'style': 'color: #888;' }, _('None'))
                     ),
 
-                    E('div', { 'style': 'font-weight: bold;' }, _('iptables Rules:')),
-                    E('div', { 'id': 'diag-iptables' },
-                        E('span', { 'style': 'color: ' + iptablesRules.color + ';' }, iptablesRules.text)
-                    )
+                    E('div', { 'style': 'font-weight: bold;' }, _('Firewall Rules:')),
+                    E('div', { 'id': 'diag-iptables' }, self.renderFirewallRules(iptablesRules))
                 ])
             ]),
 
+            // ==================== Firewall Rules per Instance ====================
+            E('div', { 'class': 'cbi-section', 'style': 'margin-top: 20px;' }, [
+                E('h3', {}, _('Firewall Rules')),
+                E('table', { 'class': 'table cbi-section-table', 'id': 'firewall-rules-table' }, [
+                    E('tr', { 'class': 'tr table-titles' }, [
+                        E('th', { 'class': 'th' }, _('Name')),
+                        E('th', { 'class': 'th' }, _('Mode')),
+                        E('th', { 'class': 'th' }, _('Rules')),
+                        E('th', { 'class': 'th' }, _('Actions'))
+                    ])
+                ].concat(
+                    self.renderFirewallRows(iptablesRules)
+                ))
+            ]),
+
             // ==================== Recent Logs ====================
             E('div', { 'class': 'cbi-section', 'style': 'margin-top: 20px;' }, [
                 E('h3', { 'style': 'display:flex; justify-content:space-between; align-items:center;' }, [
                     _('Recent Logs'),
                     E('span', { 'id': 'log-status', 'style': 'font-size: 0.85em;' }, '')
                 ]),
+                self.renderLogFilters(tunnels),
                 E('div', {
                     'style': 'width: 100%; height: 500px; font-family: monospace; font-size: 12px; background: #1e1e1e; border: 1px solid #444; padding: 10px; border-radius: 3px; overflow-y: auto; white-space: pre;',
                     'id': 'syslog-container'
-                }, logs.map(function (line) {
-                    var color = self.getLogColor(line);
-                    return E('div', { 'style': 'color: ' + color + ';' }, line);
-                })),
+                }),
                 E('div', { 'style': 'margin-top: 5px; text-align: right;' }, [
                     E('button', {
                         'class': 'cbi-button cbi-button-negative',
                         'id': 'log-stop-btn',
                         'click': function () {
-                            if (self.logPollFn) {
-                                poll.remove(self.logPollFn);
-                                self.logPollFn = null;
+                            if (!self.logPaused) {
+                                self.logPaused = true;
                                 var logStatusEl = document.getElementById('log-status');
                                 if (logStatusEl) {
                                     logStatusEl.textContent = '⏸ ' + _('Paused');
@@ -495,9 +1092,8 @@ return view.extend({
                         'class': 'cbi-button cbi-button-positive',
                         'id': 'log-start-btn',
                         'click': function () {
-                            if (!self.logPollFn) {
-                                self.logPollFn = L.bind(self.pollLogs, self);
-                                poll.add(self.logPollFn, self.pollInterval);
+                            if (self.logPaused) {
+                                self.logPaused = false;
                                 var logStatusEl = document.getElementById('log-status');
                                 if (logStatusEl) {
                                     logStatusEl.textContent = '▶ ' + _('Auto-refreshing');
@@ -510,11 +1106,10 @@ return view.extend({
                     E('button', {
                         'class': 'cbi-button cbi-button-reset',
                         'click': function () {
-                            // Set clear time with 2 second buffer to avoid edge cases
-                            lastClearTime = new Date(Date.now() - 2000);
-
-                            // Immediately refresh display
-                            self.pollLogs();
+                            // Later polls only return newer lines, so dropping the buffer is enough
+                            lastClearTime = new Date();
+                            self.logLines = [self.clearMarker()];
+                            self.updateLogView(document);
 
                             // Show notification
                             ui.addNotification(null,
@@ -526,18 +1121,17 @@ return view.extend({
                     E('button', {
                         'class': 'cbi-button cbi-button-apply',
                         'click': function () {
-                            var container = document.getElementById('syslog-container');
-                            var logContent = container ? container.textContent : '';
-                            var blob = new Blob([logContent], { type: 'text/plain' });
-                            var url = URL.createObjectURL(blob);
-                            var a = document.createElement('a');
-                            a.href = url;
-                            a.download = 'phantun_logs_' + new Date().toISOString().replace(/[:.]/g, '-') + '.txt';
-                            a.click();
-                            URL.revokeObjectURL(url);
+                            self.downloadLogs(self.logLines.slice().reverse(), 'phantun_logs_');
                         }
                     }, _('Download Logs')),
                     ' ',
+                    E('button', {
+                        'class': 'cbi-button cbi-button-apply',
+                        'click': function () {
+                            self.downloadLogs(self.filterLogs(self.logLines).reverse(), 'phantun_logs_filtered_');
+                        }
+                    }, _('Download Filtered Logs')),
+                    ' ',
                     E('button', {
                         'class': 'cbi-button cbi-button-neutral',
                         'click': function () {
@@ -551,62 +1145,200 @@ return view.extend({
             ])
         ])
 
-        // Start log auto-refresh (delayed until DOM rendering is complete)
+        // Start auto-refresh (delayed until DOM rendering is complete)
         requestAnimationFrame(function () {
             var logStatusEl = document.getElementById('log-status');
             if (logStatusEl) {
                 // Set initial timestamp
-                var now = new Date();
-                var timeStr = now.toLocaleTimeString(undefined, {
-                    hour: 'numeric',
-                    minute: '2-digit',
-                    second: '2-digit',
-                    hour12: true
-                });
-                logStatusEl.textContent = _('Last updated: %s').format(timeStr);
+                self.updateLogTime();
                 logStatusEl.style.color = '#888';
-
-                // Start polling for logs
-                self.logPollFn = L.bind(self.pollLogs, self);
-                poll.add(self.logPollFn, self.pollInterval);
             }
 
-            // Add status auto-refresh (not just logs)
-            poll.add(L.bind(function () {
-                return this.fetchStatusData().then(L.bind(function (newData) {
-                    var statusContainer = document.querySelector('.cbi-map');
-                    if (statusContainer) {
-                        this.updateStatusView(statusContainer, newData);
-                    }
-                }, this));
-            }, self), 5);  // Refresh status every 5 seconds
+            // One snapshot per refresh updates the status and appends new logs
+            self.lastPoll = Date.now();
+            poll.add(L.bind(self.pollStatus, self), 1);
+
+            // 标签页重新可见时立即刷新，不等下一个间隔
+            document.addEventListener('visibilitychange', function () {
+                if (!document.hidden)
+                    self.refreshStatus();
+            });
         });
 
+        self.updateTrafficView(container, tunnels, tunInterfaces, ifCounters);
+        self.updateWatchdogView(container, tunnels, watchdogInfo);
+        self.updateRespawnView(container, tunnels, serviceStatus.respawn);
+        self.updateLogView(container);
+
         return container;
     },
 
+    /**
+     * 本周期内忽略配额：由 phantun-usage 记下放行的周期、清除标记并启动实例
+     */
+    handleQuotaOverride: function (t) {
+        var self = this;
+
+        return fs.exec(USAGE_COLLECTOR, ['override', t.id]).then(function (res) {
+            if (res.code !== 0)
+                throw new Error((res.stderr || res.stdout || '').trim() || ('exit code ' + res.code));
+
+            return self.refreshSoon();
+        }).catch(function (err) {
+            ui.addNotification(null, E('p', _('Failed to override the quota of %s: %s').format(t.alias, err.message || err)), 'error');
+        });
+    },
+
+    /**
+     * 解析 phantun-probe 的输出，每行为 "<检查项> <pass|fail> <耗时毫秒|-> <说明>"
+     */
+    parseProbe: function (output) {
+        return String(output || '').split('\n').map(function (line) {
+            var m = line.match(/^(\S+) (pass|fail) (\S+) ?(.*)$/);
+            return m ? { name: m[1], pass: m[2] === 'pass', time: m[3] !== '-' ? m[3] : null, detail: m[4] } : null;
+        }).filter(function (c) { return c; });
+    },
+
+    showTestResults: function (t, checks, duration) {
+        var labels = {
+            process: _('Process'),
+            tcp: _('TCP reachability'),
+            ping: _('Ping TUN peer')
+        };
+        var failed = checks.filter(function (c) { return !c.pass; }).length;
+
+        ui.showModal(_('Test: %s').format(t.alias), [
+            E('table', { 'class': 'table' }, [
+                E('tr', { 'class': 'tr table-titles' }, [
+                    E('th', { 'class': 'th' }, _('Check')),
+                    E('th', { 'class': 'th' }, _('Result')),
+                    E('th', { 'class': 'th' }, _('Time')),
+                    E('th', { 'class': 'th' }, _('Details'))
+                ])
+            ].concat(checks.map(function (c) {
+                return E('tr', { 'class': 'tr' }, [
+                    E('td', { 'class': 'td' }, labels[c.name] || c.name),
+                    E('td', { 'class': 'td', 'style': 'font-weight: bold; color: ' + (c.pass ? '#5cb85c' : '#d9534f') + ';' },
+                        c.pass ? '✓ ' + _('pass') : '✗ ' + _('fail')),
+                    E('td', { 'class': 'td' }, c.time != null ? '%s ms'.format(c.time) : '-'),
+                    E('td', { 'class': 'td' }, c.detail)
+                ]);
+            }))),
+            E('p', { 'style': 'color: #888;' }, (failed ? _('%d of %d checks failed.').format(failed, checks.length) : _('All checks passed.')) +
+                ' ' + _('Finished in %.1f s.').format(duration / 1000)),
+            E('div', { 'class': 'right' }, [
+                E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Close'))
+            ])
+        ]);
+    },
+
+    /**
+     * 进程存活不代表隧道可用：检查服务端 TCP 端口可达，并经 TUN 接口 ping tun_peer。
+     * 进程状态取自最近一次轮询的 snapshot
+     */
+    handleTest: function (t) {
+        var self = this;
+        var started = Date.now();
+
+        return fs.exec(PROBE, [t.id]).then(function (probe) {
+            var inst = self.lastStatus ? self.lastStatus.processes.instances[t.mode + '_' + t.id] : null;
+
+            if (probe.code !== 0)
+                throw new Error((probe.stderr || probe.stdout || '').trim() || ('exit code ' + probe.code));
+
+            self.showTestResults(t, [{
+                name: 'process',
+                pass: !!(inst && inst.pid),
+                time: null,
+                detail: inst && inst.pid ? _('Running as PID %s').format(inst.pid) : _('Instance is not running')
+            }].concat(self.parseProbe(probe.stdout)), Date.now() - started);
+        }).catch(function (err) {
+            ui.addNotification(null, E('p', _('Failed to test %s: %s').format(t.alias, err.message || err)), 'error');
+        });
+    },
+
+    // PID、运行时长、内存与 CPU 四个单元格，没有进程时为 '-'
+    renderProcessCells: function (proc) {
+        return [
+            proc ? String(proc.pid) : '-',
+            proc && proc.uptime != null ? '%t'.format(proc.uptime) : '-',
+            proc ? '%1024.1mB'.format(proc.rss) : '-',
+            proc && proc.cpu != null ? proc.cpu.toFixed(1) + '%' : '-'
+        ].map(function (text) {
+            return E('td', { 'class': 'td' }, text);
+        });
+    },
+
     // Helper to render tunnel rows (shared between render and update)
     renderTunnelRows: function (tunnels, serviceStatus) {
-        return tunnels.length > 0 ? tunnels.map(function (t) {
+        var self = this;
+        var processes = serviceStatus.processes || { instances: {}, unmatched: [] };
+
+        var rows = tunnels.map(function (t) {
             var instanceKey = t.mode + '_' + t.id;  // Match init script format: client_cfg123 or server_cfg456
-            var instance = serviceStatus.instances[instanceKey];
-            var isActive = instance && instance.pid;
-            var rowColor = t.disabled ? '#888' : (isActive ? '#5cb85c' : '#d9534f');
-            var statusIcon = t.disabled ? '⏸' : (isActive ? '✓' : '✗');
-            var statusLabel = t.disabled ? _('Disabled') : (isActive ? _('Running') : _('Stopped'));
+            var proc = processes.instances[instanceKey];
+            var respawn = (serviceStatus.respawn || {})[instanceKey];
+            var isActive = !!proc;
+            var manual = isActive && !proc.managed;
+            var quotaStopped = !t.disabled && !isActive && t.quota_exceeded;
+            var looping = !t.disabled && !isActive && respawn && respawn.looping;
+            var rowColor = t.disabled ? '#888' : (manual ? '#f0ad4e' : (isActive ? '#5cb85c' : (quotaStopped ? '#f0ad4e' : '#d9534f')));
+            var statusIcon = t.disabled ? '⏸' : (manual ? '!' : (isActive ? '✓' : (quotaStopped ? '!' : '✗')));
+            var statusLabel = t.disabled ? _('Disabled') : (manual ? _('Running outside procd') : (isActive ? _('Running') : (quotaStopped ? _('Quota exceeded') : _('Stopped'))));
+            var statusTitle = manual ? _('Matched by its command line; procd will not restart it: %s').format(proc.command)
+                : quotaStopped ? _('Monthly quota of %s GiB reached in the cycle starting %s').format(t.quota, t.quota_exceeded) : '';
+            var statusCell = [
+                E('span', {
+                    'style': 'color: ' + rowColor + '; font-weight: bold;',
+                    'title': statusTitle
+                }, statusIcon + ' ' + statusLabel)
+            ];
+
+            if (looping)
+                statusCell.push(' ', self.renderCrashLoopBadge(respawn));
+
+            if (quotaStopped) {
+                statusCell.push(' ', E('button', {
+                    'class': 'cbi-button cbi-button-action',
+                    'title': _('Ignore the quota and run this instance until the next reset day'),
+                    'click': ui.createHandlerFn(self, 'handleQuotaOverride', t)
+                }, _('Override')));
+            }
 
             return E('tr', { 'class': 'tr' }, [
                 E('td', { 'class': 'td' }, t.alias),
                 E('td', { 'class': 'td' }, t.mode === 'server' ? _('Server') : _('Client')),
-                E('td', { 'class': 'td' }, E('span', { 'style': 'color: ' + rowColor + '; font-weight: bold;' }, statusIcon + ' ' + statusLabel)),
+                E('td', { 'class': 'td' }, statusCell),
                 E('td', { 'class': 'td' }, t.local),
                 E('td', { 'class': 'td' }, t.remote),
-                E('td', { 'class': 'td' }, t.tun_local + ' ↔ ' + t.tun_peer),
-                E('td', { 'class': 'td' }, isActive ? String(instance.pid) : '-')
-            ]);
-        }) : [
+                E('td', { 'class': 'td' }, t.tun_local + ' ↔ ' + t.tun_peer)
+            ].concat(self.renderProcessCells(proc), [
+                E('td', { 'class': 'td' }, t.mode === 'client' ? E('button', {
+                    'class': 'cbi-button cbi-button-action',
+                    'title': _('Check that the server is reachable and the tunnel answers'),
+                    'click': ui.createHandlerFn(self, 'handleTest', t)
+                }, _('Test')) : '-')
+            ]));
+        });
+
+        // 不属于任何实例的 phantun 进程，例如手动启动或配置已删除的
+        processes.unmatched.forEach(function (proc) {
+            rows.push(E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td', 'colspan': '6' }, [
+                    E('span', {
+                        'style': 'color: #f0ad4e; font-weight: bold;',
+                        'title': _('This process matches no configured instance')
+                    }, '! ' + _('Unknown process')),
+                    E('code', { 'style': 'margin-left: 10px; word-break: break-all;' }, proc.command)
+                ])
+            ].concat(self.renderProcessCells(proc), [
+                E('td', { 'class': 'td' }, '-')
+            ])));
+        });
+
+        return rows.length > 0 ? rows : [
             E('tr', { 'class': 'tr' }, [
-                E('td', { 'class': 'td', 'colspan': '7', 'style': 'text-align: center; color: #888;' }, _('No tunnels configured'))
+                E('td', { 'class': 'td', 'colspan': '11', 'style': 'text-align: center; color: #888;' }, _('No tunnels configured'))
             ])
         ];
     },
@@ -620,6 +1352,10 @@ return view.extend({
         var md5s = data[3];
         var iptablesRules = data[4];
         var tunInterfaces = data[5];
+        var ifCounters = data[6];
+        var watchdogInfo = data[7];
+
+        self.trackLogPids(serviceStatus);
 
         // 1. Update Service Status Text
         var statusColor = serviceStatus.running ? '#5cb85c' : '#d9534f';
@@ -664,42 +1400,204 @@ return view.extend({
             }
         }
 
-        // Iptables
-        var iptEl = container.querySelector('#diag-iptables');
-        if (iptEl) {
-            iptEl.innerHTML = '';
-            iptEl.appendChild(E('span', { 'style': 'color: ' + iptablesRules.color + ';' }, iptablesRules.text));
-        }
+        // Firewall rules
+        self.updateFirewallView(container, iptablesRules);
+
+        // Traffic
+        self.updateTrafficView(container, tunnels, tunInterfaces, ifCounters);
+
+        // Watchdog
+        self.updateWatchdogView(container, tunnels, watchdogInfo);
+
+        // Process restarts
+        self.updateRespawnView(container, tunnels, serviceStatus.respawn);
     },
 
-    pollLogs: function () {
+    renderCrashLoopBadge: function (r) {
+        return E('span', {
+            'style': 'background: #d9534f; color: #fff; border-radius: 3px; padding: 0 5px; font-size: 0.85em; font-weight: bold;',
+            'title': _('procd stopped restarting this instance after repeated crashes (last exit code %s). Fix the cause, then start it again.').format(r.exit != null ? r.exit : '-')
+        }, _('Crash looping'));
+    },
+
+    updateRespawnView: function (container, tunnels, info) {
         var self = this;
-        return self.getRecentLogs().then(function (logs) {
-            var container = document.getElementById('syslog-container');
-            if (container) {
-                container.innerHTML = '';
-                logs.forEach(function (line) {
-                    var color = self.getLogColor(line);
-                    var div = document.createElement('div');
-                    div.style.color = color;
-                    div.textContent = line;
-                    container.appendChild(div);
-                });
+        var tableEl = container.querySelector('#respawn-table');
+        var stateStyle = {
+            running: { color: '#5cb85c', label: _('Running') },
+            respawning: { color: '#f0ad4e', label: _('Restarting') },
+            exited: { color: '#888', label: _('Exited') }
+        };
+
+        if (!tableEl)
+            return;
+
+        tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+
+        var rows = tunnels.filter(function (t) { return !t.disabled; }).map(function (t) {
+            var r = (info || {})[t.mode + '_' + t.id];
+            var st = r ? stateStyle[r.state] : null;
+            var limits = r && r.limits;
+
+            return E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td' }, t.alias),
+                E('td', { 'class': 'td' }, r && r.looping ? self.renderCrashLoopBadge(r) :
+                    st ? E('span', { 'style': 'font-weight: bold; color: ' + st.color + ';' }, st.label) : '-'),
+                E('td', { 'class': 'td' }, r ? String(r.restarts) : '0'),
+                E('td', { 'class': 'td' }, r && r.last ? new Date(r.last * 1000).toLocaleString() : '-'),
+                E('td', { 'class': 'td', 'style': r && r.exit ? 'color: #d9534f;' : '' }, r && r.exit != null ? String(r.exit) : '-'),
+                E('td', { 'class': 'td' }, limits ? '%d s / %d s / %s'.format(limits.threshold, limits.timeout, limits.retry || '∞') :
+                    E('span', { 'style': 'color: #888;', 'title': _('Enable "Retry on Error" in the global settings to let procd restart crashed instances') }, _('Off')))
+            ]);
+        });
+
+        if (rows.length === 0) {
+            rows.push(E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td', 'colspan': '6', 'style': 'text-align: center; color: #888;' }, _('No enabled instances'))
+            ]));
+        }
+
+        rows.forEach(function (row) { tableEl.appendChild(row); });
+    },
+
+    updateWatchdogView: function (container, tunnels, info) {
+        var tableEl = container.querySelector('#watchdog-table');
+        var eventsEl = container.querySelector('#watchdog-events');
+        var aliases = {};
+        var stateStyle = {
+            ok: { color: '#5cb85c', label: _('OK') },
+            fail: { color: '#f0ad4e', label: _('Failed') },
+            pending: { color: '#888', label: _('Waiting') },
+            stopped: { color: '#888', label: _('Not running') }
+        };
+        var formatTime = function (epoch) {
+            return new Date(epoch * 1000).toLocaleString();
+        };
+
+        tunnels.forEach(function (t) { aliases[t.id] = t.alias; });
+
+        if (tableEl) {
+            var ids = Object.keys(info.instances);
+
+            tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+
+            if (ids.length === 0) {
+                tableEl.appendChild(E('tr', { 'class': 'tr' }, [
+                    E('td', { 'class': 'td', 'colspan': '5', 'style': 'text-align: center; color: #888;' },
+                        _('The watchdog is not running. Enable it in the Watchdog tab of an instance.'))
+                ]));
             }
 
-            // Update timestamp
-            var logStatusEl = document.getElementById('log-status');
-            if (logStatusEl) {
-                var now = new Date();
-                var timeStr = now.toLocaleTimeString(undefined, {
-                    hour: 'numeric',
-                    minute: '2-digit',
-                    second: '2-digit',
-                    hour12: true
-                });
-                logStatusEl.textContent = _('Last updated: %s').format(timeStr);
+            ids.forEach(function (id) {
+                var w = info.instances[id];
+                var st = stateStyle[w.state] || stateStyle.pending;
+
+                tableEl.appendChild(E('tr', { 'class': 'tr' }, [
+                    E('td', { 'class': 'td' }, aliases[id] || id),
+                    E('td', { 'class': 'td' }, w.target),
+                    E('td', { 'class': 'td' }, [
+                        E('span', { 'style': 'font-weight: bold; color: ' + st.color + ';' }, st.label),
+                        w.last ? E('span', { 'style': 'margin-left: 10px; color: #888;' }, formatTime(w.last)) : ''
+                    ]),
+                    E('td', { 'class': 'td' }, '%d / %d'.format(w.fails, w.threshold)),
+                    E('td', { 'class': 'td' }, String(w.restarts))
+                ]));
+            });
+        }
+
+        if (eventsEl) {
+            var events = info.events.slice(0, WATCHDOG_EVENT_ROWS);
+
+            eventsEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+
+            if (events.length === 0) {
+                eventsEl.appendChild(E('tr', { 'class': 'tr' }, [
+                    E('td', { 'class': 'td', 'colspan': '4', 'style': 'text-align: center; color: #888;' }, _('No restarts recorded since boot'))
+                ]));
             }
+
+            events.forEach(function (e) {
+                eventsEl.appendChild(E('tr', { 'class': 'tr' }, [
+                    E('td', { 'class': 'td' }, formatTime(e.time)),
+                    E('td', { 'class': 'td' }, aliases[e.section] || e.section),
+                    E('td', { 'class': 'td', 'style': 'color: ' + (e.event === 'restart' ? '#f0ad4e' : '#d9534f') + ';' },
+                        e.event === 'restart' ? _('Restarted') : _('Restart failed')),
+                    E('td', { 'class': 'td' }, e.detail)
+                ]));
+            });
+        }
+    },
+
+    /**
+     * 实例对应的 TUN 接口：优先使用配置的 tun_name，否则按 tun_local 地址匹配 ip addr 输出
+     */
+    findTunInterface: function (t, tunInterfaces, ifCounters) {
+        if (t.tun_name)
+            return ifCounters[t.tun_name] ? t.tun_name : null;
+
+        var iface = (tunInterfaces || []).filter(function (i) {
+            return i.local.indexOf(t.tun_local) !== -1;
+        })[0];
+
+        return iface ? iface.name : null;
+    },
+
+    updateTrafficView: function (container, tunnels, tunInterfaces, ifCounters) {
+        var self = this;
+        var tableEl = container.querySelector('#traffic-table');
+        var active = tunnels.filter(function (t) { return !t.disabled; });
+        var ifnames = {};
+        var readings = {};
+        var now = Date.now();
+
+        active.forEach(function (t) {
+            var ifname = self.findTunInterface(t, tunInterfaces, ifCounters);
+
+            ifnames[t.id] = ifname;
+            readings[t.id] = ifname ? ifCounters[ifname] : null;
         });
+
+        var history = traffic.update(readings, now);
+
+        if (!tableEl)
+            return;
+
+        tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+
+        if (active.length === 0) {
+            tableEl.appendChild(E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td', 'colspan': '5', 'style': 'text-align: center; color: #888;' }, _('No enabled tunnels'))
+            ]));
+            return;
+        }
+
+        active.forEach(function (t) {
+            var list = history[t.id] || [];
+            var last = list.length ? list[list.length - 1] : null;
+
+            tableEl.appendChild(E('tr', { 'class': 'tr' }, [
+                E('td', { 'class': 'td' }, t.alias),
+                E('td', { 'class': 'td' }, ifnames[t.id] || E('span', { 'style': 'color: #d9534f;' }, _('not found'))),
+                E('td', { 'class': 'td' }, traffic.formatRate(last ? last[1] : null)),
+                E('td', { 'class': 'td' }, traffic.formatRate(last ? last[2] : null)),
+                E('td', { 'class': 'td' }, list.length ? traffic.renderGraph(list, now) :
+                    E('em', { 'style': 'color: #888;' }, ifnames[t.id] ? _('Collecting data…') : _('No TUN interface for this instance')))
+            ]));
+        });
+    },
+
+    updateLogTime: function () {
+        var logStatusEl = document.getElementById('log-status');
+        if (logStatusEl) {
+            var now = new Date();
+            var timeStr = now.toLocaleTimeString(undefined, {
+                hour: 'numeric',
+                minute: '2-digit',
+                second: '2-digit',
+                hour12: true
+            });
+            logStatusEl.textContent = _('Last updated: %s').format(timeStr);
+        }
     },
 
     handleSaveApply: null,
@@ -0,0 +1,413 @@
+/**
+ * Copyright (C) 2024 iHub-2020
+ * 
+ * luci-app-udp2raw - Firewall Rules
+ * Shared nftables / iptables parsing for the status and cleanup pages,
+ * rules are read and removed through the luci.udp2raw rpcd backend
+ * 
+ * @module luci-app-udp2raw/firewall
+ * @version 1.3.0
+ * @date 2026-10-19
+ */
+
+'use strict';
+'require baseclass';
+'require rpc';
+
+var callRules = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'rules',
+	expect: { '': {} }
+});
+
+var callDeleteRule = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'delete_rule',
+	params: ['backend', 'family', 'table', 'chain', 'handle', 'spec'],
+	expect: { '': {} }
+});
+
+var callFlushChain = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'flush_chain',
+	params: ['backend', 'family', 'table', 'chain'],
+	expect: { '': {} }
+});
+
+var callDeleteChain = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'delete_chain',
+	params: ['backend', 'family', 'table', 'chain'],
+	expect: { '': {} }
+});
+
+// iptables-nft 写入、nft 无法翻译的扩展（JSON 中为 xt）无法解码的字段。
+// 扩展目标的名称即动作，参数（如 DNAT 的 --to-destination）读不到
+var XT_TARGET_FIELDS = { DNAT: [ 'target' ], SNAT: [ 'target' ], REDIRECT: [ 'target' ] };
+var XT_MATCH_FIELDS = { comment: [ 'comment' ], tcp: [ 'sport', 'dport' ], udp: [ 'sport', 'dport' ], multiport: [ 'sport', 'dport' ] };
+
+return baseclass.extend({
+	/**
+	 * 规范化地址，nft 前缀对象转为 addr/len，去掉单主机的 /32、/128 后缀
+	 */
+	normalizeAddr: function (value) {
+		if (value && typeof value === 'object' && value.prefix)
+			value = value.prefix.addr + '/' + value.prefix.len;
+		if (typeof value !== 'string' && typeof value !== 'number')
+			return null;
+		return String(value).replace(/\/(32|128)$/, '');
+	},
+
+	/**
+	 * 将 `nft -j list ruleset` 输出归一化为 { rules, chains }。
+	 * udp2raw -a 经 iptables-nft 写入的链与规则同样出现在 ruleset 中。
+	 * 无法完整解析的规则（取反匹配、xt 兼容表达式）标记为 partial，解码不了的字段记入 unknown，核对时跳过。
+	 * 带 counter 表达式的规则（iptables-nft 写入的规则均带）记录 packets / bytes。
+	 */
+	parseNftRuleset: function (data) {
+		var self = this;
+		var rules = [];
+		var chains = [];
+
+		((data && data.nftables) || []).forEach(function (item) {
+			if (item.chain) {
+				chains.push({ family: item.chain.family, table: item.chain.table, name: item.chain.name, backend: 'nft' });
+				return;
+			}
+
+			var r = item.rule;
+			if (!r)
+				return;
+
+			var rule = {
+				family: r.family, table: r.table, chain: r.chain, handle: r.handle,
+				backend: 'nft', spec: null, comment: r.comment || null, saddr: null, daddr: null, proto: null,
+				sport: null, dport: null, action: null, target: null, partial: false, unknown: [],
+				packets: null, bytes: null
+			};
+
+			(r.expr || []).forEach(function (e) {
+				if (e.match) {
+					var left = e.match.left || {};
+					var right = e.match.right;
+
+					if (e.match.op && e.match.op !== '==') {
+						rule.partial = true;
+						return;
+					}
+
+					if (left.payload) {
+						var field = left.payload.field;
+						var proto = left.payload.protocol;
+
+						if (field === 'saddr' || field === 'daddr')
+							rule[field] = self.normalizeAddr(right);
+						else if (field === 'protocol' || field === 'nexthdr')
+							rule.proto = String(right);
+						else if (field === 'sport' || field === 'dport') {
+							rule.proto = rule.proto || proto;
+							if (typeof right === 'number' || typeof right === 'string')
+								rule[field] = String(right);
+							else
+								rule.partial = true;
+						} else if (proto === 'icmp' || proto === 'icmpv6')
+							rule.proto = proto;
+					} else if (left.meta && left.meta.key === 'l4proto') {
+						rule.proto = String(right);
+					}
+				} else if (e.xt !== undefined) {
+					// 旧版 nft 输出 "xt": null，看不出是什么扩展
+					if (e.xt && e.xt.type === 'target' && e.xt.name) {
+						rule.action = e.xt.name.toLowerCase();
+						rule.unknown = rule.unknown.concat(XT_TARGET_FIELDS[e.xt.name] || []);
+					} else if (e.xt && e.xt.type === 'match' && XT_MATCH_FIELDS[e.xt.name]) {
+						rule.unknown = rule.unknown.concat(XT_MATCH_FIELDS[e.xt.name]);
+					} else {
+						rule.partial = true;
+					}
+				} else if (e.counter && typeof e.counter === 'object') {
+					rule.packets = e.counter.packets;
+					rule.bytes = e.counter.bytes;
+				} else if (e.jump || e.goto) {
+					rule.action = 'jump';
+					rule.target = (e.jump || e.goto).target;
+				} else {
+					['drop', 'accept', 'reject', 'return'].forEach(function (verdict) {
+						if (verdict in e)
+							rule.action = verdict;
+					});
+				}
+			});
+
+			if (rule.unknown.length)
+				rule.partial = true;
+
+			rules.push(rule);
+		});
+
+		return { rules: rules, chains: chains };
+	},
+
+	/**
+	 * 将 iptables-save / ip6tables-save 输出归一化为与 parseNftRuleset 相同的结构。
+	 * 以 -c 导出时行首的 [packets:bytes] 计数记入规则。
+	 */
+	parseIptablesSave: function (output, family) {
+		var self = this;
+		var rules = [];
+		var chains = [];
+		var table = null;
+
+		String(output || '').split('\n').forEach(function (line) {
+			var m;
+			line = line.trim();
+
+			if ((m = line.match(/^\*(\S+)/))) {
+				table = m[1];
+				return;
+			}
+			if ((m = line.match(/^:(\S+)/))) {
+				chains.push({ family: family, table: table, name: m[1], backend: 'iptables' });
+				return;
+			}
+			var counter = line.match(/^\[(\d+):(\d+)\]\s+/);
+			if (counter)
+				line = line.substring(counter[0].length);
+			if (line.indexOf('-A ') !== 0)
+				return;
+
+			var tokens = line.match(/"(?:[^"\\]|\\.)*"|\S+/g).map(function (t) {
+				return t.replace(/^"(.*)"$/, '$1');
+			});
+			var rule = {
+				family: family, table: table, chain: tokens[1], handle: null,
+				backend: 'iptables', spec: tokens.slice(2), comment: null, saddr: null, daddr: null, proto: null,
+				sport: null, dport: null, action: null, target: null, partial: false, unknown: [],
+				packets: counter ? +counter[1] : null, bytes: counter ? +counter[2] : null
+			};
+
+			for (var i = 2; i < tokens.length; i++) {
+				var value = tokens[i + 1];
+
+				switch (tokens[i]) {
+				case '!':
+					rule.partial = true;
+					break;
+				case '-s':
+				case '-d':
+					rule[tokens[i] === '-s' ? 'saddr' : 'daddr'] = self.normalizeAddr(value);
+					i++;
+					break;
+				case '-p':
+					rule.proto = value;
+					i++;
+					break;
+				case '--sport':
+				case '--dport':
+					rule[tokens[i].substring(2)] = value;
+					i++;
+					break;
+				case '--comment':
+					rule.comment = value;
+					i++;
+					break;
+				case '-j':
+				case '-g':
+					if (/^(DROP|ACCEPT|REJECT|RETURN)$/.test(value)) {
+						rule.action = value.toLowerCase();
+					} else {
+						rule.action = 'jump';
+						rule.target = value;
+					}
+					i++;
+					break;
+				}
+			}
+
+			rules.push(rule);
+		});
+
+		return { rules: rules, chains: chains };
+	},
+
+	/**
+	 * 解析后端 rules 方法（或 snapshot 中 rules 字段）的结果，fw4 镜像走 nftables，旧镜像回退 iptables-save。
+	 * iptables-nft-save 与 nft 输出的是同一份规则，按后端报告的 iptables 后端（iptables_backend），仅 legacy 时才合并。
+	 */
+	parseRules: function (results) {
+		var self = this;
+		var sources = [];
+		var rules = [];
+		var chains = [];
+		var nftData = (results && results.nft) || null;
+
+		if (nftData) {
+			var nft = self.parseNftRuleset(nftData);
+			sources.push('nftables');
+			rules = rules.concat(nft.rules);
+			chains = chains.concat(nft.chains);
+		}
+
+		[
+			[ results && results.iptables, 'ip', results && results.iptables_backend ],
+			[ results && results.ip6tables, 'ip6', results && results.ip6tables_backend ]
+		].forEach(function (entry) {
+			var output = entry[0] || '';
+
+			if (!output || (nftData && entry[2] === 'nf_tables'))
+				return;
+
+			var ipt = self.parseIptablesSave(output, entry[1]);
+			if (sources.indexOf('iptables') === -1)
+				sources.push('iptables');
+			rules = rules.concat(ipt.rules);
+			chains = chains.concat(ipt.chains);
+		});
+
+		return { source: sources.length ? sources.join(' + ') : null, rules: rules, chains: chains };
+	},
+
+	// 读取并解析当前防火墙规则
+	getFirewallRules: function () {
+		return L.resolveDefault(callRules(), {}).then(L.bind(this.parseRules, this));
+	},
+
+	/**
+	 * 推导 udp2raw -a 应当添加的 RST 丢弃规则。
+	 * 客户端匹配服务器地址与源端口，服务端匹配本地监听端口；
+	 * 规则位于 udp2rawDwrW_* 链中，由 INPUT 跳转进入。
+	 */
+	getExpectedRules: function (s) {
+		var isServer = s['.type'] === 'server';
+		var rawMode = s.raw_mode || 'faketcp';
+		var proto = rawMode === 'udp' ? 'udp' : (rawMode === 'icmp' ? 'icmp' : 'tcp');
+		var addr = isServer ? (s.local_addr || '0.0.0.0') : (s.remote_addr || '');
+		var isIp = /^[0-9.]+$/.test(addr) || addr.indexOf(':') !== -1;
+		var family = addr.indexOf(':') !== -1 ? 'ip6' : 'ip';
+		var expected = { family: family, table: 'filter', chainPrefix: 'udp2rawDwrW_', proto: proto, action: 'drop' };
+
+		if (family === 'ip6' && proto === 'icmp')
+			expected.proto = 'icmpv6';
+
+		if (isServer) {
+			if (isIp && addr !== '0.0.0.0' && addr !== '::')
+				expected.daddr = addr;
+			if (proto !== 'icmp')
+				expected.dport = s.local_port;
+		} else {
+			if (isIp)
+				expected.saddr = addr;
+			if (proto !== 'icmp')
+				expected.sport = s.remote_port;
+		}
+
+		return [ expected ];
+	},
+
+	// 规则中解码不了的字段（rule.unknown）不参与比较
+	ruleMatches: function (rule, expected) {
+		for (var key in expected) {
+			if (rule.unknown.indexOf(key) !== -1)
+				continue;
+			if (key === 'chainPrefix') {
+				if (String(rule.chain).indexOf(expected.chainPrefix) !== 0)
+					return false;
+			} else if (String(rule[key]) !== String(expected[key])) {
+				return false;
+			}
+		}
+		return true;
+	},
+
+	/**
+	 * 多余规则归属，服务端按监听端口，客户端按服务器地址或端口
+	 */
+	ruleBelongsTo: function (rule, s) {
+		if (s['.type'] === 'server')
+			return rule.dport != null && rule.dport === s.local_port;
+		return (rule.sport != null && rule.sport === s.remote_port) ||
+			(rule.saddr != null && rule.saddr === s.remote_addr);
+	},
+
+	describeRule: function (rule) {
+		var proto = String(rule.proto || '*').toUpperCase();
+
+		if (rule.dport != null || (rule.saddr == null && rule.sport == null))
+			return proto + ' DROP' + (rule.daddr ? ' ' + rule.daddr : '') + (rule.dport ? ' dport ' + rule.dport : '');
+		return proto + ' DROP ' + (rule.saddr || '*') + (rule.sport ? ':' + rule.sport : '');
+	},
+
+	/**
+	 * 查找不属于任何已配置实例的 udp2rawDwrW_* 链。
+	 * udp2raw 正常退出时会删除自己的链，残留通常来自进程被强制结束；
+	 * 链中没有一条 DROP 规则能对应到任何 client / server（无论是否启用）即视为孤立。
+	 */
+	findOrphanChains: function (fw, sections) {
+		var self = this;
+		var expected = [];
+
+		sections.forEach(function (s) {
+			if (s['.type'] === 'client' || s['.type'] === 'server')
+				expected = expected.concat(self.getExpectedRules(s));
+		});
+
+		return fw.chains.filter(function (chain) {
+			return String(chain.name).indexOf('udp2rawDwrW_') === 0;
+		}).map(function (chain) {
+			var sameChain = function (rule) {
+				return rule.family === chain.family && rule.table === chain.table && rule.backend === chain.backend;
+			};
+
+			return {
+				family: chain.family,
+				table: chain.table,
+				name: chain.name,
+				backend: chain.backend,
+				rules: fw.rules.filter(function (rule) {
+					return sameChain(rule) && rule.chain === chain.name;
+				}),
+				hooks: fw.rules.filter(function (rule) {
+					return sameChain(rule) && rule.action === 'jump' && rule.target === chain.name;
+				})
+			};
+		}).filter(function (chain) {
+			return !chain.rules.some(function (rule) {
+				return expected.some(function (e) { return self.ruleMatches(rule, e); });
+			});
+		});
+	},
+
+	/**
+	 * 删除一条孤立链的步骤，返回 [{ command: [程序, 参数数组], call }, ...]。
+	 * command 用于预览，call() 经 luci.udp2raw 执行同一条命令并返回 { code, stderr }。
+	 * 先删除指向该链的跳转规则，再清空并删除链本身。
+	 */
+	getRemoveCommands: function (chain) {
+		var hookCall = function (hook) {
+			return function () {
+				return callDeleteRule(hook.backend, hook.family, hook.table, hook.chain,
+					hook.handle != null ? hook.handle : 0, hook.spec || []);
+			};
+		};
+		var flush = function () { return callFlushChain(chain.backend, chain.family, chain.table, chain.name); };
+		var remove = function () { return callDeleteChain(chain.backend, chain.family, chain.table, chain.name); };
+
+		if (chain.backend === 'nft') {
+			return chain.hooks.map(function (hook) {
+				return { command: [ '/usr/sbin/nft', [ 'delete', 'rule', hook.family, hook.table, hook.chain, 'handle', String(hook.handle) ] ], call: hookCall(hook) };
+			}).concat([
+				{ command: [ '/usr/sbin/nft', [ 'flush', 'chain', chain.family, chain.table, chain.name ] ], call: flush },
+				{ command: [ '/usr/sbin/nft', [ 'delete', 'chain', chain.family, chain.table, chain.name ] ], call: remove }
+			]);
+		}
+
+		var bin = chain.family === 'ip6' ? '/usr/sbin/ip6tables' : '/usr/sbin/iptables';
+
+		return chain.hooks.map(function (hook) {
+			return { command: [ bin, [ '-t', hook.table, '-D', hook.chain ].concat(hook.spec) ], call: hookCall(hook) };
+		}).concat([
+			{ command: [ bin, [ '-t', chain.table, '-F', chain.name ] ], call: flush },
+			{ command: [ bin, [ '-t', chain.table, '-X', chain.name ] ], call: remove }
+		]);
+	}
+});
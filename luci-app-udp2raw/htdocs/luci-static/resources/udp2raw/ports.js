@@ -0,0 +1,205 @@
+/**
+ * Copyright (C) 2024 iHub-2020
+ * 
+ * luci-app-udp2raw - Listen Ports
+ * Cross-application listen port conflict checks (phantun, udp2raw, udpspeeder,
+ * WireGuard and sockets currently bound on the system)
+ * 
+ * @module luci-app-udp2raw/ports
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+'use strict';
+'require baseclass';
+'require fs';
+'require uci';
+'require network';
+
+// Tunnel daemons are already described by their UCI sections, so their sockets are not counted twice
+var TUNNEL_PROGRAMS = [ 'phantun_client', 'phantun_server', 'udp2raw', 'udpspeeder' ];
+
+function isWildcard(addr) {
+	return !addr || addr === '0.0.0.0' || addr === '::' || addr === '*';
+}
+
+function addrOverlaps(a, b) {
+	return isWildcard(a) || isWildcard(b) || a === b;
+}
+
+return baseclass.extend({
+	networks: [],
+	sockets: [],
+
+	/**
+	 * 加载三个应用的 UCI 配置、网络接口与当前监听的套接字，需在 findConflict 之前调用。
+	 */
+	load: function () {
+		var self = this;
+
+		return Promise.all([
+			L.resolveDefault(uci.load('phantun'), null),
+			L.resolveDefault(uci.load('udp2raw'), null),
+			L.resolveDefault(uci.load('udpspeeder'), null),
+			L.resolveDefault(network.getNetworks(), []),
+			this.getListeningSockets()
+		]).then(function (results) {
+			self.networks = results[3];
+			self.sockets = results[4];
+		});
+	},
+
+	/**
+	 * 解析 `netstat -lntup` 输出，返回 [{ proto, addr, port, pid, program }]。
+	 * udp 行没有 State 列，因此地址与进程均按列位置从两端取。
+	 */
+	getListeningSockets: function () {
+		return L.resolveDefault(fs.exec('/bin/netstat', ['-lntup']), {}).then(function (res) {
+			var sockets = [];
+
+			String((res && res.code === 0 && res.stdout) || '').split('\n').forEach(function (line) {
+				var tokens = line.trim().split(/\s+/);
+				var proto = (tokens[0] || '').replace(/6$/, '');
+
+				if (proto !== 'tcp' && proto !== 'udp')
+					return;
+
+				var local = tokens[3] || '';
+				var sep = local.lastIndexOf(':');
+				var owner = tokens[tokens.length - 1].split('/');
+
+				sockets.push({
+					proto: proto,
+					addr: local.substring(0, sep).replace(/^\[|\]$/g, ''),
+					port: local.substring(sep + 1),
+					pid: owner.length > 1 ? owner[0] : null,
+					program: owner.length > 1 ? owner.slice(1).join('/') : null
+				});
+			});
+
+			return sockets;
+		});
+	},
+
+	/**
+	 * 列出所有配置中声明的监听端口：[{ config, section, type, label, proto, addr, port }]。
+	 * udp2raw 服务端的协议取决于 raw_mode（icmp 模式不占用端口）。
+	 */
+	getConfiguredPorts: function () {
+		var entries = [];
+		var push = function (config, s, proto, addr) {
+			if (!s.local_port || !proto)
+				return;
+
+			entries.push({
+				config: config,
+				section: s['.name'],
+				type: s['.type'],
+				label: '%s %s "%s"'.format(config, s['.type'], s.alias || s['.name']),
+				proto: proto,
+				addr: addr,
+				port: String(s.local_port)
+			});
+		};
+
+		(uci.sections('phantun') || []).forEach(function (s) {
+			if (s['.type'] === 'server')
+				push('phantun', s, 'tcp', '0.0.0.0');
+			else if (s['.type'] === 'client')
+				push('phantun', s, 'udp', s.local_addr || '127.0.0.1');
+		});
+
+		(uci.sections('udp2raw') || []).forEach(function (s) {
+			var rawMode = s.raw_mode || 'faketcp';
+
+			if (s['.type'] === 'server')
+				push('udp2raw', s, rawMode === 'udp' ? 'udp' : (rawMode === 'icmp' ? null : 'tcp'), s.local_addr || '0.0.0.0');
+			else if (s['.type'] === 'client')
+				push('udp2raw', s, 'udp', s.local_addr || '127.0.0.1');
+		});
+
+		(uci.sections('udpspeeder') || []).forEach(function (s) {
+			if (s['.type'] === 'server' || s['.type'] === 'client')
+				push('udpspeeder', s, 'udp', s.local_addr || (s['.type'] === 'server' ? '0.0.0.0' : '127.0.0.1'));
+		});
+
+		this.networks.forEach(function (net) {
+			var port = net.getProtocol() === 'wireguard' ? net.get('listen_port') : null;
+
+			if (port)
+				entries.push({
+					config: 'network',
+					section: net.getName(),
+					type: 'wireguard',
+					label: 'WireGuard "%s"'.format(net.getName()),
+					proto: 'udp',
+					addr: '0.0.0.0',
+					port: String(port)
+				});
+		});
+
+		return entries;
+	},
+
+	/**
+	 * 系统套接字中不由上述配置解释的部分（uhttpd、dropbear、dnsmasq 等）。
+	 * 无进程名的内核套接字若与 WireGuard 等配置端口重合，同样视为已解释。
+	 */
+	getForeignSockets: function (entries) {
+		return this.sockets.filter(function (sock) {
+			if (sock.program && TUNNEL_PROGRAMS.indexOf(sock.program) !== -1)
+				return false;
+
+			return sock.program || !entries.some(function (e) {
+				return e.proto === sock.proto && e.port === sock.port && addrOverlaps(e.addr, sock.addr);
+			});
+		}).map(function (sock) {
+			return {
+				config: null,
+				section: null,
+				type: 'socket',
+				label: sock.program ? _('%s (PID %s)').format(sock.program, sock.pid) : _('kernel or unknown process'),
+				proto: sock.proto,
+				addr: sock.addr,
+				port: sock.port
+			};
+		});
+	},
+
+	/**
+	 * 检查 config/section_id 的监听端口是否与其他实例或系统套接字冲突，返回冲突描述或 null。
+	 */
+	findConflict: function (config, section_id, proto, addr, port) {
+		var entries = this.getConfiguredPorts();
+		var others = entries.filter(function (e) {
+			return !(e.config === config && e.section === section_id);
+		}).concat(this.getForeignSockets(entries));
+
+		for (var i = 0; i < others.length; i++) {
+			var e = others[i];
+
+			if (e.proto === proto && e.port === String(port) && addrOverlaps(e.addr, addr))
+				return _('Port %s/%s is already used by %s').format(port, proto.toUpperCase(), e.label);
+		}
+
+		return null;
+	},
+
+	/**
+	 * 端口映射表：所有配置端口与系统监听端口，按端口排序，同协议同端口且地址重叠者标记 conflict。
+	 */
+	getPortMap: function () {
+		var entries = this.getConfiguredPorts();
+		var all = entries.concat(this.getForeignSockets(entries));
+
+		all.forEach(function (e) {
+			e.conflict = all.some(function (o) {
+				return o !== e && o.proto === e.proto && o.port === e.port && addrOverlaps(o.addr, e.addr);
+			});
+		});
+
+		return all.sort(function (a, b) {
+			return (+a.port - +b.port) || a.proto.localeCompare(b.proto);
+		});
+	}
+});
@@ -0,0 +1,290 @@
+/**
+ * Copyright (C) 2024 iHub-2020
+ *
+ * luci-app-udp2raw - Binary Page
+ * Uploads a new /usr/bin/udp2raw from the browser, installs it once the
+ * backend has checked its architecture and run it, and rolls back to the
+ * previous version
+ *
+ * @module luci-app-udp2raw/binary
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+'use strict';
+'require view';
+'require ui';
+'require uci';
+'require fs';
+'require rpc';
+'require request';
+
+// Same as UPLOAD in luci.udp2raw, the backend only takes the upload from here
+var UPLOAD = '/tmp/udp2raw-binary.upload';
+
+var callBinaryInfo = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'binary_info',
+	expect: { '': {} }
+});
+
+var callBinaryVerify = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'binary_verify',
+	expect: { '': {} }
+});
+
+var callBinaryInstall = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'binary_install',
+	expect: { '': {} }
+});
+
+var callBinaryRollback = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'binary_rollback',
+	expect: { '': {} }
+});
+
+// fs.write only takes text, binaries go through cgi-upload
+function upload(blob) {
+	var data = new FormData();
+
+	data.append('sessionid', rpc.getSessionID());
+	data.append('filename', UPLOAD);
+	data.append('filedata', blob);
+
+	return request.post(L.env.cgi_base + '/cgi-upload', data).then(function (res) {
+		var reply = res.json();
+
+		if (!res.ok || (reply && reply.failure))
+			throw new Error((reply && reply.message) || res.statusText);
+
+		return reply;
+	});
+}
+
+function formatFile(f) {
+	return [
+		E('code', {}, f.md5.substring(0, 16) + '...'),
+		E('br'),
+		E('small', {}, '%1024.1mB'.format(f.size) + ' · ' + new Date(f.mtime * 1000).toLocaleString())
+	];
+}
+
+return view.extend({
+	title: _('udp2raw Binary'),
+
+	load: function () {
+		return Promise.all([
+			callBinaryInfo(),
+			uci.load('udp2raw')
+		]);
+	},
+
+	// procd instances are named after their section
+	instanceName: function (instance) {
+		return uci.get('udp2raw', instance, 'alias') || instance;
+	},
+
+	renderRows: function (info) {
+		return [
+			E('tr', { 'class': 'tr' }, [
+				E('td', { 'class': 'td' }, [ E('strong', {}, 'udp2raw'), E('br'), E('small', {}, info.path) ]),
+				E('td', { 'class': 'td' }, info.installed ? formatFile(info) : E('em', { 'style': 'color: #d9534f;' }, _('Not installed'))),
+				E('td', { 'class': 'td' }, info.previous ? formatFile(info.previous) : E('em', { 'style': 'color: #888;' }, _('None'))),
+				E('td', { 'class': 'td' }, [
+					E('button', {
+						'class': 'cbi-button cbi-button-action',
+						'click': function () { document.getElementById('binary-file').click(); }
+					}, _('Upload…')),
+					' ',
+					E('button', {
+						'class': 'cbi-button cbi-button-reset',
+						'disabled': info.previous ? null : '',
+						'click': ui.createHandlerFn(this, 'handleRollback', info.previous)
+					}, _('Roll back'))
+				])
+			])
+		];
+	},
+
+	handleRefresh: function () {
+		var self = this;
+
+		return callBinaryInfo().then(function (info) {
+			var tableEl = document.getElementById('binary-table');
+
+			tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+			self.renderRows(info).forEach(function (r) { tableEl.appendChild(r); });
+		});
+	},
+
+	handleUpload: function (ev) {
+		var self = this;
+		var input = ev.target;
+		var file = input.files[0];
+
+		if (!file)
+			return;
+
+		input.value = '';
+
+		ui.showModal(_('Checking %s').format(file.name), [
+			E('p', { 'class': 'spinning' }, _('Uploading the file and running it with --version…'))
+		]);
+
+		return upload(file).then(function () {
+			return callBinaryVerify();
+		}).then(function (res) {
+			if (!res.valid) {
+				ui.showModal(_('Verification Failed'), [
+					E('p', {}, _('%s cannot be used as udp2raw: %s').format(file.name, res.error || _('Unknown error'))),
+					res.output ? E('pre', { 'style': 'max-height: 200px; overflow: auto; font-size: 12px;' }, res.output) : '',
+					E('div', { 'class': 'right' }, [
+						E('button', { 'class': 'cbi-button', 'click': ui.hideModal }, _('Close'))
+					])
+				]);
+				return;
+			}
+
+			self.showInstall(file.name, res);
+		}).catch(function (err) {
+			ui.hideModal();
+			ui.addNotification(null, E('p', _('Upload failed: %s').format(err.message || err)), 'error');
+		});
+	},
+
+	showInstall: function (fileName, res) {
+		ui.showModal(_('Install udp2raw'), [
+			E('p', {}, _('%s is an executable for this router. Install it as udp2raw? The current version is kept for rollback and all udp2raw instances are restarted.').format(fileName)),
+			E('table', { 'class': 'table' }, [
+				E('tr', { 'class': 'tr' }, [ E('td', { 'class': 'td left', 'width': '30%' }, _('Architecture')), E('td', { 'class': 'td left' }, res.arch) ]),
+				E('tr', { 'class': 'tr' }, [ E('td', { 'class': 'td left' }, _('Size')), E('td', { 'class': 'td left' }, '%1024.1mB'.format(res.size)) ]),
+				E('tr', { 'class': 'tr' }, [ E('td', { 'class': 'td left' }, _('MD5')), E('td', { 'class': 'td left' }, E('code', {}, res.md5)) ])
+			]),
+			E('p', {}, _('Output:')),
+			E('pre', { 'style': 'max-height: 200px; overflow: auto; font-size: 12px;' }, res.output || _('(no output)')),
+			E('div', { 'class': 'right' }, [
+				E('button', {
+					'class': 'cbi-button cbi-button-neutral',
+					'click': ui.createHandlerFn(this, 'handleDiscard')
+				}, _('Cancel')),
+				' ',
+				E('button', {
+					'class': 'cbi-button cbi-button-positive',
+					'click': ui.createHandlerFn(this, 'handleInstall')
+				}, _('Install'))
+			])
+		]);
+	},
+
+	handleDiscard: function () {
+		ui.hideModal();
+		return L.resolveDefault(fs.remove(UPLOAD), null);
+	},
+
+	// Shared by install and rollback; instances that failed to restart get their own warning
+	notifyResult: function (res, done) {
+		var restarted = (res.restarted || []).map(L.bind(this.instanceName, this));
+		var failed = (res.failed || []).map(L.bind(this.instanceName, this));
+
+		if (res.code !== 0) {
+			ui.addNotification(null, E('p', res.stderr || _('Unknown error')), 'error');
+			return;
+		}
+
+		ui.addNotification(null, E('p', [
+			done, ' ',
+			restarted.length
+				? _('Restarted instances: %s').format(restarted.join(', '))
+				: _('No instance was using it, nothing was restarted.')
+		]), 'info');
+
+		if (failed.length)
+			ui.addNotification(null, E('p', _('Failed to restart instances: %s').format(failed.join(', '))), 'warning');
+	},
+
+	handleInstall: function () {
+		var self = this;
+
+		ui.showModal(_('Install udp2raw'), [
+			E('p', { 'class': 'spinning' }, _('Installing and restarting instances…'))
+		]);
+
+		return callBinaryInstall().then(function (res) {
+			ui.hideModal();
+			self.notifyResult(res, _('Installed the new udp2raw.'));
+			return self.handleRefresh();
+		}).catch(function (err) {
+			ui.hideModal();
+			ui.addNotification(null, E('p', _('Failed to install udp2raw: %s').format(err.message || err)), 'error');
+		});
+	},
+
+	handleRollback: function (previous) {
+		var self = this;
+
+		if (!previous || !confirm(_('Replace udp2raw with the previous version (MD5 %s, %s)? The current version is kept, rolling back again restores it.')
+				.format(previous.md5.substring(0, 16) + '...', new Date(previous.mtime * 1000).toLocaleString())))
+			return;
+
+		return callBinaryRollback().then(function (res) {
+			self.notifyResult(res, _('Rolled back udp2raw.'));
+			return self.handleRefresh();
+		}).catch(function (err) {
+			ui.addNotification(null, E('p', _('Failed to roll back udp2raw: %s').format(err.message || err)), 'error');
+		});
+	},
+
+	render: function (data) {
+		var info = data[0] || {};
+
+		return E('div', { 'class': 'cbi-map' }, [
+			E('h2', {}, _('udp2raw Binary')),
+			E('div', { 'class': 'cbi-map-descr' },
+				_('Replace udp2raw with a build uploaded from this browser, for routers that cannot download packages. The file must be an ELF executable for this router and must run with --version or --help. The replaced binary is kept as udp2raw.prev next to it for rollback, and all udp2raw instances are restarted.')),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('table', { 'class': 'table' }, [
+					E('tr', { 'class': 'tr' }, [
+						E('td', { 'class': 'td left', 'width': '33%' }, _('Router Architecture')),
+						E('td', { 'class': 'td left' }, info.arch || _('Unknown'))
+					]),
+					E('tr', { 'class': 'tr' }, [
+						E('td', { 'class': 'td left' }, _('Package Architecture')),
+						E('td', { 'class': 'td left' }, info.target ? E('code', {}, info.target) : _('Unknown'))
+					])
+				])
+			]),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('table', { 'class': 'table cbi-section-table', 'id': 'binary-table' }, [
+					E('tr', { 'class': 'tr table-titles' }, [
+						E('th', { 'class': 'th' }, _('Binary')),
+						E('th', { 'class': 'th' }, _('Installed')),
+						E('th', { 'class': 'th' }, _('Previous Version')),
+						E('th', { 'class': 'th' }, _('Actions'))
+					])
+				].concat(this.renderRows(info))),
+
+				E('div', { 'class': 'right', 'style': 'margin-top: 10px;' }, [
+					E('input', {
+						'type': 'file',
+						'id': 'binary-file',
+						'style': 'display: none;',
+						'change': ui.createHandlerFn(this, 'handleUpload')
+					}),
+					E('button', {
+						'class': 'cbi-button cbi-button-neutral',
+						'click': ui.createHandlerFn(this, 'handleRefresh')
+					}, _('Refresh'))
+				])
+			])
+		]);
+	},
+
+	handleSave: null,
+	handleSaveApply: null,
+	handleReset: null
+});
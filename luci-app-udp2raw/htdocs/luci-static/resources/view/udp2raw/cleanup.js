@@ -0,0 +1,200 @@
+/**
+ * Copyright (C) 2024 iHub-2020
+ *
+ * luci-app-udp2raw - Rule Cleanup Page
+ * Lists udp2rawDwrW_* chains left behind by instances that no longer exist
+ * and removes them after a dry-run preview
+ *
+ * @module luci-app-udp2raw/cleanup
+ * @version 1.1.0
+ * @date 2026-10-19
+ */
+
+'use strict';
+'require view';
+'require ui';
+'require uci';
+'require udp2raw.firewall as firewall';
+
+function formatCommand(cmd) {
+	return [ cmd[0] ].concat(cmd[1].map(function (arg) {
+		return /^[\w.:\/@,+=\[\]-]+$/.test(arg) ? arg : "'" + String(arg).replace(/'/g, "'\\''") + "'";
+	})).join(' ');
+}
+
+return view.extend({
+	title: _('udp2raw Rule Cleanup'),
+
+	load: function () {
+		return Promise.all([
+			firewall.getFirewallRules(),
+			uci.load('udp2raw')
+		]);
+	},
+
+	findOrphans: function (data) {
+		var fw = data[0];
+		return fw.source ? firewall.findOrphanChains(fw, uci.sections('udp2raw')) : [];
+	},
+
+	renderRows: function (orphans) {
+		if (orphans.length === 0) {
+			return [
+				E('tr', { 'class': 'tr' }, [
+					E('td', { 'class': 'td', 'colspan': '5', 'style': 'text-align: center; color: #888;' },
+						_('No orphaned chains found'))
+				])
+			];
+		}
+
+		return orphans.map(function (chain, i) {
+			var rules = chain.rules.map(function (rule) { return firewall.describeRule(rule); });
+
+			return E('tr', { 'class': 'tr' }, [
+				E('td', { 'class': 'td' }, E('input', { 'type': 'checkbox', 'data-orphan': i, 'checked': 'checked' })),
+				E('td', { 'class': 'td' }, chain.family + ' ' + chain.table + ' / ' + chain.name),
+				E('td', { 'class': 'td' }, rules.length ? rules.join(', ') : _('(empty)')),
+				E('td', { 'class': 'td' }, chain.hooks.length
+					? chain.hooks.map(function (hook) { return hook.chain; }).join(', ')
+					: _('not hooked')),
+				E('td', { 'class': 'td' }, chain.backend === 'nft' ? 'nftables' : 'iptables')
+			]);
+		});
+	},
+
+	getSelected: function () {
+		var orphans = this.orphans;
+
+		return Array.prototype.filter.call(document.querySelectorAll('input[data-orphan]'), function (cb) {
+			return cb.checked;
+		}).map(function (cb) {
+			return orphans[+cb.getAttribute('data-orphan')];
+		});
+	},
+
+	// Run sequentially so jump rules are gone before their chain is deleted
+	runCommands: function (commands) {
+		var failed = [];
+
+		return commands.reduce(function (p, step) {
+			return p.then(function () {
+				return step.call().then(function (res) {
+					if (res.code !== 0)
+						failed.push(formatCommand(step.command) + ': ' + ((res.stderr || '').trim() || ('exit code ' + res.code)));
+				}).catch(function (err) {
+					failed.push(formatCommand(step.command) + ': ' + (err.message || err));
+				});
+			});
+		}, Promise.resolve()).then(function () {
+			return failed;
+		});
+	},
+
+	handlePreview: function () {
+		var self = this;
+		var selected = this.getSelected();
+		var commands = [];
+
+		if (selected.length === 0) {
+			ui.addNotification(null, E('p', _('No chains selected')), 'info');
+			return;
+		}
+
+		selected.forEach(function (chain) {
+			commands = commands.concat(firewall.getRemoveCommands(chain));
+		});
+
+		ui.showModal(_('Remove Orphaned Chains'), [
+			E('p', {}, _('Dry run: the following commands will be executed. Nothing has been changed yet.')),
+			E('pre', { 'style': 'white-space: pre-wrap; word-break: break-all;' }, commands.map(function (step) { return formatCommand(step.command); }).join('\n')),
+			E('div', { 'class': 'right' }, [
+				E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Cancel')),
+				' ',
+				E('button', {
+					'class': 'cbi-button cbi-button-negative',
+					'click': ui.createHandlerFn(self, function () {
+						return self.runCommands(commands).then(function (failed) {
+							ui.hideModal();
+
+							if (failed.length > 0)
+								ui.addNotification(null, [
+									E('p', _('Some commands failed:')),
+									E('pre', {}, failed.join('\n'))
+								], 'error');
+							else
+								ui.addNotification(null, E('p', _('%d chains removed').format(selected.length)), 'info');
+
+							return self.handleRefresh();
+						});
+					})
+				}, _('Remove'))
+			])
+		]);
+	},
+
+	handleRefresh: function () {
+		var self = this;
+
+		return this.load().then(function (data) {
+			var tableEl = document.getElementById('orphan-chains-table');
+
+			self.orphans = self.findOrphans(data);
+			if (tableEl) {
+				tableEl.querySelectorAll('.tr:not(.table-titles)').forEach(function (r) { r.parentNode.removeChild(r); });
+				self.renderRows(self.orphans).forEach(function (r) { tableEl.appendChild(r); });
+			}
+		});
+	},
+
+	render: function (data) {
+		var self = this;
+		var fw = data[0];
+
+		this.orphans = this.findOrphans(data);
+
+		return E('div', { 'class': 'cbi-map' }, [
+			E('h2', {}, _('udp2raw Rule Cleanup')),
+			E('div', { 'class': 'cbi-map-descr' },
+				_('udp2raw removes its own iptables chain on a clean exit. Chains listed here match no configured client or server, usually because a process was killed. Select the chains to remove and review the commands before they run.')),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('div', { 'style': 'padding: 10px 0; color: #888;' },
+					fw.source ? _('Rule source: %s').format(fw.source) : _('Neither nft nor iptables-save is available in this runtime')),
+				E('table', { 'class': 'table cbi-section-table', 'id': 'orphan-chains-table' }, [
+					E('tr', { 'class': 'tr table-titles' }, [
+						E('th', { 'class': 'th', 'style': 'width: 30px;' }, E('input', {
+							'type': 'checkbox',
+							'checked': 'checked',
+							'title': _('Select all'),
+							'change': function (ev) {
+								document.querySelectorAll('input[data-orphan]').forEach(function (cb) {
+									cb.checked = ev.target.checked;
+								});
+							}
+						})),
+						E('th', { 'class': 'th' }, _('Chain')),
+						E('th', { 'class': 'th' }, _('Rules')),
+						E('th', { 'class': 'th' }, _('Hooked from')),
+						E('th', { 'class': 'th' }, _('Backend'))
+					])
+				].concat(this.renderRows(this.orphans))),
+
+				E('div', { 'class': 'right', 'style': 'margin-top: 10px;' }, [
+					E('button', {
+						'class': 'cbi-button cbi-button-neutral',
+						'click': ui.createHandlerFn(self, 'handleRefresh')
+					}, _('Refresh')),
+					' ',
+					E('button', {
+						'class': 'cbi-button cbi-button-negative',
+						'click': ui.createHandlerFn(self, 'handlePreview')
+					}, _('Remove Selected…'))
+				])
+			])
+		]);
+	},
+
+	handleSave: null,
+	handleSaveApply: null,
+	handleReset: null
+});
@@ -8,12 +8,22 @@
  * - Multi-tunnel support (Server & Client modes)
  * - Tabbed interface (Basic/Advanced) for cleaner UI
  * - Input validation with security warnings
+ * - Validated fields for every tuning option read by udp2raw.init
+ * - Per-instance Start/Stop/Restart with live running/PID state
+ * - Peer profile generation (importable JSON and Linux command line)
+ * - Import from a pasted udp2raw command line
+ * - Command preview of the exact argv built by udp2raw.init
+ * - Listen port conflict checks across phantun, udp2raw, udpspeeder and system sockets
+ * - Monthly traffic quota per client, with quota-stopped instances marked in the State column
+ * - Per-instance watchdog that restarts a tunnel whose probe target stops answering
+ * - Per-instance procd respawn threshold, delay and retry limit
+ * - Link to the Binary upload page when udp2raw is not installed
  * - Automatic iptables rule management for OpenWrt
  * - Integrated service control with reset functionality
  * 
  * @module luci-app-udp2raw/config
- * @version 2.1.0
- * @date 2026-01-30
+ * @version 2.2.0
+ * @date 2026-10-19
  */
 
 'use strict';
@@ -23,6 +33,10 @@
 'require fs';
 'require ui';
 'require rpc';
+'require poll';
+'require network';
+'require udp2raw.ports as ports';
+'require tools.widgets as widgets';
 
 var callServiceList = rpc.declare({
 	object: 'service',
@@ -38,6 +52,305 @@ var callInitAction = rpc.declare({
 	expect: { result: false }
 });
 
+// Live procd instance state (keyed by section name), refreshed by poll
+var instanceStates = {};
+
+// quotaCycle is the quota_exceeded value: the start of the cycle in which
+// udp2raw-usage stopped the instance
+function renderInstanceState(el, inst, quotaCycle) {
+	var running = !!(inst && inst.running);
+
+	el.style.color = running ? '#5cb85c' : (quotaCycle ? '#f0ad4e' : '#d9534f');
+	el.style.fontWeight = 'bold';
+
+	if (!running && quotaCycle) {
+		el.textContent = _('Stopped: quota exceeded');
+		el.title = _('Monthly traffic quota reached in the cycle starting %s. Use Override on the Status page to run it until the next reset.').format(quotaCycle);
+		return;
+	}
+
+	el.textContent = running ? _('Running') + ' (PID ' + inst.pid + ')' : _('Stopped');
+	el.title = '';
+}
+
+function refreshInstanceStates() {
+	return L.resolveDefault(callServiceList('udp2raw'), {}).then(function (res) {
+		instanceStates = (res && res.udp2raw && res.udp2raw.instances) || {};
+
+		document.querySelectorAll('[data-udp2raw-instance]').forEach(function (el) {
+			renderInstanceState(el, instanceStates[el.getAttribute('data-udp2raw-instance')], el.getAttribute('data-udp2raw-quota'));
+		});
+	});
+}
+
+/**
+ * Start, stop or restart a single procd instance. rc.common passes the
+ * instance name to procd, so the other tunnels keep running.
+ */
+function controlInstance(instance, action) {
+	return fs.exec('/etc/init.d/udp2raw', [action, instance]).then(function (res) {
+		if (res.code !== 0)
+			throw new Error((res.stderr || res.stdout || '').trim() || ('exit code ' + res.code));
+
+		// Give procd a moment to spawn or reap the process
+		return new Promise(function (resolve) { window.setTimeout(resolve, 1000); });
+	}).then(refreshInstanceStates).then(function () {
+		var inst = instanceStates[instance];
+
+		if (action !== 'stop' && !(inst && inst.running))
+			ui.addNotification(null, E('p', _('Instance %s is not running. Make sure it is enabled and the configuration is saved.').format(instance)), 'warning');
+	}).catch(function (err) {
+		ui.addNotification(null, E('p', _('Failed to control instance %s: %s').format(instance, err.message || err)), 'error');
+	});
+}
+
+function shellQuote(value) {
+	return "'" + String(value).replace(/'/g, "'\\''") + "'";
+}
+
+// A line break in the alias would end the comment and run the rest as a command
+function shellComment(value) {
+	return String(value).replace(/[\x00-\x1f\x7f]+/g, ' ');
+}
+
+/**
+ * Best-effort guess of the address the remote side should connect to:
+ * the first IPv4 address of a WAN network, if any.
+ */
+function getPublicAddress() {
+	return L.resolveDefault(network.getWANNetworks(), []).then(function (nets) {
+		for (var i = 0; i < nets.length; i++) {
+			var addr = nets[i].getIPAddr();
+			if (addr)
+				return addr;
+		}
+		return '';
+	});
+}
+
+/**
+ * Split a pasted shell command into arguments, honouring single/double
+ * quotes and backslash escapes. Line continuations count as whitespace.
+ */
+function splitCommandLine(str) {
+	var args = [];
+	var cur = '';
+	var quote = null;
+	var inWord = false;
+
+	str = String(str).replace(/\\\r?\n/g, ' ');
+
+	for (var i = 0; i < str.length; i++) {
+		var ch = str.charAt(i);
+
+		if (quote) {
+			if (ch === quote)
+				quote = null;
+			else if (ch === '\\' && quote === '"' && i + 1 < str.length)
+				cur += str.charAt(++i);
+			else
+				cur += ch;
+		} else if (ch === '\'' || ch === '"') {
+			quote = ch;
+			inWord = true;
+		} else if (ch === '\\' && i + 1 < str.length) {
+			cur += str.charAt(++i);
+			inWord = true;
+		} else if (/\s/.test(ch)) {
+			if (inWord)
+				args.push(cur);
+			cur = '';
+			inWord = false;
+		} else {
+			cur += ch;
+			inWord = true;
+		}
+	}
+
+	if (quote)
+		throw new Error(_('Unterminated quote in command line'));
+
+	if (inWord)
+		args.push(cur);
+
+	return args;
+}
+
+function splitHostPort(value) {
+	var m = String(value).match(/^\[?(.*?)\]?:(\d+)$/);
+	return m ? { host: m[1], port: m[2] } : null;
+}
+
+var UDP2RAW_VALUE_FLAGS = {
+	'-k': 'key', '--key': 'key',
+	'--raw-mode': 'raw_mode', '--cipher-mode': 'cipher_mode', '--auth-mode': 'auth_mode',
+	'--seq-mode': 'seq_mode', '--lower-level': 'lower_level', '--mtu-warn': 'mtu_warn',
+	'--sock-buf': 'sock_buf', '--dev': 'dev', '--hb-len': 'hb_len',
+	'--source-ip': 'source_ip', '--source-port': 'source_port'
+};
+
+var UDP2RAW_BOOL_FLAGS = {
+	'-a': 'auto_rule', '--auto-rule': 'auto_rule', '--keep-rule': 'keep_rule',
+	'--fix-gro': 'fix_gro', '--force-sock-buf': 'force_sock_buf',
+	'--disable-anti-replay': 'disable_anti_replay', '--disable-bpf': 'disable_bpf'
+};
+
+// Always emitted by udp2raw.init, safe to drop
+var UDP2RAW_IMPLIED_FLAGS = [ '--wait-lock', '--retry-on-error', '--disable-color' ];
+
+/**
+ * Map a udp2raw command line onto UCI options.
+ * Returns { type, config, warnings }; type is null if neither -s nor -c
+ * was given.
+ */
+function parseUdp2rawCommand(str) {
+	var args = splitCommandLine(str);
+	var config = { auto_rule: '0' };
+	var extra = [];
+	var warnings = [];
+	var type = null;
+	var i = 0;
+
+	// Skip the program name and anything in front of it (sudo, env, ./udp2raw_amd64 ...)
+	while (i < args.length && args[i].charAt(0) !== '-')
+		i++;
+
+	for (; i < args.length; i++) {
+		var arg = args[i];
+		var flag = arg;
+		var value = null;
+		var eq = arg.indexOf('=');
+
+		if (arg.indexOf('--') === 0 && eq > 0) {
+			flag = arg.substring(0, eq);
+			value = arg.substring(eq + 1);
+		} else if (/^-[lrk]./.test(arg)) {
+			flag = arg.substring(0, 2);
+			value = arg.substring(2);
+		}
+
+		var takeValue = function () {
+			if (value === null && i + 1 < args.length)
+				value = args[++i];
+			return value;
+		};
+
+		if (flag === '-s' || flag === '-c') {
+			type = flag === '-s' ? 'server' : 'client';
+		} else if (flag === '-l' || flag === '-r') {
+			var hp = splitHostPort(takeValue() || '');
+			if (!hp) {
+				warnings.push(_('Cannot parse address "%s" of %s').format(value || '', flag));
+				continue;
+			}
+			var prefix = flag === '-l' ? 'local' : 'remote';
+			config[prefix + '_addr'] = hp.host;
+			config[prefix + '_port'] = hp.port;
+		} else if (UDP2RAW_VALUE_FLAGS[flag]) {
+			config[UDP2RAW_VALUE_FLAGS[flag]] = takeValue() || '';
+		} else if (UDP2RAW_BOOL_FLAGS[flag]) {
+			config[UDP2RAW_BOOL_FLAGS[flag]] = '1';
+		} else if (UDP2RAW_IMPLIED_FLAGS.indexOf(flag) !== -1) {
+			continue;
+		} else if (flag === '--log-level') {
+			takeValue();
+			warnings.push(_('--log-level is a global setting and was ignored'));
+		} else {
+			// Unknown flag: keep it, with its value if the next word is not a flag
+			var entry = arg;
+			if (value === null && i + 1 < args.length && args[i + 1].charAt(0) !== '-')
+				entry += ' ' + args[++i];
+			extra.push(entry);
+			warnings.push(_('Unknown argument "%s" was added to Extra Arguments').format(entry));
+		}
+	}
+
+	if (extra.length)
+		config.extra_args = extra;
+
+	return { type: type, config: config, warnings: warnings };
+}
+
+/**
+ * Rebuild the argv udp2raw.init passes to procd for one section. get(opt)
+ * returns the section value and general(opt) the global one, null if
+ * unset. Each entry is { arg, implied, secret }; implied marks what the
+ * init script fills in on its own.
+ */
+function buildUdp2rawArgv(type, get, general) {
+	var argv = [ { arg: '/usr/bin/udp2raw', implied: false, secret: false } ];
+	var push = function (arg, implied, secret) {
+		argv.push({ arg: String(arg), implied: !!implied, secret: !!secret });
+	};
+	var value = function (v) {
+		return (v != null && v !== '') ? v : null;
+	};
+	var param = function (flag, opt, def, secret) {
+		var v = value(get(opt));
+		if (v == null && def == null)
+			return;
+		push(flag);
+		push(v != null ? v : def, v == null, secret);
+	};
+	var flag = function (name, opt, def) {
+		var v = value(get(opt));
+		if ((v != null ? v : def) === '1')
+			push(name, v == null);
+	};
+
+	var localAddr = value(get('local_addr'));
+
+	push(type === 'server' ? '-s' : '-c');
+	push('-l');
+	push((localAddr || (type === 'server' ? '0.0.0.0' : '127.0.0.1')) + ':' + (get('local_port') || ''), !localAddr);
+	push('-r');
+	push((get('remote_addr') || '') + ':' + (get('remote_port') || ''));
+
+	param('-k', 'key', 'secret key', true);
+	param('--raw-mode', 'raw_mode', 'faketcp');
+	param('--cipher-mode', 'cipher_mode', 'aes128cbc');
+	param('--auth-mode', 'auth_mode', 'md5');
+
+	var logLevel = value(general('log_level'));
+	push('--log-level');
+	push(logLevel || '4', !logLevel);
+
+	flag('-a', 'auto_rule', '1');
+
+	var keepRule = value(get('keep_rule'));
+	if ((keepRule || value(general('keep_rule')) || '0') === '1')
+		push('--keep-rule', !keepRule);
+
+	push('--wait-lock', true);
+	push('--retry-on-error', true);
+	push('--disable-color', true);
+
+	param('--seq-mode', 'seq_mode');
+	flag('--fix-gro', 'fix_gro', '0');
+	param('--lower-level', 'lower_level');
+	param('--mtu-warn', 'mtu_warn');
+	param('--sock-buf', 'sock_buf');
+	flag('--force-sock-buf', 'force_sock_buf', '0');
+	flag('--disable-anti-replay', 'disable_anti_replay', '0');
+	flag('--disable-bpf', 'disable_bpf', '0');
+	param('--dev', 'dev');
+	param('--hb-len', 'hb_len');
+
+	if (type === 'client') {
+		param('--source-ip', 'source_ip');
+		param('--source-port', 'source_port');
+	}
+
+	// The init script word-splits extra_args
+	var extra = get('extra_args');
+	L.toArray(extra).join(' ').split(/\s+/).forEach(function (arg) {
+		if (arg)
+			push(arg);
+	});
+
+	return argv;
+}
+
 return view.extend({
 	title: _('udp2raw Configuration'),
 
@@ -45,7 +358,8 @@ return view.extend({
 		return Promise.all([
 			uci.load('udp2raw'),
 			L.resolveDefault(fs.stat('/usr/bin/udp2raw'), null),
-			L.resolveDefault(callServiceList('udp2raw'), null)
+			L.resolveDefault(callServiceList('udp2raw'), null),
+			ports.load()
 		]);
 	},
 
@@ -53,6 +367,8 @@ return view.extend({
 		var udp2rawInstalled = data[1] !== null;
 		var serviceStatus = data[2] || {};
 
+		instanceStates = (serviceStatus.udp2raw && serviceStatus.udp2raw.instances) || {};
+
 		// Check installation
 		if (!udp2rawInstalled) {
 			return E('div', { 'class': 'alert-message warning' }, [
@@ -66,6 +382,10 @@ return view.extend({
 						'href': 'https://github.com/wangyu-/udp2raw/releases',
 						'target': '_blank'
 					}, 'GitHub Releases')
+				]),
+				E('p', {}, [
+					_('Or upload it from this browser: '),
+					E('a', { 'href': L.url('admin/services/udp2raw/binary') }, _('Binary'))
 				])
 			]);
 		}
@@ -166,6 +486,566 @@ return view.extend({
 		o.value('4', _('Info (Default)'));
 		o.default = '4';
 
+		o = s.option(form.Value, 'log_lines', _('Status Page Log Lines'),
+			_('Number of log lines kept in the log panel of the status page. Lower values reduce the load on slow routers.'));
+		o.datatype = 'range(50,5000)';
+		o.placeholder = '500';
+
+		// ==================== Shared Tuning Options ====================
+		// Flags the init script emits itself; passing them again via
+		// extra_args would conflict with the generated command line.
+		var managedArgs = [
+			'-s', '-c', '-l', '-r', '-k', '--key', '-a', '--auto-rule',
+			'--raw-mode', '--cipher-mode', '--auth-mode', '--log-level', '--keep-rule',
+			'--wait-lock', '--retry-on-error', '--disable-color', '--seq-mode', '--fix-gro',
+			'--lower-level', '--mtu-warn', '--sock-buf', '--force-sock-buf',
+			'--disable-anti-replay', '--disable-bpf', '--dev', '--hb-len',
+			'--source-ip', '--source-port'
+		];
+
+		var validateExtraArgs = function (section_id, value) {
+			if (!value)
+				return true;
+
+			var tokens = String(value).trim().split(/\s+/);
+			for (var i = 0; i < tokens.length; i++) {
+				var flag = tokens[i].split('=')[0];
+				if (managedArgs.indexOf(flag) !== -1)
+					return _('%s is managed by this page, use the dedicated field instead').format(flag);
+			}
+			return true;
+		};
+
+		// A faketcp server owns the TCP port, a udp server the UDP port and an
+		// icmp server no port at all; clients listen on UDP at local_addr.
+		var validateListenPort = function (section_id, value) {
+			var isServer = this.section.sectiontype === 'server';
+			var rawMode = previewValue(this.section, section_id, 'raw_mode') || 'faketcp';
+			var addr = previewValue(this.section, section_id, 'local_addr') || (isServer ? '0.0.0.0' : '127.0.0.1');
+			var proto = !isServer ? 'udp' : (rawMode === 'udp' ? 'udp' : (rawMode === 'icmp' ? null : 'tcp'));
+
+			if (!value || !proto)
+				return true;
+
+			return ports.findConflict('udp2raw', section_id, proto, addr, value) || true;
+		};
+
+		var addTuningOptions = function (s) {
+			o = s.taboption('advanced', form.ListValue, 'seq_mode', _('Sequence Mode'),
+				_('Seq increase mode for FakeTCP. Official default is mode 3.'));
+			o.value('0', _('0 - Static header, no seq increase'));
+			o.value('1', _('1 - Increase seq every packet'));
+			o.value('2', _('2 - Increase seq randomly (~every 3 packets)'));
+			o.value('3', _('3 - Simulate real seq/ack (Default)'));
+			o.value('4', _('4 - Like 3, ignore Window Scale'));
+			o.default = '3';
+			o.depends('raw_mode', 'faketcp');
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Flag, 'keep_rule', _('Keep Iptables Rules (--keep-rule)'),
+				_('Monitor iptables and re-add the rules if they are cleared.'));
+			o.default = '0';
+			o.depends('auto_rule', '1');
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Flag, 'fix_gro', _('Fix GRO (--fix-gro)'),
+				_('Try to fix huge packets caused by GRO. Only needed if you see "huge packet" warnings in the log.'));
+			o.default = '0';
+			o.modalonly = true;
+
+			o = s.taboption('advanced', widgets.DeviceSelect, 'dev', _('Bind Device (--dev)'),
+				_('Bind the raw socket to a network device. Not required, but improves performance.'));
+			o.noaliases = true;
+			o.optional = true;
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Value, 'lower_level', _('Lower Level (--lower-level)'),
+				_('Send packets at OSI layer 2. Format: <code>if_name#dest_mac</code> (e.g. eth0#00:23:45:67:89:b9) or <code>auto</code>.'));
+			o.placeholder = 'auto';
+			o.optional = true;
+			o.modalonly = true;
+			o.validate = function (section_id, value) {
+				if (!value || value === 'auto')
+					return true;
+				if (!/^[A-Za-z0-9_.@-]+#([0-9A-Fa-f]{2}:){5}[0-9A-Fa-f]{2}$/.test(value))
+					return _('Expecting "auto" or if_name#dest_mac, e.g. eth0#00:23:45:67:89:b9');
+				return true;
+			};
+
+			o = s.taboption('advanced', form.Value, 'mtu_warn', _('MTU Warning (--mtu-warn)'),
+				_('Warn when a packet exceeds this size. Official default is 1375.'));
+			o.datatype = 'range(68,9000)';
+			o.placeholder = '1375';
+			o.optional = true;
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Value, 'sock_buf', _('Socket Buffer (--sock-buf)'),
+				_('Socket buffer size in KB, between 10 and 10240. Official default is 1024.'));
+			o.datatype = 'range(10,10240)';
+			o.placeholder = '1024';
+			o.optional = true;
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Flag, 'force_sock_buf', _('Force Socket Buffer (--force-sock-buf)'),
+				_('Bypass the system limitation while setting the socket buffer. Requires root.'));
+			o.default = '0';
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Value, 'hb_len', _('Heartbeat Length (--hb-len)'),
+				_('Length of heartbeat packets, between 0 and 1500.'));
+			o.datatype = 'range(0,1500)';
+			o.optional = true;
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Flag, 'disable_anti_replay', _('Disable Anti-Replay (--disable-anti-replay)'),
+				_('Disable the anti-replay window. Not recommended.'));
+			o.default = '0';
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Flag, 'disable_bpf', _('Disable BPF Filter (--disable-bpf)'),
+				_('Disable the kernel BPF filter on the raw socket. Only for debugging, it costs a lot of CPU.'));
+			o.default = '0';
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.DynamicList, 'extra_args', _('Extra Arguments'),
+				_('Additional command line arguments that have no dedicated field above.'));
+			o.optional = true;
+			o.modalonly = true;
+			o.validate = validateExtraArgs;
+		};
+
+		// ==================== Per-Instance Controls ====================
+		var addInstanceControls = function (s) {
+			o = s.taboption('basic', form.DummyValue, '_state', _('State'));
+			o.modalonly = false;
+			o.width = '15%';
+			o.textvalue = function (section_id) {
+				var quotaCycle = uci.get('udp2raw', section_id, 'quota_exceeded') || '';
+				var el = E('span', { 'data-udp2raw-instance': section_id, 'data-udp2raw-quota': quotaCycle });
+				renderInstanceState(el, instanceStates[section_id], quotaCycle);
+				return el;
+			};
+
+			s.renderRowActions = function (section_id) {
+				var tdEl = form.GridSection.prototype.renderRowActions.call(this, section_id, _('Edit'));
+				var actions = tdEl.lastChild;
+				var editBtn = actions.firstChild;
+				var buttons = [
+					{ action: 'start', label: _('Start'), title: _('Start this instance only'), style: 'cbi-button-positive' },
+					{ action: 'stop', label: _('Stop'), title: _('Stop this instance only'), style: 'cbi-button-negative' },
+					{ action: 'restart', label: _('Restart'), title: _('Restart this instance only'), style: 'cbi-button-action' }
+				];
+
+				buttons.forEach(function (b) {
+					actions.insertBefore(E('button', {
+						'class': 'cbi-button ' + b.style,
+						'title': b.title,
+						'click': ui.createHandlerFn(this, function (ev) {
+							ev.preventDefault();
+							return controlInstance(section_id, b.action);
+						})
+					}, b.label), editBtn);
+				}, this);
+
+				return tdEl;
+			};
+		};
+
+		// ==================== Peer Profile Generation ====================
+		// Build the mirrored section for the other end of a tunnel. The
+		// result uses the export format, so the Import button accepts it.
+		var buildPeerProfile = function (type, section_id, publicAddr) {
+			var get = function (opt, def) {
+				var v = uci.get('udp2raw', section_id, opt);
+				return (v != null && v !== '') ? v : def;
+			};
+			var alias = get('alias', section_id);
+			var peer = {
+				enabled: '1',
+				alias: alias + ' (peer)',
+				key: get('key', ''),
+				raw_mode: get('raw_mode', 'faketcp'),
+				cipher_mode: get('cipher_mode', 'aes128cbc'),
+				auth_mode: get('auth_mode', 'md5'),
+				auto_rule: '1'
+			};
+
+			if (peer.raw_mode === 'faketcp')
+				peer.seq_mode = get('seq_mode', '3');
+
+			if (type === 'client') {
+				// Our client connects to remote_port; the peer server listens there
+				// and forwards to the service port we expose locally.
+				peer.local_addr = '0.0.0.0';
+				peer.local_port = get('remote_port', '');
+				peer.remote_addr = '127.0.0.1';
+				peer.remote_port = get('local_port', '');
+			} else {
+				peer.local_addr = '127.0.0.1';
+				peer.local_port = get('remote_port', '');
+				peer.remote_addr = publicAddr || '';
+				peer.remote_port = get('local_port', '');
+			}
+
+			return {
+				type: type === 'client' ? 'server' : 'client',
+				version: '1.0',
+				timestamp: new Date().toISOString(),
+				configs: [ peer ]
+			};
+		};
+
+		var buildPeerCommand = function (profile) {
+			var c = profile.configs[0];
+			var args = [
+				'udp2raw', profile.type === 'server' ? '-s' : '-c',
+				'-l', shellQuote(c.local_addr + ':' + c.local_port),
+				'-r', shellQuote(c.remote_addr + ':' + c.remote_port),
+				'-k', shellQuote(c.key),
+				'--raw-mode', c.raw_mode,
+				'--cipher-mode', c.cipher_mode,
+				'--auth-mode', c.auth_mode,
+				'-a'
+			];
+
+			if (c.seq_mode)
+				args.push('--seq-mode', c.seq_mode);
+
+			return [
+				'#!/bin/sh',
+				'# udp2raw ' + profile.type + ' profile for "' + shellComment(c.alias) + '"',
+				'# Generated by luci-app-udp2raw on ' + profile.timestamp,
+				'# Run as root; -a adds the required iptables rules automatically.',
+				'',
+				'exec ' + args.join(' '),
+				''
+			].join('\n');
+		};
+
+		var downloadText = function (filename, text, mime) {
+			var blob = new Blob([text], { type: mime });
+			var url = URL.createObjectURL(blob);
+			var a = document.createElement('a');
+			a.href = url;
+			a.download = filename;
+			a.click();
+			URL.revokeObjectURL(url);
+		};
+
+		var showPeerProfile = function (type, section_id) {
+			return getPublicAddress().then(function (publicAddr) {
+				var jsonArea = E('textarea', { 'class': 'cbi-input-textarea', 'readonly': 'readonly', 'rows': 12, 'style': 'width: 100%; font-family: monospace;' });
+				var shellArea = E('textarea', { 'class': 'cbi-input-textarea', 'readonly': 'readonly', 'rows': 7, 'style': 'width: 100%; font-family: monospace;' });
+				var addrInput = E('input', { 'class': 'cbi-input-text', 'type': 'text', 'value': publicAddr, 'placeholder': 'vps.example.com' });
+				var addrHint = E('div', { 'class': 'cbi-value-description', 'style': 'color: #d9534f;' },
+					_('Enter the address the client should connect to. The profiles cannot be downloaded without it.'));
+				var scriptButton = E('button', {
+					'class': 'cbi-button cbi-button-apply',
+					'click': function () {
+						downloadText('udp2raw_peer_' + section_id + '.sh', shellArea.value, 'text/x-shellscript');
+					}
+				}, _('Download Script'));
+				var jsonButton = E('button', {
+					'class': 'cbi-button cbi-button-positive',
+					'click': function () {
+						downloadText('udp2raw_peer_' + section_id + '.json', jsonArea.value, 'application/json');
+					}
+				}, _('Download JSON'));
+				var profile;
+
+				// The client profile needs the address of this router; without it the
+				// downloads would only produce a client that cannot connect
+				var update = function () {
+					var addr = addrInput.value.trim();
+					var missing = type === 'server' && !addr;
+
+					profile = buildPeerProfile(type, section_id, addr);
+					jsonArea.value = JSON.stringify(profile, null, 2);
+					shellArea.value = buildPeerCommand(profile);
+					scriptButton.disabled = missing;
+					jsonButton.disabled = missing;
+					addrHint.style.display = missing ? '' : 'none';
+				};
+
+				addrInput.addEventListener('input', update);
+				update();
+
+				ui.showModal(_('Peer Configuration'), [
+					E('p', {}, type === 'client'
+						? _('Server profile for the remote end of this client. Ports are swapped and the key, raw mode, cipher mode and auth mode are copied.')
+						: _('Client profile for the remote end of this server. Ports are swapped and the key, raw mode, cipher mode and auth mode are copied.')),
+					type === 'server' ? E('div', { 'class': 'cbi-value' }, [
+						E('label', { 'class': 'cbi-value-title' }, _('Public address of this router')),
+						E('div', { 'class': 'cbi-value-field' }, [ addrInput, addrHint ])
+					]) : '',
+					E('h5', {}, _('OpenWrt (use the Import button on the other router)')),
+					jsonArea,
+					E('h5', {}, _('Linux command line')),
+					shellArea,
+					E('div', { 'class': 'right' }, [
+						E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Close')),
+						' ',
+						scriptButton,
+						' ',
+						jsonButton
+					])
+				]);
+			});
+		};
+
+		var addPeerAction = function (s, type) {
+			var renderRowActions = s.renderRowActions;
+
+			s.renderRowActions = function (section_id) {
+				var tdEl = renderRowActions.call(this, section_id);
+				var actions = tdEl.lastChild;
+
+				actions.insertBefore(E('button', {
+					'class': 'cbi-button cbi-button-neutral',
+					'title': _('Generate the matching configuration for the other end'),
+					'click': ui.createHandlerFn(this, function (ev) {
+						ev.preventDefault();
+						return showPeerProfile(type, section_id);
+					})
+				}, _('Peer')), actions.querySelector('.cbi-button-edit'));
+
+				return tdEl;
+			};
+		};
+
+		// ==================== Command Preview ====================
+		// Value of an option as currently entered in the modal, falling back
+		// to the saved config. Options hidden by their dependencies are
+		// removed on save, so they count as unset.
+		var previewValue = function (section, section_id, name) {
+			var opt = section.getOption(name);
+
+			if (opt && opt.getUIElement(section_id))
+				return opt.isActive(section_id) ? opt.formvalue(section_id) : null;
+
+			return uci.get('udp2raw', section_id, name);
+		};
+
+		var generalValue = function (name) {
+			var general = uci.sections('udp2raw', 'general')[0];
+			var lookup = general ? m.lookupOption(name, general['.name']) : null;
+
+			if (lookup && lookup[0].getUIElement(lookup[1]))
+				return lookup[0].formvalue(lookup[1]);
+
+			return uci.get('udp2raw', 'general', name);
+		};
+
+		var renderArgv = function (argv, showSecret) {
+			var lines = [];
+
+			argv.forEach(function (a, i) {
+				if (i === 0 || (a.arg.charAt(0) === '-' && !a.secret))
+					lines.push([]);
+
+				lines[lines.length - 1].push(E('span', a.implied ? {
+					'style': 'color: #f0ad4e;',
+					'title': _('Filled in by udp2raw.init, not set in this form')
+				} : {}, (a.secret && !showSecret) ? '********' : shellQuote(a.arg).replace(/^'([\w.:\/@,+=-]+)'$/, '$1')));
+			});
+
+			return lines.map(function (line, i) {
+				var nodes = [];
+				line.forEach(function (n, j) {
+					nodes.push(j ? ' ' : '', n);
+				});
+				if (i < lines.length - 1)
+					nodes.push(' \\\n    ');
+				return nodes;
+			});
+		};
+
+		// Usage is counted by udp2raw-usage every 5 minutes from the RST drop
+		// rule and the OUTPUT counting rule, both directions count towards the quota
+		var addQuotaOptions = function (s) {
+			s.tab('quota', _('Traffic Quota'));
+
+			o = s.taboption('quota', form.Value, 'quota', _('Monthly Quota (GiB)'),
+				_('Received plus sent traffic allowed per cycle. When the quota is reached the instance is stopped until the next reset day. Usage is checked every 5 minutes, so the quota can be overshot slightly. Empty or 0 means unlimited.'));
+			o.datatype = 'ufloat';
+			o.placeholder = _('Unlimited');
+			o.optional = true;
+			o.modalonly = true;
+
+			o = s.taboption('quota', form.ListValue, 'quota_reset_day', _('Reset Day'),
+				_('Day of the month on which a new cycle starts and a stopped instance is started again.'));
+			for (var day = 1; day <= 28; day++)
+				o.value(String(day));
+			o.default = '1';
+			o.modalonly = true;
+		};
+
+		// Run by the udp2raw-watchdog service; procd's respawn does not notice a
+		// tunnel that hangs while the process keeps running
+		var addWatchdogOptions = function (s) {
+			s.tab('watchdog', _('Watchdog'));
+
+			o = s.taboption('watchdog', form.Flag, 'watchdog', _('Enable Watchdog'),
+				_('Ping a probe target periodically and restart only this instance when it stops answering.'));
+			o.default = '0';
+			o.modalonly = true;
+
+			o = s.taboption('watchdog', form.Value, 'watchdog_target', _('Probe Target'),
+				_('Address that only answers while the tunnel works: the peer\'s address inside the tunnel (e.g. its WireGuard address) or a host behind it.'));
+			o.datatype = 'host';
+			o.placeholder = '10.0.0.1';
+			o.rmempty = false;
+			o.depends('watchdog', '1');
+			o.modalonly = true;
+
+			o = s.taboption('watchdog', form.Value, 'watchdog_interval', _('Probe Interval (s)'));
+			o.datatype = 'range(10,3600)';
+			o.placeholder = '60';
+			o.depends('watchdog', '1');
+			o.modalonly = true;
+
+			o = s.taboption('watchdog', form.Value, 'watchdog_threshold', _('Failure Threshold'),
+				_('Consecutive failed probes before the instance is restarted.'));
+			o.datatype = 'range(1,100)';
+			o.placeholder = '3';
+			o.depends('watchdog', '1');
+			o.modalonly = true;
+		};
+
+		// Passed to procd by udp2raw.init; the placeholders are procd's defaults
+		var addRespawnOptions = function (s) {
+			s.tab('respawn', _('Respawn'));
+
+			o = s.taboption('respawn', form.Value, 'respawn_threshold', _('Crash Threshold (s)'),
+				_('An exit within this many seconds of starting counts as a crash.'));
+			o.datatype = 'range(1,86400)';
+			o.placeholder = '3600';
+			o.modalonly = true;
+
+			o = s.taboption('respawn', form.Value, 'respawn_timeout', _('Restart Delay (s)'),
+				_('Seconds procd waits before restarting the instance.'));
+			o.datatype = 'range(0,3600)';
+			o.placeholder = '5';
+			o.modalonly = true;
+
+			o = s.taboption('respawn', form.Value, 'respawn_retry', _('Crash Retries'),
+				_('Consecutive crashes after which procd gives up and the instance is marked as crash looping. 0 retries forever.'));
+			o.datatype = 'range(0,1000)';
+			o.placeholder = '5';
+			o.modalonly = true;
+		};
+
+		var addCommandPreview = function (s, type) {
+			s.tab('preview', _('Command Preview'));
+
+			o = s.taboption('preview', form.DummyValue, '_command', _('Command Line'),
+				_('The exact command udp2raw.init will run for the values entered above, including unsaved changes. Highlighted values are defaults filled in by the init script.'));
+			o.modalonly = true;
+			o.renderWidget = function (section_id) {
+				var section = this.section;
+				var pre = E('pre', { 'style': 'white-space: pre-wrap; word-break: break-all; margin: 0;' });
+				var showKey = E('input', { 'type': 'checkbox' });
+
+				var update = function () {
+					var argv = buildUdp2rawArgv(type, function (name) {
+						return previewValue(section, section_id, name);
+					}, generalValue);
+
+					L.dom.content(pre, renderArgv(argv, showKey.checked));
+				};
+
+				showKey.addEventListener('change', update);
+
+				// Re-render once the modal is in the DOM and on every edit
+				window.requestAnimationFrame(function () {
+					var root = pre.closest('.cbi-map') || document;
+					var deferred = function () { window.setTimeout(update, 0); };
+
+					root.addEventListener('widget-change', deferred);
+					root.addEventListener('widget-update', deferred);
+					update();
+				});
+
+				return E('div', {}, [
+					pre,
+					E('label', { 'style': 'display: inline-block; margin-top: 6px;' }, [ showKey, ' ', _('Show key') ])
+				]);
+			};
+		};
+
+		// ==================== Command Line Import ====================
+		var showPasteCommandModal = function (defaultType) {
+			var input = E('textarea', {
+				'class': 'cbi-input-textarea',
+				'rows': 4,
+				'style': 'width: 100%; font-family: monospace;',
+				'placeholder': 'udp2raw -c -l0.0.0.0:3333 -r1.2.3.4:4096 -k pass --raw-mode faketcp -a'
+			});
+
+			ui.showModal(_('Paste Command Line'), [
+				E('p', {}, _('Paste a udp2raw command line. Recognized flags are mapped onto the instance options, anything else goes into Extra Arguments.')),
+				input,
+				E('div', { 'class': 'right' }, [
+					E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Cancel')),
+					' ',
+					E('button', {
+						'class': 'cbi-button cbi-button-positive',
+						'click': function () {
+							var parsed;
+
+							try {
+								parsed = parseUdp2rawCommand(input.value);
+							} catch (err) {
+								ui.addNotification(null, E('p', err.message), 'error');
+								return;
+							}
+
+							previewParsedCommand(parsed, defaultType);
+						}
+					}, _('Parse'))
+				])
+			]);
+		};
+
+		var previewParsedCommand = function (parsed, defaultType) {
+			var type = parsed.type || defaultType;
+			var data = { type: type, version: '1.0', timestamp: new Date().toISOString(), configs: [ parsed.config ] };
+			var rows = Object.keys(parsed.config).map(function (key) {
+				var value = parsed.config[key];
+				if (key === 'key')
+					value = '********';
+				return E('tr', { 'class': 'tr' }, [
+					E('td', { 'class': 'td' }, key),
+					E('td', { 'class': 'td' }, Array.isArray(value) ? value.join(', ') : value)
+				]);
+			});
+
+			if (!parsed.type)
+				parsed.warnings.unshift(_('Neither -s nor -c was found, importing as %s').format(type === 'server' ? _('Server') : _('Client')));
+
+			ui.showModal(_('Import from Command Line'), [
+				E('p', {}, type === 'server' ? _('A new server instance will be created:') : _('A new client instance will be created:')),
+				E('table', { 'class': 'table' }, rows),
+				parsed.warnings.length ? E('div', { 'class': 'alert-message warning' }, [
+					E('ul', {}, parsed.warnings.map(function (w) { return E('li', {}, w); }))
+				]) : '',
+				E('div', { 'class': 'right' }, [
+					E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Cancel')),
+					' ',
+					E('button', {
+						'class': 'cbi-button cbi-button-positive',
+						'click': function () {
+							ui.hideModal();
+							if (type === 'server')
+								validateAndImportServers(data);
+							else
+								validateAndImportClients(data);
+						}
+					}, _('Import'))
+				])
+			]);
+		};
+
 		// ==================== Server Instances ====================
 		s = m.section(form.GridSection, 'server', _('Server Instances (-s)'),
 			_('<b>Server Mode:</b> OpenWrt listens for connections from remote clients.<br/>' +
@@ -192,6 +1072,18 @@ return view.extend({
 				}
 			}, _('导入服务器'));
 
+			// Create paste-command button (import from a udp2raw command line)
+			var pasteBtn = E('button', {
+				'class': 'cbi-button cbi-button-positive',
+				'style': 'margin-left: 5px;',
+				'title': _('Import a server from a udp2raw command line'),
+				'click': function (ev) {
+					ev.preventDefault();
+					ev.stopPropagation();
+					showPasteCommandModal('server');
+				}
+			}, _('Paste Command'));
+
 			// Create export button (styled like delete button)
 			var exportBtn = E('button', {
 				'class': 'cbi-button cbi-button-apply',
@@ -208,6 +1100,7 @@ return view.extend({
 			var addBtn = el.querySelector('.cbi-button-add');
 			if (addBtn && addBtn.parentNode) {
 				addBtn.parentNode.appendChild(importBtn);
+				addBtn.parentNode.appendChild(pasteBtn);
 				addBtn.parentNode.appendChild(exportBtn);
 			}
 
@@ -247,6 +1140,7 @@ return view.extend({
 
 		o = s.taboption('basic', form.Value, 'local_port', _('WAN Listen Port'));
 		o.datatype = 'port';
+		o.validate = validateListenPort;
 		o.rmempty = false;
 		o.width = '15%';
 
@@ -261,6 +1155,9 @@ return view.extend({
 		o.rmempty = false;
 		o.width = '10%';
 
+		addInstanceControls(s);
+		addPeerAction(s, 'server');
+
 		// Modal Only Options
 		o = s.taboption('basic', form.Value, 'key', _('Password (-k)'),
 			_('Encryption password. Must match client configuration exactly.'));
@@ -307,10 +1204,10 @@ return view.extend({
 		o.default = '1';
 		o.modalonly = true;
 
-		o = s.taboption('advanced', form.DynamicList, 'extra_args', _('Extra Arguments'),
-			_('Additional command line arguments (e.g. --seq-mode 4).'));
-		o.optional = true;
-		o.modalonly = true;
+		addTuningOptions(s);
+		addWatchdogOptions(s);
+		addRespawnOptions(s);
+		addCommandPreview(s, 'server');
 
 		// ==================== Client Instances ====================
 		s = m.section(form.GridSection, 'client', _('Client Instances (-c)'),
@@ -338,6 +1235,18 @@ return view.extend({
 				}
 			}, _('导入客户端'));
 
+			// Create paste-command button (import from a udp2raw command line)
+			var pasteBtn = E('button', {
+				'class': 'cbi-button cbi-button-positive',
+				'style': 'margin-left: 5px;',
+				'title': _('Import a client from a udp2raw command line'),
+				'click': function (ev) {
+					ev.preventDefault();
+					ev.stopPropagation();
+					showPasteCommandModal('client');
+				}
+			}, _('Paste Command'));
+
 			// Create export button (styled like delete button)
 			var exportBtn = E('button', {
 				'class': 'cbi-button cbi-button-apply',
@@ -354,6 +1263,7 @@ return view.extend({
 			var addBtn = el.querySelector('.cbi-button-add');
 			if (addBtn && addBtn.parentNode) {
 				addBtn.parentNode.appendChild(importBtn);
+				addBtn.parentNode.appendChild(pasteBtn);
 				addBtn.parentNode.appendChild(exportBtn);
 			}
 
@@ -405,9 +1315,13 @@ return view.extend({
 
 		o = s.taboption('basic', form.Value, 'local_port', _('Local Listen Port'));
 		o.datatype = 'port';
+		o.validate = validateListenPort;
 		o.rmempty = false;
 		o.width = '15%';
 
+		addInstanceControls(s);
+		addPeerAction(s, 'client');
+
 		// Modal Only Options
 		o = s.taboption('basic', form.Value, 'key', _('Password (-k)'),
 			_('Encryption password. Must match server configuration exactly.'));
@@ -466,20 +1380,11 @@ return view.extend({
 		o.default = '1';
 		o.modalonly = true;
 
-		o = s.taboption('advanced', form.ListValue, 'seq_mode', _('Sequence Mode'),
-			_('Seq increase mode for FakeTCP. Official default is mode 3.'));
-		o.value('0', _('0 - Static header, no seq increase'));
-		o.value('1', _('1 - Increase seq every packet'));
-		o.value('2', _('2 - Increase seq randomly (~every 3 packets)'));
-		o.value('3', _('3 - Simulate real seq/ack (Default)'));
-		o.value('4', _('4 - Like 3, ignore Window Scale'));
-		o.default = '3';
-		o.depends('raw_mode', 'faketcp');
-		o.modalonly = true;
-
-		o = s.taboption('advanced', form.DynamicList, 'extra_args', _('Extra Arguments'));
-		o.optional = true;
-		o.modalonly = true;
+		addTuningOptions(s);
+		addQuotaOptions(s);
+		addWatchdogOptions(s);
+		addRespawnOptions(s);
+		addCommandPreview(s, 'client');
 
 		// ==================== Custom Button Handlers ====================
 		// Override "Save & Apply" to control service based on enabled flag
@@ -790,7 +1695,9 @@ return view.extend({
 				configs: clientSections.map(function (section) {
 					var config = {};
 					for (var key in section) {
-						if (key !== '.anonymous' && key !== '.index' && key !== '.type') {
+						// Quota marks are local runtime state, not configuration
+						if (key !== '.anonymous' && key !== '.index' && key !== '.type' &&
+							key !== 'quota_exceeded' && key !== 'quota_override') {
 							config[key] = section[key];
 						}
 					}
@@ -923,6 +1830,8 @@ return view.extend({
 		};
 
 		// ==================== Final Render ====================
+		poll.add(refreshInstanceStates, 5);
+
 		return m.render();
 	}
 });
@@ -5,23 +5,41 @@
  * Displays real-time tunnel status, connection info, and diagnostics
  * 
  * @module luci-app-udp2raw/status
- * @version 2.9.0
- * @date 2026-01-30
+ * @version 2.20.0
+ * @date 2026-10-19
  */
 
 'use strict';
 'require view';
 'require fs';
 'require ui';
-'require uci';
 'require rpc';
 'require poll';
+'require udp2raw.firewall as firewall';
+'require udp2raw.traffic as traffic';
+'require udp2raw.logstream as logstream';
+
+var USAGE_COLLECTOR = '/usr/libexec/udp2raw-usage';
+var PROBE = '/usr/libexec/udp2raw-probe';
+var WATCHDOG_EVENT_ROWS = 20;
+var DEFAULT_LOG_LINES = 500;
+var FAST_POLL_INTERVAL = 1;     // v2.19: 控制操作后的刷新间隔（秒）
+var FAST_POLL_DURATION = 15;    // v2.19: 加快刷新持续的秒数
+var LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
 
 var lastClearTime = null;
-var callServiceList = rpc.declare({
-	object: 'service',
-	method: 'list',
-	params: ['name'],
+
+// v2.19: 状态页每次刷新只调用一次 snapshot
+var callSnapshot = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'snapshot',
+	params: ['since', 'logs'],
+	expect: { '': {} }
+});
+
+var callBinaryInfo = rpc.declare({
+	object: 'luci.udp2raw',
+	method: 'binary_info',
 	expect: { '': {} }
 });
 
@@ -29,131 +47,353 @@ return view.extend({
 	title: _('udp2raw Status'),
 
 	pollInterval: 5,
-	logPollFn: null,
+	pollFastUntil: 0,
+	lastPoll: 0,
+	pending: null,
+	md5Info: { installed: false, md5: null },
+	logPaused: false,
+	logLines: [],
+	logMaxLines: DEFAULT_LOG_LINES,
+	logPids: {},
+	logFilter: { instance: '', level: '', text: '', range: 0 },
 
 	cleanText: function (str) {
 		if (!str) return '';
 		return String(str).replace(/\x1B[[0-9;]*[a-zA-Z]/g, '').trim();
 	},
 
-	getServiceStatus: function () {
-		return L.resolveDefault(callServiceList('udp2raw'), {}).then(function (res) {
-			var instances = {};
-			var isRunning = false;
-
-			if (res && res.udp2raw && res.udp2raw.instances) {
-				for (var key in res.udp2raw.instances) {
-					var inst = res.udp2raw.instances[key];
-					if (inst && inst.running) {
-						isRunning = true;
-						instances[key] = {
-							pid: inst.pid,
-							command: Array.isArray(inst.command) ? inst.command.join(' ') : ''
-						};
-					}
+	/**
+	 * v2.19: res 为 ubus service list 的结果，processes 为 luci.udp2raw status 的进程列表
+	 * v2.20: procd 中记录全部实例（含已退出、等待重启或放弃重启的），供重启状态使用
+	 */
+	parseServiceStatus: function (res, processes) {
+		var instances = {};
+		var procd = {};
+		var isRunning = false;
+
+		if (res && res.udp2raw && res.udp2raw.instances) {
+			for (var key in res.udp2raw.instances) {
+				var inst = res.udp2raw.instances[key];
+				if (inst)
+					procd[key] = { running: !!inst.running, exit_code: inst.exit_code, respawn: inst.respawn || null };
+				if (inst && inst.running) {
+					isRunning = true;
+					instances[key] = {
+						pid: inst.pid,
+						command: Array.isArray(inst.command) ? inst.command.join(' ') : ''
+					};
 				}
 			}
-			return { running: isRunning, instances: instances };
+		}
+
+		// v2.18: procd 之外启动的 udp2raw 进程同样视为运行中
+		if (!isRunning && Array.isArray(processes) && processes.length)
+			isRunning = true;
+
+		return { running: isRunning, instances: instances, procd: procd };
+	},
+
+	/**
+	 * v2.20: udp2raw-respawn 的状态文件与 procd 实例数据合并为
+	 * { <section>: { state, restarts, last, exit, limits, looping } }。
+	 * limits 为 procd 的 { threshold, timeout, retry }；looping 表示 procd 判定崩溃循环后已放弃重启
+	 */
+	parseRespawnInfo: function (state, status) {
+		var info = {};
+
+		String(state || '').split('\n').forEach(function (line) {
+			var f = line.trim().split(/\s+/);
+			if (f.length < 5) return;
+
+			info[f[0]] = {
+				state: f[1],
+				restarts: +f[2],
+				last: f[3] !== '-' ? +f[3] : null,
+				exit: f[4] !== '-' ? +f[4] : null,
+				limits: null
+			};
+		});
+
+		Object.keys(status.procd).forEach(function (key) {
+			var p = status.procd[key];
+			var r = info[key] || (info[key] = { state: p.running ? 'running' : 'exited', restarts: 0, last: null, exit: null });
+
+			// procd 的当前状态优先于状态文件，监视程序重启期间可能漏掉事件
+			if (p.running)
+				r.state = 'running';
+			else if (p.exit_code != null)
+				r.exit = p.exit_code;
+			r.limits = p.respawn;
+		});
+
+		Object.keys(info).forEach(function (key) {
+			info[key].looping = info[key].state === 'failed';
 		});
+
+		return info;
 	},
 
-	getTunnelConfigs: function () {
-		return uci.load('udp2raw').then(function () {
-			var tunnels = [];
-			var sections = uci.sections('udp2raw');
-
-			sections.forEach(function (s) {
-				if (s['.type'] === 'general') return;
-
-				var mode = 'client';
-				var localStr = '?';
-				var remoteStr = '?';
-
-				if (s['.type'] === 'server') {
-					mode = 'server';
-					var listenPort = s.listen_port || s.local_port || '29900';
-					var target = s.forward_to || s.target || s.target_addr || '127.0.0.1';
-					var targetPort = s.target_port || s.forward_port || '';
-					localStr = '0.0.0.0:' + listenPort;
-					remoteStr = target + (targetPort ? ':' + targetPort : '');
-				} else {
-					mode = 'client';
-					var localIP = s.local_addr || '127.0.0.1';
-					var localPort = s.local_port || '3333';
-					var serverIP = s.server_addr || s.remote_addr || '127.0.0.1';
-					var serverPort = s.server_port || s.remote_port || '29900';
-					localStr = localIP + ':' + localPort;
-					remoteStr = serverIP + ':' + serverPort;
-				}
+	/**
+	 * v2.19: ubus uci get 返回的 { values: { name: section } } 转为与 uci.sections() 相同顺序的数组
+	 */
+	getSections: function (config) {
+		var values = (config && config.values) || {};
 
-				tunnels.push({
-					id: s['.name'],
-					alias: s.alias || s['.name'],
-					mode: mode,
-					disabled: s.enabled === '0' || s.disabled === '1',
-					local: localStr,
-					remote: remoteStr,
-					raw_mode: s.raw_mode || 'faketcp'
-				});
+		return Object.keys(values).map(function (name) {
+			return values[name];
+		}).sort(function (a, b) {
+			return a['.index'] - b['.index'];
+		});
+	},
+
+	getTunnelConfigs: function (sections) {
+		// v2.13: quota_exceeded 由 udp2raw-usage 在后台写入，每次轮询重新读取配置
+		var tunnels = [];
+
+		sections.forEach(function (s) {
+			if (s['.type'] === 'general') return;
+
+			var mode = 'client';
+			var localStr = '?';
+			var remoteStr = '?';
+
+			if (s['.type'] === 'server') {
+				mode = 'server';
+				var listenPort = s.listen_port || s.local_port || '29900';
+				var target = s.forward_to || s.target || s.target_addr || '127.0.0.1';
+				var targetPort = s.target_port || s.forward_port || '';
+				localStr = '0.0.0.0:' + listenPort;
+				remoteStr = target + (targetPort ? ':' + targetPort : '');
+			} else {
+				mode = 'client';
+				var localIP = s.local_addr || '127.0.0.1';
+				var localPort = s.local_port || '3333';
+				var serverIP = s.server_addr || s.remote_addr || '127.0.0.1';
+				var serverPort = s.server_port || s.remote_port || '29900';
+				localStr = localIP + ':' + localPort;
+				remoteStr = serverIP + ':' + serverPort;
+			}
+
+			tunnels.push({
+				id: s['.name'],
+				alias: s.alias || s['.name'],
+				mode: mode,
+				disabled: s.enabled === '0' || s.disabled === '1',
+				local: localStr,
+				remote: remoteStr,
+				raw_mode: s.raw_mode || 'faketcp',
+				quota: s.quota || '',
+				quota_exceeded: s['.type'] === 'client' ? (s.quota_exceeded || '') : ''
 			});
-			return tunnels;
 		});
+		return tunnels;
 	},
 
-	getRecentLogs: function () {
+	/**
+	 * v2.17: 首次全量读取，之后由 udp2raw/logstream.js 只返回新增的行。
+	 * v2.19: res 为 logstream.consume() 的结果，general 为 snapshot 中的 general 配置。
+	 * 返回 { reset, lines }，lines 最新在前
+	 */
+	processLogs: function (res, general) {
 		var self = this;
-		return fs.exec('/sbin/logread', ['-e', 'udp2raw']).then(function (res) {
-			var output = res.stdout || '';
-			if (!output && res.code !== 0) {
-				return fs.exec('/bin/sh', ['-c', 'logread | grep udp2raw | tail -n 150']);
-			}
-			return res;
-		}).then(function (res) {
-			var logContent = res.stdout || '';
-			if (!logContent) return [];
-			var lines = logContent.trim().split('\n');
-
-			// 如果点击过清理，只显示之后的日志
-			if (lastClearTime) {
-				lines = lines.filter(function (line) {
-					var match = line.match(/(\w{3}\s+\w{3}\s+\d+\s+\d+:\d+:\d+\s+\d{4})/);
-					if (match) {
-						var logTime = new Date(match[1]);
-						return logTime > lastClearTime;
-					}
+
+		self.logMaxLines = +general.log_lines || DEFAULT_LOG_LINES;
+
+		var lines = res.lines;
+
+		// 如果点击过清理，全量读取时只保留之后的日志
+		if (res.reset && lastClearTime) {
+			lines = lines.filter(function (line) {
+				var logTime = self.parseLogTime(line);
+				return logTime ? logTime > lastClearTime : false;
+			});
+
+			// 在过滤后的日志开头添加高亮的清理标记
+			lines.unshift(self.clearMarker());
+		}
+
+		return { reset: res.reset, lines: lines.map(self.cleanText).reverse() };
+	},
+
+	clearMarker: function () {
+		return '=== 日志已清理 (' + lastClearTime.toLocaleString() + ') ===';
+	},
+
+	/**
+	 * v2.16: 解析 logread 行首时间，如 "Sat Jan 31 22:05:48 2026"
+	 */
+	parseLogTime: function (line) {
+		var match = line.match(/(\w{3}\s+\w{3}\s+\d+\s+\d+:\d+:\d+\s+\d{4})/);
+		if (!match) return null;
+
+		var logTime = new Date(match[1]);
+		return isNaN(logTime.getTime()) ? null : logTime;
+	},
+
+	/**
+	 * v2.16: 日志级别取 syslog 优先级；udp2raw 的输出经 procd 转发，一律是
+	 * daemon.info，因此再按正文中的 [WARN]、[ERROR] 等关键字判断
+	 */
+	getLogLevel: function (line) {
+		var lowerLine = line.toLowerCase();
+		var m = lowerLine.match(/\.(emerg|alert|crit|err|warn|notice|info|debug)\b/);
+		var prio = m ? m[1] : 'info';
+
+		if (/^(emerg|alert|crit|err)$/.test(prio) || /\b(err|error|fatal|fail\w*)\b/.test(lowerLine))
+			return 'error';
+		if (prio === 'warn' || /\bwarn(ing)?\b/.test(lowerLine))
+			return 'warn';
+		if (prio === 'debug' || /\b(debug|trace)\b/.test(lowerLine))
+			return 'debug';
+		return 'info';
+	},
+
+	/**
+	 * v2.16: 记录各实例的 PID，实例重启后旧 PID 仍保留，本页打开期间的旧日志也能归到实例
+	 */
+	trackLogPids: function (status) {
+		var self = this;
+
+		Object.keys(status.instances).forEach(function (id) {
+			var pid = status.instances[id].pid;
+			if (pid)
+				self.logPids[pid] = id;
+		});
+	},
+
+	// v2.16: 按进程 PID，或 init 脚本与辅助脚本写入的 [section] 前缀判断日志所属实例
+	matchLogInstance: function (line, id) {
+		var m = line.match(/\[(\d+)\]:/);
+		if (m && this.logPids[m[1]] === id)
+			return true;
+		return line.indexOf('[' + id + ']') !== -1;
+	},
+
+	/**
+	 * v2.16: 按当前筛选条件过滤日志（最新在前）。清理标记始终保留；
+	 * 设置时间范围时，无法解析时间的行被排除
+	 */
+	filterLogs: function (lines) {
+		var self = this;
+		var f = this.logFilter;
+		var minLevel = f.level ? LOG_LEVELS[f.level] : 0;
+		var since = f.range ? new Date(Date.now() - f.range * 60000) : null;
+		var pattern = this.getLogPattern(f.text);
+
+		return lines.filter(function (line) {
+			if (line.indexOf('===') === 0)
+				return true;
+			if (f.instance && !self.matchLogInstance(line, f.instance))
+				return false;
+			if (minLevel && LOG_LEVELS[self.getLogLevel(line)] < minLevel)
+				return false;
+			if (pattern && !pattern.test(line))
+				return false;
+			if (since) {
+				var logTime = self.parseLogTime(line);
+				if (!logTime || logTime < since)
 					return false;
-				});
+			}
+			return true;
+		});
+	},
 
-				// 在过滤后的日志开头添加高亮的清理标记
-				var clearMarker = '=== 日志已清理 (' + lastClearTime.toLocaleString() + ') ===';
-				lines.unshift(clearMarker);
+	/**
+	 * v2.16: 搜索文本为 /.../ 形式时按正则（可带标志），否则不区分大小写的子串匹配；
+	 * 正则无效时返回 false
+	 */
+	getLogPattern: function (text) {
+		if (!text)
+			return null;
+
+		var m = text.match(/^\/(.+)\/([gimsuy]*)$/);
+		if (m) {
+			try {
+				return new RegExp(m[1], m[2].replace('g', ''));
+			} catch (e) {
+				return false;
 			}
+		}
 
-			return lines.slice(-150).map(self.cleanText).reverse();
-		});
+		return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+	},
+
+	renderLogFilters: function (tunnels) {
+		var self = this;
+		var f = this.logFilter;
+		var update = function () { self.renderLogLines(document); };
+
+		var option = function (value, label, selected) {
+			return E('option', { 'value': value, 'selected': selected ? 'selected' : null }, label);
+		};
+
+		return E('div', { 'style': 'display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin-bottom: 8px;' }, [
+			E('select', {
+				'class': 'cbi-input-select',
+				'change': function (ev) { f.instance = ev.target.value; update(); }
+			}, [option('', _('All instances'), !f.instance)].concat(tunnels.map(function (t) {
+				return option(t.id, t.alias, f.instance === t.id);
+			}))),
+			E('select', {
+				'class': 'cbi-input-select',
+				'change': function (ev) { f.level = ev.target.value; update(); }
+			}, [
+				option('', _('All levels'), !f.level),
+				option('info', _('Info and above'), f.level === 'info'),
+				option('warn', _('Warnings and errors'), f.level === 'warn'),
+				option('error', _('Errors only'), f.level === 'error')
+			]),
+			E('select', {
+				'class': 'cbi-input-select',
+				'change': function (ev) { f.range = +ev.target.value; update(); }
+			}, [
+				option(0, _('Any time'), !f.range),
+				option(15, _('Last 15 minutes'), f.range === 15),
+				option(60, _('Last hour'), f.range === 60),
+				option(360, _('Last 6 hours'), f.range === 360),
+				option(1440, _('Last 24 hours'), f.range === 1440)
+			]),
+			E('input', {
+				'class': 'cbi-input-text',
+				'type': 'text',
+				'value': f.text,
+				'placeholder': _('Text or /regex/'),
+				'style': 'width: 200px;',
+				'input': function (ev) {
+					f.text = ev.target.value;
+					ev.target.style.borderColor = self.getLogPattern(f.text) === false ? '#d9534f' : '';
+					update();
+				}
+			}),
+			E('span', { 'id': 'log-filter-count', 'style': 'color: #888; font-size: 0.9em;' }, '')
+		]);
+	},
+
+	downloadLogs: function (lines, prefix) {
+		var blob = new Blob([lines.join('\n') + '\n'], { type: 'text/plain' });
+		var url = URL.createObjectURL(blob);
+		var a = document.createElement('a');
+		a.href = url;
+		a.download = prefix + new Date().toISOString().slice(0, 19).replace(/:/g, '-') + '.txt';
+		a.click();
+		URL.revokeObjectURL(url);
 	},
 
 	/**
 	 * v2.8: 计算二进制文件的MD5值
+	 * v2.18: 改为调用 luci.udp2raw 的 binary_info 方法
 	 */
 	getMD5: function () {
-		return fs.exec('/bin/sh', ['-c', 'md5sum /usr/bin/udp2raw 2>/dev/null || echo "NOTFOUND"'])
+		return callBinaryInfo()
 			.then(function (res) {
-				var output = (res.stdout || '').trim();
-
-				if (output.indexOf('NOTFOUND') === 0) {
+				if (!res.installed || !/^[a-f0-9]{32}$/i.test(res.md5 || '')) {
 					throw new Error('Binary not found');
 				}
 
-				// md5sum 输出格式: "0aa0c2776a4adf96... /usr/bin/udp2raw"
-				var match = output.match(/^([a-f0-9]{32})/i);
-				if (match && match[1]) {
-					return {
-						installed: true,
-						md5: match[1].substring(0, 10)  // 取前10位
-					};
-				}
-				throw new Error('MD5 parse failed');
+				return {
+					installed: true,
+					md5: res.md5.substring(0, 10)  // 取前10位
+				};
 			})
 			.catch(function (err) {
 				// 文件不存在或无法计算MD5
@@ -162,58 +402,373 @@ return view.extend({
 	},
 
 	/**
-	 * v2.7: 检查 iptables (显示实际 Chain 名称)
+	 * v2.11: 按实例检查 RST 丢弃规则（nftables 与 iptables 均可）。
+	 * 预期规则标记 present / missing；udp2rawDwrW_* 链中不属于任何预期的 DROP
+	 * 规则标记为 orphaned，能按端口或地址对应到实例的归入该实例，其余归入 unassigned。
+	 * v2.12: 同时累加预期规则的字节计数（bytes）与 init 脚本插入的 OUTPUT 计数规则
+	 * （注释为 udp2raw-tx:<实例名>）的字节计数（txBytes），供流量曲线使用，无计数器时为 null。
+	 * v2.19: 规则与配置均来自 snapshot，改为同步计算。
 	 */
-	checkIptables: function () {
-		return fs.exec('/usr/sbin/iptables-save').then(function (res) {
-			var rawOutput = res.stdout || '';
-			var statusText = _('No rules detected');
-			var statusColor = '#f0ad4e';
-			var present = false;
-
-			var chainMatches = rawOutput.match(/:udp2raw[^\s]*/g);
-
-			if (chainMatches && chainMatches.length > 0) {
-				present = true;
-				statusColor = '#5cb85c';
-				var chainNames = chainMatches.map(function (s) { return s.substring(1); });
-				statusText = _('Active: ') + chainNames.join(', ');
-			} else if (rawOutput.indexOf('udp2raw') !== -1) {
-				present = true;
-				statusText = _('Active (Rules Detected)');
-				statusColor = '#5cb85c';
-			} else if (rawOutput.indexOf('DROP') !== -1 && rawOutput.indexOf('RST') !== -1) {
-				present = true;
-				statusText = _('Active (RST Blocking Detected)');
-				statusColor = '#5cb85c';
+	checkIptables: function (fw, sections) {
+		if (!fw.source)
+			return { present: false, text: _('Neither nft nor iptables-save is available in this runtime'), color: '#f0ad4e', source: null, instances: [], unassigned: [] };
+
+		var total = 0;
+		var missing = 0;
+		var instances = [];
+		var expectedAll = [];
+
+		// The DROP rule only takes effect if INPUT jumps to its chain
+		var isHooked = function (rule) {
+			return fw.rules.some(function (hook) {
+				return hook.chain === 'INPUT' && hook.action === 'jump' &&
+					hook.target === rule.chain && hook.family === rule.family;
+			});
+		};
+
+		sections.forEach(function (s) {
+			if ((s['.type'] !== 'client' && s['.type'] !== 'server') || s.enabled !== '1')
+				return;
+
+			var inst = { id: s['.name'], alias: s.alias || s['.name'], mode: s['.type'], section: s, checks: [], bytes: null, txBytes: null };
+
+			if ((s.auto_rule || '1') !== '1') {
+				inst.note = _('auto_rule disabled, rules are managed manually');
+			} else {
+				inst.checks = firewall.getExpectedRules(s).map(function (expected) {
+					var matched = fw.rules.filter(function (rule) {
+						return firewall.ruleMatches(rule, expected) && isHooked(rule);
+					});
+					var present = matched.length > 0;
+
+					matched.forEach(function (rule) {
+						if (rule.bytes != null)
+							inst.bytes = (inst.bytes || 0) + rule.bytes;
+					});
+
+					total++;
+					if (!present)
+						missing++;
+					expectedAll.push(expected);
+
+					return { label: firewall.describeRule(expected), state: present ? 'present' : 'missing' };
+				});
+
+				fw.rules.forEach(function (rule) {
+					if (rule.chain === 'OUTPUT' && rule.comment === 'udp2raw-tx:' + s['.name'] && rule.bytes != null)
+						inst.txBytes = (inst.txBytes || 0) + rule.bytes;
+				});
 			}
 
-			return { present: present, text: statusText, color: statusColor };
-		}).catch(function () {
-			return { present: false, text: _('Check failed'), color: '#d9534f' };
+			instances.push(inst);
 		});
+
+		var unassigned = [];
+
+		fw.rules.forEach(function (rule) {
+			if (rule.action !== 'drop' || String(rule.chain).indexOf('udp2rawDwrW_') !== 0)
+				return;
+			if (expectedAll.some(function (e) { return firewall.ruleMatches(rule, e); }))
+				return;
+
+			var owner = instances.filter(function (inst) {
+				return firewall.ruleBelongsTo(rule, inst.section);
+			})[0];
+
+			(owner ? owner.checks : unassigned).push({ label: firewall.describeRule(rule) + ' [' + rule.chain + ']', state: 'orphaned' });
+		});
+
+		var orphaned = unassigned.length;
+		instances.forEach(function (inst) {
+			orphaned += inst.checks.filter(function (c) { return c.state === 'orphaned'; }).length;
+		});
+
+		var text = total === 0 ? _('No instances with auto_rule enabled')
+			: missing > 0 ? _('%d of %d expected rules missing').format(missing, total)
+				: _('All expected rules present');
+		if (orphaned > 0)
+			text += ', ' + _('%d orphaned').format(orphaned);
+
+		return {
+			present: total > 0 && missing === 0,
+			text: text,
+			color: total > 0 && missing === 0 && orphaned === 0 ? '#5cb85c' : '#f0ad4e',
+			source: fw.source,
+			instances: instances,
+			unassigned: unassigned
+		};
 	},
 
-	fetchStatusData: function () {
-		return Promise.all([
-			this.getServiceStatus(),
-			this.getTunnelConfigs(),
-			this.getMD5(),           // v2.8: 改为获取MD5
-			this.checkIptables()
+	renderFirewallRules: function (info) {
+		return E('div', {}, [
+			E('span', { 'style': 'color: ' + info.color + ';' }, (info.present ? '✓ ' : '⚠ ') + info.text),
+			info.source ? E('span', { 'style': 'margin-left: 10px; color: #888;' }, '(' + info.source + ')') : ''
+		]);
+	},
+
+	/**
+	 * v2.11: udp2raw 在启动时自行添加规则，重新应用即单独重启该实例
+	 */
+	handleReapply: function (inst) {
+		var self = this;
+
+		return fs.exec('/etc/init.d/udp2raw', ['restart', inst.id]).then(function (res) {
+			if (res.code !== 0)
+				throw new Error((res.stderr || res.stdout || '').trim() || ('exit code ' + res.code));
+
+			// v2.19: udp2raw 完成 iptables 初始化需要一两秒，加快刷新期间即可看到规则
+			return self.refreshSoon();
+		}).catch(function (err) {
+			ui.addNotification(null, E('p', _('Failed to re-apply rules for %s: %s').format(inst.alias, err.message || err)), 'error');
+		});
+	},
+
+	/**
+	 * v2.13: 本周期内忽略配额，由 udp2raw-usage 记下放行周期、清除标记并启动实例
+	 */
+	handleQuotaOverride: function (t) {
+		var self = this;
+
+		return fs.exec(USAGE_COLLECTOR, ['override', t.id]).then(function (res) {
+			if (res.code !== 0)
+				throw new Error((res.stderr || res.stdout || '').trim() || ('exit code ' + res.code));
+
+			return self.refreshSoon();
+		}).catch(function (err) {
+			ui.addNotification(null, E('p', _('Failed to override the quota of %s: %s').format(t.alias, err.message || err)), 'error');
+		});
+	},
+
+	/**
+	 * v2.14: 解析 udp2raw-probe 的输出，每行为 "<check> <pass|fail> <ms|-> <details>"
+	 */
+	parseProbe: function (output) {
+		return String(output || '').split('\n').map(function (line) {
+			var m = line.match(/^(\S+) (pass|fail) (\S+) ?(.*)$/);
+			return m ? { name: m[1], pass: m[2] === 'pass', time: m[3] !== '-' ? m[3] : null, detail: m[4] } : null;
+		}).filter(function (c) { return c; });
+	},
+
+	showTestResults: function (t, checks, duration) {
+		var labels = {
+			process: _('Process'),
+			handshake: _('Handshake'),
+			udp: _('UDP listen socket'),
+			raw: _('Raw socket')
+		};
+		var failed = checks.filter(function (c) { return !c.pass; }).length;
+
+		ui.showModal(_('Test: %s').format(t.alias), [
+			E('table', { 'class': 'table' }, [
+				E('tr', { 'class': 'tr table-titles' }, [
+					E('th', { 'class': 'th' }, _('Check')),
+					E('th', { 'class': 'th' }, _('Result')),
+					E('th', { 'class': 'th' }, _('Time')),
+					E('th', { 'class': 'th' }, _('Details'))
+				])
+			].concat(checks.map(function (c) {
+				return E('tr', { 'class': 'tr' }, [
+					E('td', { 'class': 'td' }, labels[c.name] || c.name),
+					E('td', { 'class': 'td', 'style': 'font-weight: bold; color: ' + (c.pass ? '#5cb85c' : '#d9534f') + ';' },
+						c.pass ? '✓ ' + _('pass') : '✗ ' + _('fail')),
+					E('td', { 'class': 'td' }, c.time != null ? '%s ms'.format(c.time) : '-'),
+					E('td', { 'class': 'td' }, c.detail)
+				]);
+			}))),
+			E('p', { 'style': 'color: #888;' }, (failed ? _('%d of %d checks failed.').format(failed, checks.length) : _('All checks passed.')) +
+				' ' + _('Finished in %.1f s.').format(duration / 1000)),
+			E('div', { 'class': 'right' }, [
+				E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Close'))
+			])
 		]);
 	},
 
+	/**
+	 * v2.14: 进程存活不代表握手成功，由 udp2raw-probe 检查日志中的状态与套接字
+	 */
+	handleTest: function (t) {
+		var self = this;
+		var started = Date.now();
+
+		return fs.exec(PROBE, [t.id]).then(function (res) {
+			if (res.code !== 0)
+				throw new Error((res.stderr || res.stdout || '').trim() || ('exit code ' + res.code));
+
+			self.showTestResults(t, self.parseProbe(res.stdout), Date.now() - started);
+		}).catch(function (err) {
+			ui.addNotification(null, E('p', _('Failed to test %s: %s').format(t.alias, err.message || err)), 'error');
+		});
+	},
+
+	renderFirewallRows: function (info) {
+		var self = this;
+		var stateStyle = {
+			present: { color: '#5cb85c', icon: '✓', label: _('present') },
+			missing: { color: '#d9534f', icon: '✗', label: _('missing') },
+			orphaned: { color: '#f0ad4e', icon: '!', label: _('orphaned') }
+		};
+		var renderChecks = function (inst) {
+			if (inst.note && inst.checks.length === 0)
+				return E('span', { 'style': 'color: #888;' }, inst.note);
+
+			return inst.checks.map(function (c) {
+				var st = stateStyle[c.state];
+				return E('div', { 'style': 'color: ' + st.color + ';' }, st.icon + ' ' + c.label + ' (' + st.label + ')');
+			});
+		};
+
+		var rows = info.instances.map(function (inst) {
+			return E('tr', { 'class': 'tr' }, [
+				E('td', { 'class': 'td' }, inst.alias),
+				E('td', { 'class': 'td' }, inst.mode === 'server' ? _('Server') : _('Client')),
+				E('td', { 'class': 'td' }, renderChecks(inst)),
+				E('td', { 'class': 'td' }, E('button', {
+					'class': 'cbi-button cbi-button-action',
+					'title': _('Restart this instance so udp2raw adds its rules again'),
+					'click': ui.createHandlerFn(self, 'handleReapply', inst)
+				}, _('Re-apply rules')))
+			]);
+		});
+
+		if (info.unassigned.length > 0) {
+			rows.push(E('tr', { 'class': 'tr' }, [
+				E('td', { 'class': 'td', 'style': 'color: #888;' }, _('Unassigned')),
+				E('td', { 'class': 'td' }, '-'),
+				E('td', { 'class': 'td' }, renderChecks({ checks: info.unassigned })),
+				E('td', { 'class': 'td' }, '')
+			]));
+		}
+
+		if (rows.length === 0) {
+			rows.push(E('tr', { 'class': 'tr' }, [
+				E('td', { 'class': 'td', 'colspan': '4', 'style': 'text-align: center; color: #888;' },
+					info.source ? _('No tunnels configured.') : info.text)
+			]));
+		}
+
+		return rows;
+	},
+
+	/**
+	 * v2.15: 读取 udp2raw-watchdog 的状态与事件文件，事件按时间倒序
+	 * v2.19: 文件内容由 snapshot 带回，这里只解析
+	 */
+	parseWatchdogInfo: function (state, events) {
+		var info = { instances: {}, events: [] };
+
+		String(state || '').split('\n').forEach(function (line) {
+			var f = line.trim().split(/\s+/);
+			if (f.length < 7) return;
+
+			info.instances[f[0]] = {
+				state: f[1],
+				fails: +f[2],
+				threshold: +f[3],
+				last: f[4] !== '-' ? +f[4] : null,
+				restarts: +f[5],
+				target: f[6]
+			};
+		});
+
+		String(events || '').split('\n').forEach(function (line) {
+			var m = line.match(/^(\d+) (\S+) (\S+) ?(.*)$/);
+			if (m)
+				info.events.unshift({ time: +m[1], section: m[2], event: m[3], detail: m[4] });
+		});
+
+		return info;
+	},
+
+	/**
+	 * v2.19: 一次 snapshot 调用取回轮询所需的全部数据：
+	 * [服务状态, 隧道, MD5, 规则检查, 看门狗, 日志]，日志自动刷新暂停时日志为 null
+	 */
+	fetchStatusData: function () {
+		var self = this;
+
+		return L.resolveDefault(callSnapshot(logstream.since(), !self.logPaused), {}).then(function (snap) {
+			var sections = self.getSections(snap.config);
+			var general = sections.filter(function (s) { return s['.type'] === 'general'; })[0] || {};
+			var watchdog = snap.watchdog || {};
+			var status = self.parseServiceStatus(snap.service, snap.status && snap.status.processes);
+
+			status.respawn = self.parseRespawnInfo(snap.respawn, status);
+
+			return [
+				status,
+				self.getTunnelConfigs(sections),
+				self.md5Info,
+				self.checkIptables(firewall.parseRules(snap.rules), sections),
+				self.parseWatchdogInfo(watchdog.state, watchdog.events),
+				snap.logs ? self.processLogs(logstream.consume(snap.logs), general) : null
+			];
+		});
+	},
+
+	/**
+	 * v2.19: 轮询入口，每秒调用一次，按当前间隔决定是否刷新：标签页隐藏时不刷新，
+	 * 控制操作后 FAST_POLL_DURATION 秒内每 FAST_POLL_INTERVAL 秒刷新一次
+	 */
+	pollStatus: function () {
+		var now = Date.now();
+		var interval = now < this.pollFastUntil ? FAST_POLL_INTERVAL : this.pollInterval;
+
+		if (document.hidden || now - this.lastPoll < interval * 1000 - 500)
+			return Promise.resolve();
+
+		return this.refreshStatus();
+	},
+
+	// v2.19: 立即刷新整页；已有刷新在进行时复用，避免同一批新日志被追加两次
+	refreshStatus: function () {
+		var self = this;
+
+		if (this.pending)
+			return this.pending;
+
+		this.lastPoll = Date.now();
+		this.pending = this.fetchStatusData().then(function (data) {
+			var view = document.querySelector('.cbi-map');
+
+			if (view) {
+				self.updateStatusView(view, data);
+				if (data[5])
+					self.updateLogView(view, data[5]);
+			}
+
+			self.pending = null;
+		}, function (err) {
+			self.pending = null;
+			throw err;
+		});
+
+		return this.pending;
+	},
+
+	// v2.19: 控制操作之后立即刷新，并在一段时间内加快刷新以显示状态变化
+	refreshSoon: function () {
+		this.pollFastUntil = Date.now() + FAST_POLL_DURATION * 1000;
+		return this.refreshStatus();
+	},
+
+	// v2.19: 二进制 MD5 只在打开页面时读取，之后的轮询沿用
 	load: function () {
+		var self = this;
+
 		return Promise.all([
-			this.fetchStatusData(),
-			this.getRecentLogs()
-		]);
+			this.getMD5(),           // v2.8: 改为获取MD5
+			this.fetchStatusData()
+		]).then(function (results) {
+			self.md5Info = results[0];
+			results[1][2] = results[0];
+			return results[1];
+		});
 	},
 
 	render: function (data) {
 		var self = this;
-		var statusData = data[0];
-		var initialLogs = data[1];
+		var statusData = data;
+		var initialLogs = data[5] || { reset: true, lines: [] };
 
 		var view = E('div', { 'class': 'cbi-map' }, [
 			E('h2', {}, _('udp2raw Status')),
@@ -235,7 +790,63 @@ return view.extend({
 						E('th', { 'class': 'th' }, _('Local')),
 						E('th', { 'class': 'th' }, _('Remote')),
 						E('th', { 'class': 'th' }, _('Protocol')),
-						E('th', { 'class': 'th' }, _('PID'))
+						E('th', { 'class': 'th' }, _('PID')),
+						E('th', { 'class': 'th' }, _('Test'))
+					])
+				])
+			]),
+
+			// v2.20: procd 重启记录
+			E('div', { 'class': 'cbi-section' }, [
+				E('h3', {}, _('Process Restarts')),
+				E('div', { 'class': 'cbi-section-descr' },
+					_('Restarts by procd since boot. procd gives up on an instance that crashes more often than its retry limit, each time within the threshold after starting; it is then marked as crash looping. The limits are set in the Respawn tab of each instance.')),
+				E('table', { 'class': 'table cbi-section-table', 'id': 'respawn-table' }, [
+					E('tr', { 'class': 'tr table-titles' }, [
+						E('th', { 'class': 'th' }, _('Name')),
+						E('th', { 'class': 'th' }, _('State')),
+						E('th', { 'class': 'th' }, _('Restarts')),
+						E('th', { 'class': 'th' }, _('Last Restart')),
+						E('th', { 'class': 'th' }, _('Last Exit Code')),
+						E('th', { 'class': 'th' }, _('Threshold / Delay / Retries'))
+					])
+				])
+			]),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('h3', {}, _('Traffic')),
+				E('div', { 'class': 'cbi-section-descr' },
+					_('Received rates come from the byte counter of the RST drop rule of each instance, sent rates from the counting rule the init script adds to OUTPUT, so both need auto_rule enabled. Packets sent with --lower-level bypass the firewall and are not counted. The last hour is kept in this browser.')),
+				E('table', { 'class': 'table cbi-section-table', 'id': 'traffic-table' }, [
+					E('tr', { 'class': 'tr table-titles' }, [
+						E('th', { 'class': 'th' }, _('Name')),
+						E('th', { 'class': 'th', 'style': 'color: ' + traffic.colors.rx + ';' }, _('RX')),
+						E('th', { 'class': 'th', 'style': 'color: ' + traffic.colors.tx + ';' }, _('TX')),
+						E('th', { 'class': 'th', 'style': 'width: 60%;' }, _('Last hour'))
+					])
+				])
+			]),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('h3', {}, _('Watchdog')),
+				E('div', { 'class': 'cbi-section-descr' },
+					_('Instances with the watchdog enabled are pinged at their probe interval and restarted after the configured number of consecutive failures.')),
+				E('table', { 'class': 'table cbi-section-table', 'id': 'watchdog-table' }, [
+					E('tr', { 'class': 'tr table-titles' }, [
+						E('th', { 'class': 'th' }, _('Name')),
+						E('th', { 'class': 'th' }, _('Probe Target')),
+						E('th', { 'class': 'th' }, _('Last Probe')),
+						E('th', { 'class': 'th' }, _('Failures')),
+						E('th', { 'class': 'th' }, _('Restarts'))
+					])
+				]),
+				E('h4', { 'style': 'margin-top: 10px;' }, _('Recent Restarts')),
+				E('table', { 'class': 'table cbi-section-table', 'id': 'watchdog-events' }, [
+					E('tr', { 'class': 'tr table-titles' }, [
+						E('th', { 'class': 'th' }, _('Time')),
+						E('th', { 'class': 'th' }, _('Name')),
+						E('th', { 'class': 'th' }, _('Event')),
+						E('th', { 'class': 'th' }, _('Details'))
 					])
 				])
 			]),
@@ -245,17 +856,30 @@ return view.extend({
 				E('div', { 'style': 'display: grid; grid-template-columns: 200px 1fr; gap: 10px;' }, [
 					E('div', { 'style': 'font-weight: bold;' }, _('Core Binary:')),
 					E('div', { 'id': 'diag-binary' }, _('Checking...')),
-					E('div', { 'style': 'font-weight: bold;' }, _('Iptables Rules:')),
+					E('div', { 'style': 'font-weight: bold;' }, _('Firewall Rules:')),
 					E('div', { 'id': 'diag-iptables', 'style': 'word-break: break-all;' }, _('Checking...'))
 				])
 			]),
 
+			E('div', { 'class': 'cbi-section', 'style': 'margin-top: 20px;' }, [
+				E('h3', {}, _('Firewall Rules')),
+				E('table', { 'class': 'table cbi-section-table', 'id': 'firewall-rules-table' }, [
+					E('tr', { 'class': 'tr table-titles' }, [
+						E('th', { 'class': 'th' }, _('Name')),
+						E('th', { 'class': 'th' }, _('Mode')),
+						E('th', { 'class': 'th' }, _('Rules')),
+						E('th', { 'class': 'th' }, _('Actions'))
+					])
+				])
+			]),
+
 			// 添加 margin-top
 			E('div', { 'class': 'cbi-section', 'style': 'margin-top: 20px;' }, [
 				E('h3', { 'style': 'display:flex; justify-content:space-between; align-items:center;' }, [
 					_('Recent Logs'),
 					E('span', { 'id': 'log-status', 'style': 'font-size: 0.85em;' }, '')
 				]),
+				self.renderLogFilters(statusData[1]),
 				E('textarea', {
 					'style': 'width: 100%; height: 500px; font-family: monospace; font-size: 12px; background: #1e1e1e; color: #ddd; border: 1px solid #444; padding: 10px; border-radius: 3px;',
 					'readonly': 'readonly',
@@ -267,10 +891,7 @@ return view.extend({
 						'class': 'cbi-button cbi-button-negative',
 						'id': 'log-stop-btn',
 						'click': function () {
-							if (self.logPollFn) {
-								poll.remove(self.logPollFn);
-								self.logPollFn = null;
-							}
+							self.logPaused = true;
 							var logStatus = view.querySelector('#log-status');
 							if (logStatus) logStatus.textContent = _('Auto-refresh stopped');
 						}
@@ -280,13 +901,7 @@ return view.extend({
 						'class': 'cbi-button cbi-button-positive',
 						'id': 'log-start-btn',
 						'click': function () {
-							if (!self.logPollFn) {
-								self.logPollFn = poll.add(function () {
-									return self.getRecentLogs().then(function (logs) {
-										self.updateLogView(view, logs);
-									});
-								}, 10);
-							}
+							self.logPaused = false;
 						}
 					}, _('Start Refresh')),
 					' ',
@@ -294,29 +909,27 @@ return view.extend({
 						'class': 'cbi-button cbi-button-reset',
 						'click': function () {
 							lastClearTime = new Date();
-							// 立即刷新日志以显示清理标记
-							self.getRecentLogs().then(function (logs) {
-								self.updateLogView(view, logs);
-							});
+							// v2.17: 之后的轮询只返回更新的行，清空缓存即可
+							self.logLines = [self.clearMarker()];
+							self.renderLogLines(view);
 						}
 					}, _('Clear Logs')),
 					' ',
 					E('button', {
 						'class': 'cbi-button cbi-button-apply',
 						'click': function () {
-							var ta = document.getElementById('syslog-textarea');
-							if (ta && ta.value) {
-								var blob = new Blob([ta.value], { type: 'text/plain' });
-								var url = URL.createObjectURL(blob);
-								var a = document.createElement('a');
-								a.href = url;
-								a.download = 'udp2raw_log_' + new Date().toISOString().slice(0, 19).replace(/:/g, '-') + '.txt';
-								a.click();
-								URL.revokeObjectURL(url);
-							}
+							if (self.logLines.length)
+								self.downloadLogs(self.logLines.slice().reverse(), 'udp2raw_log_');
 						}
 					}, _('Download Logs')),
 					' ',
+					E('button', {
+						'class': 'cbi-button cbi-button-apply',
+						'click': function () {
+							self.downloadLogs(self.filterLogs(self.logLines).reverse(), 'udp2raw_log_filtered_');
+						}
+					}, _('Download Filtered Logs')),
+					' ',
 					E('button', {
 						'class': 'cbi-button cbi-button-neutral',
 						'click': function () {
@@ -331,35 +944,46 @@ return view.extend({
 		this.updateStatusView(view, statusData);
 		this.updateLogView(view, initialLogs);
 
-		// 默认启动日志自动刷新
-		this.logPollFn = poll.add(function () {
-			return self.getRecentLogs().then(function (logs) {
-				self.updateLogView(view, logs);
-			});
-		}, 10);
+		// v2.19: 状态与日志共用一次 snapshot，日志默认随之自动刷新
+		this.lastPoll = Date.now();
+		poll.add(L.bind(this.pollStatus, this), 1);
 
-		poll.add(function () {
-			return self.fetchStatusData().then(function (newData) {
-				self.updateStatusView(view, newData);
-			});
-		}, this.pollInterval);
+		// 标签页重新可见时立即刷新，不等下一个间隔
+		document.addEventListener('visibilitychange', function () {
+			if (!document.hidden)
+				self.refreshStatus();
+		});
 
 		return view;
 	},
 
-	refreshLogs: function (view) {
-		var self = this;
+	updateLogView: function (view, logs) {
 		var logStatus = view.querySelector('#log-status');
-		if (logStatus) logStatus.textContent = _('Refreshing...');
 
-		this.getRecentLogs().then(function (logs) {
-			self.updateLogView(view, logs);
-		});
+		// v2.17: 增量读取的新行放在最前，超出 logMaxLines 的旧行丢弃；
+		// 日志框是单个 textarea，有新行时整体重写，没有新行时不做处理
+		if (logs.reset)
+			this.logLines = logs.lines.slice(0, this.logMaxLines);
+		else if (logs.lines.length)
+			this.logLines = logs.lines.concat(this.logLines).slice(0, this.logMaxLines);
+
+		if (logs.reset || logs.lines.length)
+			this.renderLogLines(view);
+
+		if (logStatus) {
+			var d = new Date();
+			logStatus.textContent = _('Last updated: ') + d.toLocaleTimeString();
+			logStatus.style.color = 'inherit';
+		}
 	},
 
-	updateLogView: function (view, logs) {
+	/**
+	 * v2.16: 按筛选条件重绘日志框，筛选条件变化时不重新读取日志
+	 */
+	renderLogLines: function (view) {
 		var logTa = view.querySelector('#syslog-textarea');
-		var logStatus = view.querySelector('#log-status');
+		var countEl = view.querySelector('#log-filter-count');
+		var logs = this.filterLogs(this.logLines);
 
 		if (logTa) {
 			var newText = '';
@@ -373,25 +997,25 @@ return view.extend({
 				});
 				newText = processedLogs.join('\n');
 			} else {
-				newText = _('No logs found.');
+				newText = this.logLines.length ? _('No log lines match the filters.') : _('No logs found.');
 			}
 			logTa.value = newText;
 			logTa.scrollTop = 0;  // 滚动到顶部（最新日志）
 		}
 
-		if (logStatus) {
-			var d = new Date();
-			logStatus.textContent = _('Last updated: ') + d.toLocaleTimeString();
-			logStatus.style.color = 'inherit';
-		}
+		if (countEl)
+			countEl.textContent = _('%d of %d lines').format(logs.length, this.logLines.length);
 	},
 
 	updateStatusView: function (view, data) {
+		var self = this;
 		var status = data[0];
 		var tunnels = data[1];
 		var md5Info = data[2];      // v2.8: 改为md5Info
 		var iptablesInfo = data[3];
 
+		this.trackLogPids(status);
+
 		var statusEl = view.querySelector('#status-indicator');
 		if (statusEl) {
 			var activeCount = Object.keys(status.instances).length;
@@ -413,7 +1037,7 @@ return view.extend({
 				row.className = 'tr';
 				var cell = row.insertCell(0);
 				cell.className = 'td';
-				cell.colSpan = 7;
+				cell.colSpan = 8;
 				cell.style.textAlign = 'center';
 				cell.style.padding = '20px';
 				cell.innerHTML = '<em>' + _('No tunnels configured.') + '</em>';
@@ -421,15 +1045,21 @@ return view.extend({
 				tunnels.forEach(function (t) {
 					var instance = status.instances[t.id] || status.instances[t.alias];
 					var isRunning = !!instance;
+					var respawn = status.respawn[t.id];
 
 					var rowColor = '#d9534f';
 					var statusLabel = _('Stopped');
+					var quotaStopped = false;
 					if (t.disabled) {
 						rowColor = '#999';
 						statusLabel = _('Disabled');
 					} else if (isRunning) {
 						rowColor = '#5cb85c';
 						statusLabel = _('Running');
+					} else if (t.quota_exceeded) {
+						rowColor = '#f0ad4e';
+						statusLabel = _('Quota exceeded');
+						quotaStopped = true;
 					}
 
 					var row = table.insertRow(-1);
@@ -446,7 +1076,24 @@ return view.extend({
 
 					addCell(t.alias);
 					addCell(t.mode === 'server' ? _('Server') : _('Client'));
-					addCell(statusLabel, rowColor);
+					var cStatus = addCell(statusLabel, rowColor);
+
+					// v2.13: 因配额停止的客户端可在本周期内手动放行
+					if (quotaStopped) {
+						cStatus.title = _('Monthly quota of %s GiB reached in the cycle starting %s').format(t.quota, t.quota_exceeded);
+						cStatus.appendChild(document.createTextNode(' '));
+						cStatus.appendChild(E('button', {
+							'class': 'cbi-button cbi-button-action',
+							'title': _('Ignore the quota and run this instance until the next reset day'),
+							'click': ui.createHandlerFn(self, 'handleQuotaOverride', t)
+						}, _('Override')));
+					}
+
+					// v2.20: procd 放弃重启的实例
+					if (!t.disabled && !isRunning && respawn && respawn.looping) {
+						cStatus.appendChild(document.createTextNode(' '));
+						cStatus.appendChild(self.renderCrashLoopBadge(respawn));
+					}
 
 					var cLocal = row.insertCell(-1);
 					cLocal.className = 'td';
@@ -458,6 +1105,19 @@ return view.extend({
 
 					addCell(t.raw_mode + ' / xor');
 					addCell(instance ? instance.pid : '-');
+
+					// v2.14: 客户端连通性测试
+					var cTest = row.insertCell(-1);
+					cTest.className = 'td';
+					if (t.mode === 'client') {
+						cTest.appendChild(E('button', {
+							'class': 'cbi-button cbi-button-action',
+							'title': _('Check that the handshake completed and the sockets are open'),
+							'click': ui.createHandlerFn(self, 'handleTest', t)
+						}, _('Test')));
+					} else {
+						cTest.textContent = '-';
+					}
 				});
 			}
 		}
@@ -474,9 +1134,179 @@ return view.extend({
 
 		var diagIp = view.querySelector('#diag-iptables');
 		if (diagIp) {
-			diagIp.innerHTML = '<span style="color:' + iptablesInfo.color + '">' +
-				(iptablesInfo.present ? '✓ ' : '⚠ ') + iptablesInfo.text + '</span>';
+			L.dom.content(diagIp, this.renderFirewallRules(iptablesInfo));
+		}
+
+		var fwTable = view.querySelector('#firewall-rules-table');
+		if (fwTable) {
+			while (fwTable.rows.length > 1) { fwTable.deleteRow(1); }
+			this.renderFirewallRows(iptablesInfo).forEach(function (r) { fwTable.appendChild(r); });
 		}
+
+		this.updateTrafficView(view, iptablesInfo);
+		this.updateWatchdogView(view, tunnels, data[4]);
+		this.updateRespawnView(view, tunnels, status.respawn);
+	},
+
+	renderCrashLoopBadge: function (r) {
+		return E('span', {
+			'style': 'background: #d9534f; color: #fff; border-radius: 3px; padding: 0 5px; font-size: 0.85em; font-weight: bold;',
+			'title': _('procd stopped restarting this instance after repeated crashes (last exit code %s). Fix the cause, then start it again.').format(r.exit != null ? r.exit : '-')
+		}, _('Crash looping'));
+	},
+
+	/**
+	 * v2.20: 各实例的 procd 重启次数、上次重启时间与退出码
+	 */
+	updateRespawnView: function (view, tunnels, info) {
+		var self = this;
+		var table = view.querySelector('#respawn-table');
+		var stateStyle = {
+			running: { color: '#5cb85c', label: _('Running') },
+			respawning: { color: '#f0ad4e', label: _('Restarting') },
+			exited: { color: '#888', label: _('Exited') }
+		};
+
+		if (!table)
+			return;
+
+		while (table.rows.length > 1) { table.deleteRow(1); }
+
+		var enabled = tunnels.filter(function (t) { return !t.disabled; });
+
+		if (enabled.length === 0) {
+			table.appendChild(E('tr', { 'class': 'tr' }, [
+				E('td', { 'class': 'td', 'colspan': '6', 'style': 'text-align: center; color: #888;' }, _('No enabled instances'))
+			]));
+		}
+
+		enabled.forEach(function (t) {
+			var r = info[t.id];
+			var st = r ? stateStyle[r.state] : null;
+			var limits = r && r.limits;
+
+			table.appendChild(E('tr', { 'class': 'tr' }, [
+				E('td', { 'class': 'td' }, t.alias),
+				E('td', { 'class': 'td' }, r && r.looping ? self.renderCrashLoopBadge(r) :
+					st ? E('span', { 'style': 'font-weight: bold; color: ' + st.color + ';' }, st.label) : '-'),
+				E('td', { 'class': 'td' }, r ? String(r.restarts) : '0'),
+				E('td', { 'class': 'td' }, r && r.last ? new Date(r.last * 1000).toLocaleString() : '-'),
+				E('td', { 'class': 'td', 'style': r && r.exit ? 'color: #d9534f;' : '' }, r && r.exit != null ? String(r.exit) : '-'),
+				E('td', { 'class': 'td' }, limits ? '%d s / %d s / %s'.format(limits.threshold, limits.timeout, limits.retry || '∞') : '-')
+			]));
+		});
+	},
+
+	/**
+	 * v2.15: 看门狗各实例的最近探测结果与重启记录
+	 */
+	updateWatchdogView: function (view, tunnels, info) {
+		var table = view.querySelector('#watchdog-table');
+		var eventsTable = view.querySelector('#watchdog-events');
+		var aliases = {};
+		var stateStyle = {
+			ok: { color: '#5cb85c', label: _('OK') },
+			fail: { color: '#f0ad4e', label: _('Failed') },
+			pending: { color: '#888', label: _('Waiting') },
+			stopped: { color: '#888', label: _('Not running') }
+		};
+		var formatTime = function (epoch) {
+			return new Date(epoch * 1000).toLocaleString();
+		};
+
+		tunnels.forEach(function (t) { aliases[t.id] = t.alias; });
+
+		if (table) {
+			var ids = Object.keys(info.instances);
+
+			while (table.rows.length > 1) { table.deleteRow(1); }
+
+			if (ids.length === 0) {
+				table.appendChild(E('tr', { 'class': 'tr' }, [
+					E('td', { 'class': 'td', 'colspan': '5', 'style': 'text-align: center; color: #888;' },
+						_('The watchdog is not running. Enable it in the Watchdog tab of an instance.'))
+				]));
+			}
+
+			ids.forEach(function (id) {
+				var w = info.instances[id];
+				var st = stateStyle[w.state] || stateStyle.pending;
+
+				table.appendChild(E('tr', { 'class': 'tr' }, [
+					E('td', { 'class': 'td' }, aliases[id] || id),
+					E('td', { 'class': 'td' }, w.target),
+					E('td', { 'class': 'td' }, [
+						E('span', { 'style': 'font-weight: bold; color: ' + st.color + ';' }, st.label),
+						w.last ? E('span', { 'style': 'margin-left: 10px; color: #888;' }, formatTime(w.last)) : ''
+					]),
+					E('td', { 'class': 'td' }, '%d / %d'.format(w.fails, w.threshold)),
+					E('td', { 'class': 'td' }, String(w.restarts))
+				]));
+			});
+		}
+
+		if (eventsTable) {
+			var events = info.events.slice(0, WATCHDOG_EVENT_ROWS);
+
+			while (eventsTable.rows.length > 1) { eventsTable.deleteRow(1); }
+
+			if (events.length === 0) {
+				eventsTable.appendChild(E('tr', { 'class': 'tr' }, [
+					E('td', { 'class': 'td', 'colspan': '4', 'style': 'text-align: center; color: #888;' }, _('No restarts recorded since boot'))
+				]));
+			}
+
+			events.forEach(function (e) {
+				eventsTable.appendChild(E('tr', { 'class': 'tr' }, [
+					E('td', { 'class': 'td' }, formatTime(e.time)),
+					E('td', { 'class': 'td' }, aliases[e.section] || e.section),
+					E('td', { 'class': 'td', 'style': 'color: ' + (e.event === 'restart' ? '#f0ad4e' : '#d9534f') + ';' },
+						e.event === 'restart' ? _('Restarted') : _('Restart failed')),
+					E('td', { 'class': 'td' }, e.detail)
+				]));
+			});
+		}
+	},
+
+	/**
+	 * v2.12: 每次状态轮询记录一次计数并重绘各实例的收发速率曲线
+	 */
+	updateTrafficView: function (view, info) {
+		var readings = {};
+		var now = Date.now();
+
+		info.instances.forEach(function (inst) {
+			readings[inst.id] = (inst.bytes != null || inst.txBytes != null) ? { rx: inst.bytes, tx: inst.txBytes } : null;
+		});
+
+		var history = traffic.update(readings, now);
+		var table = view.querySelector('#traffic-table');
+		if (!table)
+			return;
+
+		while (table.rows.length > 1) { table.deleteRow(1); }
+
+		if (info.instances.length === 0) {
+			table.appendChild(E('tr', { 'class': 'tr' }, [
+				E('td', { 'class': 'td', 'colspan': '4', 'style': 'text-align: center; color: #888;' },
+					info.source ? _('No enabled tunnels') : info.text)
+			]));
+			return;
+		}
+
+		info.instances.forEach(function (inst) {
+			var list = history[inst.id] || [];
+			var last = list.length ? list[list.length - 1] : null;
+			var note = inst.note || (inst.bytes == null && inst.txBytes == null ? _('No rule counter available') : _('Collecting data…'));
+
+			table.appendChild(E('tr', { 'class': 'tr' }, [
+				E('td', { 'class': 'td' }, inst.alias),
+				E('td', { 'class': 'td' }, traffic.formatRate(last ? last[1] : null)),
+				E('td', { 'class': 'td' }, traffic.formatRate(last ? last[2] : null)),
+				E('td', { 'class': 'td' }, list.length ? traffic.renderGraph(list, now) :
+					E('em', { 'style': 'color: #888;' }, note))
+			]));
+		});
 	},
 
 	handleSave: null,
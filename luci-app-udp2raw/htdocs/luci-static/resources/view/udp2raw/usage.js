@@ -0,0 +1,220 @@
+/**
+ * Copyright (C) 2024 iHub-2020
+ * 
+ * luci-app-udp2raw - Traffic Usage Page
+ * Daily and monthly received and sent bytes per instance, with CSV download
+ * 
+ * @module luci-app-udp2raw/usage
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+'use strict';
+'require view';
+'require fs';
+'require ui';
+'require uci';
+
+var COLLECTOR = '/usr/libexec/udp2raw-usage';
+var USAGE_DB = '/var/lib/udp2raw/usage.db';
+var PERSIST_DB = '/etc/udp2raw/usage.db';
+var DAILY_ROWS = 31;
+
+return view.extend({
+	title: _('Traffic Usage'),
+
+	usage: null,
+	selected: null,
+
+	/**
+	 * 先让采集脚本记下当前计数，再读取统计文件（/var 中没有时读闪存中的副本）。
+	 * 执行采集脚本需要写权限，只读用户看到的是 cron 最近一次采集的数据
+	 */
+	fetchUsage: function () {
+		return L.resolveDefault(fs.exec(COLLECTOR, ['collect']), null).then(function () {
+			return L.resolveDefault(fs.read(USAGE_DB), null);
+		}).then(function (content) {
+			return content != null ? content : L.resolveDefault(fs.read(PERSIST_DB), '');
+		}).then(L.bind(this.parseUsage, this));
+	},
+
+	load: function () {
+		return Promise.all([
+			this.fetchUsage(),
+			uci.load('udp2raw')
+		]);
+	},
+
+	/**
+	 * 解析为 { 实例: { daily: [{ period, rx, tx }], monthly: [...] } }，按时间倒序
+	 */
+	parseUsage: function (content) {
+		var usage = {};
+
+		String(content || '').split('\n').forEach(function (line) {
+			var f = line.trim().split(/\s+/);
+			if (f.length !== 5 || (f[0] !== 'D' && f[0] !== 'M'))
+				return;
+
+			var entry = usage[f[1]] || (usage[f[1]] = { daily: [], monthly: [] });
+			(f[0] === 'D' ? entry.daily : entry.monthly).push({ period: f[2], rx: +f[3], tx: +f[4] });
+		});
+
+		Object.keys(usage).forEach(function (id) {
+			['daily', 'monthly'].forEach(function (key) {
+				usage[id][key].sort(function (a, b) { return b.period.localeCompare(a.period); });
+			});
+		});
+
+		return usage;
+	},
+
+	// 已删除的实例仍保留统计，以 section 名显示
+	instanceLabel: function (id) {
+		var s = uci.get('udp2raw', id);
+
+		if (!s)
+			return _('%s (deleted)').format(id);
+
+		return '%s (%s)'.format(s.alias || id, s['.type'] === 'server' ? _('Server') : _('Client'));
+	},
+
+	instanceIds: function (usage) {
+		var ids = uci.sections('udp2raw').filter(function (s) {
+			return s['.type'] === 'client' || s['.type'] === 'server';
+		}).map(function (s) {
+			return s['.name'];
+		});
+
+		Object.keys(usage).sort().forEach(function (id) {
+			if (ids.indexOf(id) === -1)
+				ids.push(id);
+		});
+
+		return ids;
+	},
+
+	formatBytes: function (bytes) {
+		return '%1024.2mB'.format(bytes);
+	},
+
+	renderTable: function (title, entries, emptyText) {
+		var self = this;
+
+		return E('div', { 'class': 'cbi-section' }, [
+			E('h3', {}, title),
+			E('table', { 'class': 'table cbi-section-table' }, [
+				E('tr', { 'class': 'tr table-titles' }, [
+					E('th', { 'class': 'th' }, _('Period')),
+					E('th', { 'class': 'th' }, _('RX')),
+					E('th', { 'class': 'th' }, _('TX')),
+					E('th', { 'class': 'th' }, _('Total'))
+				])
+			].concat(entries.length ? entries.map(function (e) {
+				return E('tr', { 'class': 'tr' }, [
+					E('td', { 'class': 'td' }, e.period),
+					E('td', { 'class': 'td' }, self.formatBytes(e.rx)),
+					E('td', { 'class': 'td' }, self.formatBytes(e.tx)),
+					E('td', { 'class': 'td', 'style': 'font-weight: bold;' }, self.formatBytes(e.rx + e.tx))
+				]);
+			}) : [
+				E('tr', { 'class': 'tr' }, [
+					E('td', { 'class': 'td', 'colspan': '4', 'style': 'text-align: center; color: #888;' }, emptyText)
+				])
+			]))
+		]);
+	},
+
+	renderUsage: function (usage) {
+		var entry = usage[this.selected] || { daily: [], monthly: [] };
+
+		return E('div', {}, [
+			this.renderTable(_('Monthly'), entry.monthly, _('No usage recorded yet')),
+			this.renderTable(_('Daily (last %d days)').format(DAILY_ROWS), entry.daily.slice(0, DAILY_ROWS), _('No usage recorded yet'))
+		]);
+	},
+
+	handleRefresh: function () {
+		var self = this;
+
+		return this.fetchUsage().then(function (usage) {
+			self.usage = usage;
+			L.dom.content(document.getElementById('usage-tables'), self.renderUsage(usage));
+		});
+	},
+
+	handleDownload: function () {
+		var self = this;
+		var lines = [ 'section,alias,period,date,rx_bytes,tx_bytes' ];
+
+		Object.keys(this.usage).sort().forEach(function (id) {
+			var s = uci.get('udp2raw', id);
+			var alias = '"' + String((s && s.alias) || id).replace(/"/g, '""') + '"';
+
+			[['monthly', 'month'], ['daily', 'day']].forEach(function (kind) {
+				self.usage[id][kind[0]].forEach(function (e) {
+					lines.push([ id, alias, kind[1], e.period, e.rx, e.tx ].join(','));
+				});
+			});
+		});
+
+		var blob = new Blob([ lines.join('\n') + '\n' ], { type: 'text/csv' });
+		var url = URL.createObjectURL(blob);
+		var a = document.createElement('a');
+
+		a.href = url;
+		a.download = 'udp2raw_usage_' + new Date().toISOString().slice(0, 10) + '.csv';
+		a.click();
+		URL.revokeObjectURL(url);
+	},
+
+	render: function (data) {
+		var self = this;
+		var usage = data[0];
+		var ids = this.instanceIds(usage);
+
+		this.usage = usage;
+		this.selected = ids[0] || null;
+
+		var select = E('select', {
+			'class': 'cbi-input-select',
+			'change': function (ev) {
+				self.selected = ev.target.value;
+				L.dom.content(document.getElementById('usage-tables'), self.renderUsage(self.usage));
+			}
+		}, ids.map(function (id) {
+			return E('option', { 'value': id }, self.instanceLabel(id));
+		}));
+
+		return E('div', { 'class': 'cbi-map' }, [
+			E('h2', {}, _('Traffic Usage')),
+			E('div', { 'class': 'cbi-map-descr' },
+				_('Bytes received and sent by each instance, counted by its RST drop rule and by the OUTPUT counting rule of the init script, so only instances with auto_rule enabled are recorded. Packets sent with --lower-level bypass the firewall and are not counted. Totals are collected every 5 minutes and written to flash hourly and whenever udp2raw stops. Daily totals are kept for 90 days, monthly totals for 24 months.')),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('div', { 'class': 'cbi-value' }, [
+					E('label', { 'class': 'cbi-value-title' }, _('Instance')),
+					E('div', { 'class': 'cbi-value-field' }, ids.length ? select : E('em', {}, _('No tunnels configured')))
+				])
+			]),
+
+			E('div', { 'id': 'usage-tables' }, this.renderUsage(usage)),
+
+			E('div', { 'class': 'right', 'style': 'margin-top: 10px;' }, [
+				E('button', {
+					'class': 'cbi-button cbi-button-neutral',
+					'click': ui.createHandlerFn(this, 'handleRefresh')
+				}, _('Refresh')),
+				' ',
+				E('button', {
+					'class': 'cbi-button cbi-button-action',
+					'click': ui.createHandlerFn(this, 'handleDownload')
+				}, _('Download CSV'))
+			])
+		]);
+	},
+
+	handleSave: null,
+	handleSaveApply: null,
+	handleReset: null
+});
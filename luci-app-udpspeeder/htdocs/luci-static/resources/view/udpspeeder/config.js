@@ -0,0 +1,817 @@
+/**
+ * Copyright (C) 2024 iHub-2020
+ *
+ * luci-app-udpspeeder - Configuration Page
+ * Complete configuration interface for UDPspeeder FEC tunnels
+ *
+ * Features:
+ * - Multi-tunnel support (Server & Client modes)
+ * - Tabbed interface (Basic/FEC/Advanced) for cleaner UI
+ * - Validation of FEC parameters (-f x:y, --mode, --timeout, --mtu ...)
+ * - Import/Export of server and client configurations
+ * - Integrated service control with reset functionality
+ *
+ * @module luci-app-udpspeeder/config
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+'use strict';
+'require view';
+'require form';
+'require uci';
+'require fs';
+'require ui';
+'require rpc';
+
+var callServiceList = rpc.declare({
+	object: 'service',
+	method: 'list',
+	params: ['name'],
+	expect: { '': {} }
+});
+
+var callInitAction = rpc.declare({
+	object: 'luci',
+	method: 'setInitAction',
+	params: ['name', 'action'],
+	expect: { result: false }
+});
+
+/**
+ * Validate an UDPspeeder FEC parameter ("x:y" or "x1:y1,x2:y2,...").
+ * Returns true or an error message.
+ */
+function validateFec(value) {
+	if (!value)
+		return true;
+
+	var groups = String(value).split(',');
+	var lastX = 0;
+
+	for (var i = 0; i < groups.length; i++) {
+		var m = groups[i].match(/^(\d+):(\d+)$/);
+		if (!m)
+			return _('Expected x:y or x1:y1,x2:y2,... (e.g. 20:10)');
+
+		var x = parseInt(m[1]), y = parseInt(m[2]);
+		if (x < 1 || x + y > 255)
+			return _('x must be at least 1 and x+y must not exceed 255');
+		if (x <= lastX)
+			return _('x values must be strictly increasing');
+
+		lastX = x;
+	}
+
+	return true;
+}
+
+/**
+ * Validate a "<number>" or "<min>:<max>" millisecond value (--jitter / --interval).
+ */
+function validateRange(value) {
+	if (!value)
+		return true;
+
+	var m = String(value).match(/^(\d+)(?::(\d+))?$/);
+	if (!m)
+		return _('Expected a number or min:max (milliseconds)');
+	if (m[2] !== undefined && parseInt(m[1]) > parseInt(m[2]))
+		return _('Minimum must not be greater than maximum');
+
+	return true;
+}
+
+return view.extend({
+	title: _('UDPspeeder Configuration'),
+
+	load: function () {
+		return Promise.all([
+			uci.load('udpspeeder'),
+			L.resolveDefault(fs.stat('/usr/bin/udpspeeder'), null),
+			L.resolveDefault(callServiceList('udpspeeder'), null)
+		]);
+	},
+
+	render: function (data) {
+		var udpspeederInstalled = data[1] !== null;
+		var serviceStatus = data[2] || {};
+
+		// Check installation
+		if (!udpspeederInstalled) {
+			return E('div', { 'class': 'alert-message warning' }, [
+				E('h3', {}, _('UDPspeeder Not Installed')),
+				E('p', {}, _('The udpspeeder binary was not found. Please install it first:')),
+				E('pre', { 'style': 'background: #f5f5f5; padding: 10px; border-radius: 4px;' },
+					'opkg update\nopkg install udpspeeder'),
+				E('p', {}, [
+					_('Or download from: '),
+					E('a', {
+						'href': 'https://github.com/wangyu-/UDPspeeder/releases',
+						'target': '_blank'
+					}, _('GitHub Releases'))
+				])
+			]);
+		}
+
+		var m, s, o;
+
+		m = new form.Map('udpspeeder', _('UDPspeeder Configuration'),
+			_('UDPspeeder improves UDP quality on lossy links by using Forward Error Correction (FEC). ' +
+				'Please ensure "Key", "FEC Mode" and "Disable Obscure" match on both sides.'));
+
+		// ==================== Service Status Logic ====================
+		var isRunning = false;
+		var runningCount = 0;
+
+		try {
+			if (serviceStatus && serviceStatus.udpspeeder && serviceStatus.udpspeeder.instances) {
+				var instances = serviceStatus.udpspeeder.instances;
+				for (var key in instances) {
+					if (instances[key].running) {
+						isRunning = true;
+						runningCount++;
+					}
+				}
+			}
+		} catch (e) { console.error(e); }
+
+		var statusColor = isRunning ? '#5cb85c' : '#d9534f';
+		var statusText = isRunning
+			? _('Running') + ' (' + runningCount + ' ' + _('tunnels active') + ')'
+			: _('Stopped');
+
+		// ==================== Info & Warning Area ====================
+		m.description = E('div', {}, [
+			// Status Bar
+			E('div', { 'class': 'cbi-section', 'style': 'margin-bottom: 10px; padding: 10px; background: #2d3a4a; border-radius: 5px;' }, [
+				E('table', { 'style': 'width: auto;' }, [
+					E('tr', {}, [
+						E('td', { 'style': 'font-weight: bold; padding-right: 10px;' }, _('Service Status:')),
+						E('td', {}, E('span', { 'style': 'color: ' + statusColor + '; font-weight: bold;' }, statusText))
+					])
+				])
+			]),
+			// FEC Tips
+			E('div', { 'class': 'alert-message warning', 'style': 'margin-bottom: 20px;' }, [
+				E('h4', { 'style': 'margin: 0 0 10px 0;' }, '⚠️ ' + _('FEC Tuning Tips')),
+				E('ul', { 'style': 'margin: 0; padding-left: 20px;' }, [
+					E('li', {}, _('FEC "x:y" sends y redundant packets for every x original packets. 20:10 costs 50% extra bandwidth.')),
+					E('li', {}, _('Raise y when packet loss is high, lower it when the link is clean to save bandwidth.')),
+					E('li', {}, _('Mode 0 splits packets to the MTU and costs less bandwidth; mode 1 adds less latency but you must care about MTU.')),
+					E('li', {}, _('Server Mode: You MUST specify "Forward To" address (usually 127.0.0.1).'))
+				])
+			])
+		]);
+
+		// ==================== Global Settings ====================
+		s = m.section(form.TypedSection, 'general', _('General Settings'),
+			_('Global settings for the udpspeeder daemon.'));
+		s.anonymous = true;
+		s.addremove = false;
+
+		o = s.option(form.Flag, 'enabled', _('Enable Service'),
+			_('Master switch. If disabled, no tunnels will run.'));
+		o.default = '1';
+		o.rmempty = false;
+
+		// Add immediate service control when toggling
+		o.write = function (section_id, formvalue) {
+			var enabled = formvalue === '1';
+			var action = enabled ? 'start' : 'stop';
+
+			// Save the configuration first
+			uci.set('udpspeeder', section_id, 'enabled', formvalue);
+
+			// Then control the service immediately
+			callInitAction('udpspeeder', action).catch(function (err) {
+				console.error('Failed to ' + action + ' service:', err);
+			});
+
+			return formvalue;
+		};
+
+		o = s.option(form.ListValue, 'log_level', _('Log Level'));
+		o.value('1', _('Fatal'));
+		o.value('2', _('Error'));
+		o.value('3', _('Warning'));
+		o.value('4', _('Info (Default)'));
+		o.value('5', _('Debug'));
+		o.default = '4';
+
+		o = s.option(form.Value, 'report_interval', _('Report Interval (--report)'),
+			_('Seconds between send/recv reports written to the system log. ' +
+				'The status page derives FEC statistics from these reports. 0 disables reporting.'));
+		o.datatype = 'uinteger';
+		o.placeholder = '10';
+		o.default = '10';
+
+		// Shared tunnel options (server & client)
+		var addFecOptions = function (s) {
+			o = s.taboption('fec', form.Value, 'fec', _('FEC Parameters (-f)'),
+				_('x:y sends y redundant packets for every x packets. ' +
+					'Fine-grained form x1:y1,x2:y2,... is also accepted. Official default is 20:10.'));
+			o.placeholder = '20:10';
+			o.default = '20:10';
+			o.rmempty = false;
+			o.validate = function (section_id, value) {
+				return validateFec(value);
+			};
+			o.modalonly = true;
+
+			o = s.taboption('fec', form.ListValue, 'fec_mode', _('FEC Mode (--mode)'),
+				_('Must match on both sides. Official default is mode 0.'));
+			o.value('0', _('0 - Less bandwidth, no MTU problem (Default)'));
+			o.value('1', _('1 - Less latency, packets are not split'));
+			o.default = '0';
+			o.modalonly = true;
+
+			o = s.taboption('fec', form.Value, 'timeout', _('Timeout (--timeout)'),
+				_('How long a packet may be held in queue before doing FEC, in ms. Official default is 8.'));
+			o.datatype = 'uinteger';
+			o.placeholder = '8';
+			o.optional = true;
+			o.modalonly = true;
+
+			o = s.taboption('fec', form.Value, 'mtu', _('MTU (--mtu)'),
+				_('Mode 0 splits packets into segments smaller than this value; mode 1 only checks it. Official default is 1250.'));
+			o.datatype = 'range(100,1500)';
+			o.placeholder = '1250';
+			o.optional = true;
+			o.modalonly = true;
+
+			o = s.taboption('fec', form.Value, 'queue_len', _('Queue Length (--queue-len)'),
+				_('FEC queue length. Official default is 200.'));
+			o.datatype = 'range(1,10000)';
+			o.placeholder = '200';
+			o.optional = true;
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Value, 'jitter', _('Jitter (--jitter)'),
+				_('Simulated jitter: randomly delay the first packet of a group by 0~N ms (or min:max). Leave empty unless necessary.'));
+			o.placeholder = '0';
+			o.optional = true;
+			o.validate = function (section_id, value) {
+				return validateRange(value);
+			};
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Value, 'interval', _('Interval (--interval)'),
+				_('Scatter each FEC group over N ms (or min:max) to defend against burst packet loss. Leave empty unless necessary.'));
+			o.placeholder = '0';
+			o.optional = true;
+			o.validate = function (section_id, value) {
+				return validateRange(value);
+			};
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.Flag, 'disable_obscure', _('Disable Obscure (--disable-obscure)'),
+				_('Disable packet obscuring to save a bit of bandwidth and CPU. Must match on both sides.'));
+			o.default = '0';
+			o.modalonly = true;
+
+			o = s.taboption('advanced', form.DynamicList, 'extra_args', _('Extra Arguments'),
+				_('Additional command line arguments (e.g. --sock-buf 2048).'));
+			o.optional = true;
+			o.modalonly = true;
+		};
+
+		// ==================== Server Instances ====================
+		s = m.section(form.GridSection, 'server', _('Server Instances (-s)'),
+			_('<b>Server Mode:</b> OpenWrt listens for connections from remote clients.<br/>' +
+				'Traffic Flow: Internet -> WAN Port -> [FEC Decoded] -> Forward To IP:Port.'));
+		s.anonymous = false;
+		s.addremove = true;
+		s.sortable = true;
+		s.nodescriptions = true;
+		s.addbtntitle = _('Add Server');
+
+		// Override renderSectionAdd to add import/export buttons for servers
+		s.renderSectionAdd = function (extra_class) {
+			var el = form.GridSection.prototype.renderSectionAdd.apply(this, arguments);
+
+			var importBtn = E('button', {
+				'class': 'cbi-button cbi-button-positive',
+				'style': 'margin-left: 5px;',
+				'title': _('Import server configurations'),
+				'click': function (ev) {
+					ev.preventDefault();
+					ev.stopPropagation();
+					importConfig('server');
+				}
+			}, _('Import Servers'));
+
+			var exportBtn = E('button', {
+				'class': 'cbi-button cbi-button-apply',
+				'style': 'margin-left: 5px;',
+				'title': _('Export server configurations'),
+				'click': function (ev) {
+					ev.preventDefault();
+					ev.stopPropagation();
+					exportConfig('server');
+				}
+			}, _('Export Servers'));
+
+			// Insert buttons directly into the existing button container
+			var addBtn = el.querySelector('.cbi-button-add');
+			if (addBtn && addBtn.parentNode) {
+				addBtn.parentNode.appendChild(importBtn);
+				addBtn.parentNode.appendChild(exportBtn);
+			}
+
+			return el;
+		};
+
+		s.sectiontitle = function (section_id) {
+			var alias = uci.get('udpspeeder', section_id, 'alias');
+			return alias ? (alias + ' (Server)') : _('New Server');
+		};
+
+		s.handleAdd = function (ev) {
+			var section_id = uci.add('udpspeeder', 'server');
+			uci.set('udpspeeder', section_id, 'enabled', '1');
+			uci.set('udpspeeder', section_id, 'local_addr', '0.0.0.0');
+			uci.set('udpspeeder', section_id, 'fec', '20:10');
+			uci.set('udpspeeder', section_id, 'fec_mode', '0');
+			return this.renderMoreOptionsModal(section_id);
+		};
+
+		s.tab('basic', _('Basic Settings'));
+		s.tab('fec', _('FEC Settings'));
+		s.tab('advanced', _('Advanced Settings'));
+
+		// Table Columns
+		o = s.taboption('basic', form.Flag, 'enabled', _('Enable'));
+		o.default = '1';
+		o.editable = true;
+		o.width = '10%';
+		o.rmempty = false;
+
+		o = s.taboption('basic', form.Value, 'alias', _('Alias'));
+		o.placeholder = 'My Server';
+		o.rmempty = true;
+		o.modalonly = true;
+
+		o = s.taboption('basic', form.Value, 'local_port', _('WAN Listen Port'));
+		o.datatype = 'port';
+		o.rmempty = false;
+		o.width = '15%';
+
+		o = s.taboption('basic', form.Value, 'remote_addr', _('Forward To IP'));
+		o.datatype = 'host';
+		o.placeholder = '127.0.0.1';
+		o.rmempty = false;
+		o.width = '15%';
+
+		o = s.taboption('basic', form.Value, 'remote_port', _('Forward To Port'));
+		o.datatype = 'port';
+		o.rmempty = false;
+		o.width = '10%';
+
+		o = s.taboption('basic', form.DummyValue, '_fec', _('FEC'));
+		o.cfgvalue = function (section_id) {
+			return (uci.get('udpspeeder', section_id, 'fec') || '20:10') +
+				' / ' + _('mode') + ' ' + (uci.get('udpspeeder', section_id, 'fec_mode') || '0');
+		};
+		o.width = '15%';
+		o.editable = false;
+		o.modalonly = false;
+
+		// Modal Only Options
+		o = s.taboption('basic', form.Value, 'key', _('Password (-k)'),
+			_('Key for simple xor obscure. Must match client configuration exactly. Leave empty to disable.'));
+		o.password = true;
+		o.optional = true;
+		o.modalonly = true;
+
+		o = s.taboption('basic', form.Value, 'local_addr', _('WAN Listen Address (-l)'),
+			_('Address to listen on. Use 0.0.0.0 for all interfaces.'));
+		o.datatype = 'ipaddr';
+		o.default = '0.0.0.0';
+		o.modalonly = true;
+
+		addFecOptions(s);
+
+		// ==================== Client Instances ====================
+		s = m.section(form.GridSection, 'client', _('Client Instances (-c)'),
+			_('<b>Client Mode:</b> OpenWrt connects to a remote UDPspeeder server (VPS).<br/>' +
+				'Traffic Flow: App -> Local Port -> [FEC Encoded] -> Forward To VPS IP:Port.'));
+		s.anonymous = false;
+		s.addremove = true;
+		s.sortable = true;
+		s.nodescriptions = true;
+		s.addbtntitle = _('Add Client');
+
+		// Override renderSectionAdd to add import/export buttons for clients
+		s.renderSectionAdd = function (extra_class) {
+			var el = form.GridSection.prototype.renderSectionAdd.apply(this, arguments);
+
+			var importBtn = E('button', {
+				'class': 'cbi-button cbi-button-positive',
+				'style': 'margin-left: 5px;',
+				'title': _('Import client configurations'),
+				'click': function (ev) {
+					ev.preventDefault();
+					ev.stopPropagation();
+					importConfig('client');
+				}
+			}, _('Import Clients'));
+
+			var exportBtn = E('button', {
+				'class': 'cbi-button cbi-button-apply',
+				'style': 'margin-left: 5px;',
+				'title': _('Export client configurations'),
+				'click': function (ev) {
+					ev.preventDefault();
+					ev.stopPropagation();
+					exportConfig('client');
+				}
+			}, _('Export Clients'));
+
+			// Insert buttons directly into the existing button container
+			var addBtn = el.querySelector('.cbi-button-add');
+			if (addBtn && addBtn.parentNode) {
+				addBtn.parentNode.appendChild(importBtn);
+				addBtn.parentNode.appendChild(exportBtn);
+			}
+
+			return el;
+		};
+
+		s.sectiontitle = function (section_id) {
+			var alias = uci.get('udpspeeder', section_id, 'alias');
+			return alias ? (alias + ' (Client)') : _('New Client');
+		};
+
+		s.handleAdd = function (ev) {
+			var section_id = uci.add('udpspeeder', 'client');
+			uci.set('udpspeeder', section_id, 'enabled', '1');
+			uci.set('udpspeeder', section_id, 'local_addr', '127.0.0.1');
+			uci.set('udpspeeder', section_id, 'local_port', '3333');
+			uci.set('udpspeeder', section_id, 'fec', '20:10');
+			uci.set('udpspeeder', section_id, 'fec_mode', '0');
+			return this.renderMoreOptionsModal(section_id);
+		};
+
+		s.tab('basic', _('Basic Settings'));
+		s.tab('fec', _('FEC Settings'));
+		s.tab('advanced', _('Advanced Settings'));
+
+		// Table Columns
+		o = s.taboption('basic', form.Flag, 'enabled', _('Enable'));
+		o.default = '1';
+		o.editable = true;
+		o.width = '10%';
+		o.rmempty = false;
+
+		o = s.taboption('basic', form.Value, 'alias', _('Alias'));
+		o.placeholder = 'My Client';
+		o.rmempty = true;
+		o.modalonly = true;
+
+		o = s.taboption('basic', form.Value, 'remote_addr', _('VPS Address'));
+		o.datatype = 'host';
+		o.rmempty = false;
+		o.width = '15%';
+
+		o = s.taboption('basic', form.Value, 'remote_port', _('VPS Port'));
+		o.datatype = 'port';
+		o.rmempty = false;
+		o.width = '10%';
+
+		o = s.taboption('basic', form.Value, 'local_port', _('Local Listen Port'));
+		o.datatype = 'port';
+		o.rmempty = false;
+		o.width = '15%';
+
+		o = s.taboption('basic', form.DummyValue, '_fec', _('FEC'));
+		o.cfgvalue = function (section_id) {
+			return (uci.get('udpspeeder', section_id, 'fec') || '20:10') +
+				' / ' + _('mode') + ' ' + (uci.get('udpspeeder', section_id, 'fec_mode') || '0');
+		};
+		o.width = '15%';
+		o.editable = false;
+		o.modalonly = false;
+
+		// Modal Only Options
+		o = s.taboption('basic', form.Value, 'key', _('Password (-k)'),
+			_('Key for simple xor obscure. Must match server configuration exactly. Leave empty to disable.'));
+		o.password = true;
+		o.optional = true;
+		o.modalonly = true;
+
+		o = s.taboption('basic', form.Value, 'local_addr', _('Local Listen Address (-l)'),
+			_('IP to bind locally. Use 127.0.0.1 for local apps (WireGuard/OpenVPN).'));
+		o.datatype = 'ipaddr';
+		o.default = '127.0.0.1';
+		o.modalonly = true;
+
+		addFecOptions(s);
+
+		// ==================== Custom Button Handlers ====================
+		// Override "Save & Apply" to control service based on enabled flag
+		m.handleSaveApply = function (ev, mode) {
+			return this.save(function () {
+				ui.showModal(_('Applying Configuration'), [
+					E('p', { 'class': 'spinning' }, _('Saving configuration...'))
+				]);
+
+				// Get the enabled status from general section
+				var general = uci.sections('udpspeeder', 'general')[0];
+				var enabled = general ? uci.get('udpspeeder', general['.name'], 'enabled') : '0';
+				var action = enabled === '1' ? 'restart' : 'stop';
+
+				return callInitAction('udpspeeder', action).then(function () {
+					ui.hideModal();
+					ui.addNotification(null, E('p', _('Configuration applied successfully')), 'info');
+					setTimeout(function () { window.location.reload(); }, 1500);
+				}).catch(function (err) {
+					ui.hideModal();
+					ui.addNotification(null, E('p', _('Configuration saved but failed to control service: ') + (err.message || err)), 'error');
+				});
+			});
+		};
+
+		// ==================== Modify Reset Button After Render ====================
+		var originalRender = m.render.bind(m);
+		m.render = function () {
+			var mapEl = originalRender();
+
+			// Create the reset click handler function
+			var handleResetClick = function (ev) {
+				ev.preventDefault();
+				ev.stopPropagation();
+
+				ui.showModal(_('Reset Configuration'), [
+					E('p', {}, _('Are you sure you want to reset all UDPspeeder tunnel configurations?')),
+					E('p', {}, _('This will:')),
+					E('ul', {}, [
+						E('li', {}, _('Clear all server and client configurations')),
+						E('li', {}, _('Stop the udpspeeder service')),
+						E('li', {}, _('Reset general settings to defaults'))
+					]),
+					E('div', { 'class': 'right' }, [
+						E('button', {
+							'class': 'cbi-button cbi-button-neutral',
+							'click': ui.hideModal
+						}, _('Cancel')),
+						E('button', {
+							'class': 'cbi-button cbi-button-negative',
+							'click': function () {
+								ui.hideModal();
+								performReset();
+							}
+						}, _('Reset'))
+					])
+				]);
+			};
+
+			// Function to perform the actual reset
+			var performReset = function () {
+				ui.showModal(_('Resetting Configuration'), [
+					E('p', { 'class': 'spinning' }, _('Clearing all configurations...'))
+				]);
+
+				// Stop service first
+				callInitAction('udpspeeder', 'stop').then(function () {
+					['server', 'client'].forEach(function (type) {
+						uci.sections('udpspeeder', type).forEach(function (section) {
+							uci.remove('udpspeeder', section['.name']);
+						});
+					});
+
+					// Reset general section to defaults
+					var generalSections = uci.sections('udpspeeder', 'general');
+					if (generalSections.length > 0) {
+						var generalSection = generalSections[0]['.name'];
+						uci.set('udpspeeder', generalSection, 'enabled', '0');
+						uci.set('udpspeeder', generalSection, 'log_level', '4');
+						uci.set('udpspeeder', generalSection, 'report_interval', '10');
+					}
+
+					// Save changes
+					return uci.save();
+				}).then(function () {
+					ui.hideModal();
+					ui.addNotification(null, E('p', _('Configuration reset successfully')), 'info');
+					setTimeout(function () {
+						window.location.reload();
+					}, 1500);
+				}).catch(function (err) {
+					ui.hideModal();
+					ui.addNotification(null,
+						E('p', _('Failed to reset configuration: ') + (err.message || err)),
+						'error');
+				});
+			};
+
+			// Function to apply button modifications
+			var applyButtonMods = function () {
+				var resetBtn = document.querySelector('.cbi-button-reset');
+
+				if (resetBtn) {
+					// Force override onclick
+					resetBtn.onclick = handleResetClick;
+
+					// Remove color classes first
+					resetBtn.classList.remove('cbi-button-positive', 'cbi-button-negative', 'cbi-button-neutral');
+
+					// Set text and style for reset button
+					resetBtn.textContent = _('Reset');
+					resetBtn.classList.add('cbi-button-neutral');
+					resetBtn.title = _('Reset all configurations to defaults');
+
+					return true;
+				}
+				return false;
+			};
+
+			// Apply immediately after render
+			requestAnimationFrame(function () {
+				var attempts = 0;
+				var maxAttempts = 30;
+
+				var tryApply = function () {
+					if (applyButtonMods()) {
+						// Success - now set up periodic check (but reduce frequency)
+						setInterval(applyButtonMods, 1000);
+					} else if (attempts < maxAttempts) {
+						attempts++;
+						requestAnimationFrame(tryApply);
+					}
+				};
+
+				tryApply();
+			});
+
+			return mapEl;
+		};
+
+		// ==================== Import/Export Functions ====================
+
+		// Default values applied to imported sections with missing fields
+		var importDefaults = {
+			server: { enabled: '1', local_addr: '0.0.0.0', fec: '20:10', fec_mode: '0' },
+			client: { enabled: '1', local_addr: '127.0.0.1', fec: '20:10', fec_mode: '0' }
+		};
+
+		// Export server or client configurations
+		var exportConfig = function (type) {
+			var sections = uci.sections('udpspeeder', type);
+			if (sections.length === 0) {
+				ui.addNotification(null, E('p', type === 'server'
+					? _('No server configurations to export')
+					: _('No client configurations to export')), 'warning');
+				return;
+			}
+
+			var exportData = {
+				type: type,
+				version: '1.0',
+				timestamp: new Date().toISOString(),
+				configs: sections.map(function (section) {
+					var config = {};
+					for (var key in section) {
+						if (key !== '.anonymous' && key !== '.index' && key !== '.type') {
+							config[key] = section[key];
+						}
+					}
+					return config;
+				})
+			};
+
+			var blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+			var url = URL.createObjectURL(blob);
+			var a = document.createElement('a');
+			a.href = url;
+			a.download = 'udpspeeder_' + type + 's_' + new Date().toISOString().slice(0, 19).replace(/:/g, '-') + '.json';
+			a.click();
+			URL.revokeObjectURL(url);
+
+			ui.addNotification(null, E('p', type === 'server'
+				? _('Server configurations exported successfully')
+				: _('Client configurations exported successfully')), 'info');
+		};
+
+		// Import server or client configurations
+		var importConfig = function (type) {
+			var input = document.createElement('input');
+			input.type = 'file';
+			input.accept = '.json';
+			input.onchange = function (e) {
+				var file = e.target.files[0];
+				if (!file) return;
+
+				var reader = new FileReader();
+				reader.onload = function (e) {
+					try {
+						var data = JSON.parse(e.target.result);
+						validateAndImport(type, data);
+					} catch (err) {
+						ui.addNotification(null, E('p', _('Invalid JSON file: ') + err.message), 'error');
+					}
+				};
+				reader.readAsText(file);
+			};
+			input.click();
+		};
+
+		// Validate and import server/client data
+		var validateAndImport = function (type, data) {
+			if (!data || data.type !== type || !Array.isArray(data.configs)) {
+				ui.addNotification(null, E('p', type === 'server'
+					? _('Invalid server configuration file format')
+					: _('Invalid client configuration file format')), 'error');
+				return;
+			}
+
+			var validConfigs = [];
+			var errors = [];
+
+			data.configs.forEach(function (config, index) {
+				var error = validateTunnelConfig(type, config, index + 1);
+				if (error) {
+					errors.push(error);
+				} else {
+					validConfigs.push(config);
+				}
+			});
+
+			if (errors.length > 0) {
+				ui.showModal(_('Import Validation Errors'), [
+					E('p', {}, _('The following errors were found:')),
+					E('ul', {}, errors.map(function (err) { return E('li', {}, err); })),
+					E('div', { 'class': 'right' }, [
+						E('button', { 'class': 'cbi-button cbi-button-neutral', 'click': ui.hideModal }, _('Cancel')),
+						E('button', {
+							'class': 'cbi-button cbi-button-positive',
+							'click': function () {
+								ui.hideModal();
+								if (validConfigs.length > 0) {
+									importValidConfigs(type, validConfigs);
+								}
+							}
+						}, _('Import Valid Configs') + ' (' + validConfigs.length + ')')
+					])
+				]);
+			} else {
+				importValidConfigs(type, validConfigs);
+			}
+		};
+
+		// Validate individual server/client config
+		var validateTunnelConfig = function (type, config, index) {
+			var isPort = function (v) {
+				return v && /^\d+$/.test(v) && parseInt(v) >= 1 && parseInt(v) <= 65535;
+			};
+
+			if (!isPort(config.local_port)) {
+				return _('Config') + ' ' + index + ': ' + (type === 'server'
+					? _('Invalid WAN Listen Port') : _('Invalid Local Listen Port'));
+			}
+			if (!config.remote_addr || !/^[\w\.:-]+$/.test(config.remote_addr)) {
+				return _('Config') + ' ' + index + ': ' + (type === 'server'
+					? _('Invalid Forward To IP') : _('Invalid VPS Address'));
+			}
+			if (!isPort(config.remote_port)) {
+				return _('Config') + ' ' + index + ': ' + (type === 'server'
+					? _('Invalid Forward To Port') : _('Invalid VPS Port'));
+			}
+			if (config.fec && validateFec(config.fec) !== true) {
+				return _('Config') + ' ' + index + ': ' + _('Invalid FEC Parameters');
+			}
+			return null;
+		};
+
+		// Import valid server/client configurations
+		var importValidConfigs = function (type, configs) {
+			var imported = 0;
+			configs.forEach(function (config) {
+				var section_id = uci.add('udpspeeder', type);
+				for (var key in config) {
+					if (key !== '.name') {
+						uci.set('udpspeeder', section_id, key, config[key]);
+					}
+				}
+				// Set defaults for missing fields
+				var defaults = importDefaults[type];
+				for (var opt in defaults) {
+					if (!config[opt]) uci.set('udpspeeder', section_id, opt, defaults[opt]);
+				}
+				imported++;
+			});
+
+			// Save configurations to system
+			uci.save().then(function () {
+				ui.addNotification(null, E('p', _('Successfully imported') + ' ' + imported + ' ' +
+					(type === 'server' ? _('server configurations') : _('client configurations'))), 'info');
+				setTimeout(function () { window.location.reload(); }, 1500);
+			}).catch(function (err) {
+				ui.addNotification(null, E('p', _('Failed to save imported configurations: ') + (err.message || err)), 'error');
+			});
+		};
+
+		// ==================== Final Render ====================
+		return m.render();
+	}
+});
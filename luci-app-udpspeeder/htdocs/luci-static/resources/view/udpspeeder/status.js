@@ -0,0 +1,590 @@
+/**
+ * Copyright (C) 2024 iHub-2020
+ *
+ * luci-app-udpspeeder - Status Page
+ * Displays real-time tunnel status, FEC statistics and diagnostics
+ *
+ * FEC statistics are derived from the periodic "[report]" lines that
+ * udpspeeder writes when started with --report (see General Settings).
+ *
+ * @module luci-app-udpspeeder/status
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+'use strict';
+'require view';
+'require fs';
+'require ui';
+'require uci';
+'require rpc';
+'require poll';
+
+var lastClearTime = null;
+var callServiceList = rpc.declare({
+	object: 'service',
+	method: 'list',
+	params: ['name'],
+	expect: { '': {} }
+});
+
+/*
+ * One direction of a report line, e.g.
+ *   client-->server:(original:120 pkt;9600 byte) (fec:185 pkt,15300 byte)
+ * "original" counts packets on the plain side, "fec" on the encoded side.
+ */
+var REPORT_DIRECTION_RE = /(client|server)-->(client|server):\s*\(original:\s*(\d+)\s*pkt[;,]\s*(\d+)\s*byte\)\s*\(fec:\s*(\d+)\s*pkt[;,]\s*(\d+)\s*byte\)/g;
+
+/**
+ * Parse a "x:y[,x:y...]" FEC string into the redundancy factor (x+y)/x
+ * of its first group. Returns null when the value cannot be parsed.
+ */
+function parseFecRatio(fec) {
+	var m = String(fec || '20:10').match(/^(\d+):(\d+)/);
+	if (!m || +m[1] <= 0)
+		return null;
+	return { x: +m[1], y: +m[2], factor: (+m[1] + +m[2]) / +m[1] };
+}
+
+function formatPercent(value) {
+	return (value * 100).toFixed(1) + '%';
+}
+
+return view.extend({
+	title: _('udpspeeder Status'),
+
+	pollInterval: 5,
+	logPollFn: null,
+
+	cleanText: function (str) {
+		if (!str) return '';
+		return String(str).replace(/\x1B[[0-9;]*[a-zA-Z]/g, '').trim();
+	},
+
+	getServiceStatus: function () {
+		return L.resolveDefault(callServiceList('udpspeeder'), {}).then(function (res) {
+			var instances = {};
+			var isRunning = false;
+
+			if (res && res.udpspeeder && res.udpspeeder.instances) {
+				for (var key in res.udpspeeder.instances) {
+					var inst = res.udpspeeder.instances[key];
+					if (inst && inst.running) {
+						isRunning = true;
+						instances[key] = {
+							pid: inst.pid,
+							command: Array.isArray(inst.command) ? inst.command.join(' ') : ''
+						};
+					}
+				}
+			}
+			return { running: isRunning, instances: instances };
+		});
+	},
+
+	getTunnelConfigs: function () {
+		return uci.load('udpspeeder').then(function () {
+			var tunnels = [];
+			var general = uci.sections('udpspeeder', 'general')[0] || {};
+
+			uci.sections('udpspeeder').forEach(function (s) {
+				if (s['.type'] !== 'server' && s['.type'] !== 'client') return;
+
+				var mode = s['.type'];
+				var localIP = s.local_addr || (mode === 'server' ? '0.0.0.0' : '127.0.0.1');
+
+				tunnels.push({
+					id: s['.name'],
+					alias: s.alias || s['.name'],
+					mode: mode,
+					disabled: s.enabled === '0' || s.disabled === '1',
+					local: localIP + ':' + (s.local_port || '?'),
+					remote: (s.remote_addr || '?') + ':' + (s.remote_port || '?'),
+					fec: s.fec || '20:10',
+					fec_mode: s.fec_mode || '0'
+				});
+			});
+
+			return {
+				tunnels: tunnels,
+				reportInterval: general.report_interval != null ? +general.report_interval : 10
+			};
+		});
+	},
+
+	getRecentLogs: function () {
+		var self = this;
+		return fs.exec('/sbin/logread', ['-e', 'udpspeeder']).then(function (res) {
+			var logContent = res.stdout || '';
+			if (!logContent) return [];
+			var lines = logContent.trim().split('\n');
+
+			// 如果点击过清理，只显示之后的日志
+			if (lastClearTime) {
+				lines = lines.filter(function (line) {
+					var match = line.match(/(\w{3}\s+\w{3}\s+\d+\s+\d+:\d+:\d+\s+\d{4})/);
+					if (match) {
+						var logTime = new Date(match[1]);
+						return logTime > lastClearTime;
+					}
+					return false;
+				});
+
+				// 在过滤后的日志开头添加高亮的清理标记
+				var clearMarker = _('=== Logs Cleared (%s) ===').format(lastClearTime.toLocaleString());
+				lines.unshift(clearMarker);
+			}
+
+			return lines.slice(-150).map(self.cleanText).reverse();
+		}).catch(function () {
+			return [];
+		});
+	},
+
+	/**
+	 * Collect the latest cumulative counters per process from the
+	 * "[report]" lines in the system log, keyed by PID.
+	 *
+	 * A server reports every client connection separately, so counters
+	 * are kept per connection and summed afterwards.
+	 */
+	getFecReports: function () {
+		return fs.exec('/sbin/logread', ['-e', '\\[report\\]']).then(function (res) {
+			var reports = {};
+
+			(res.stdout || '').split('\n').forEach(function (line) {
+				if (line.indexOf('udpspeeder') === -1) return;
+
+				var pidMatch = line.match(/\[(\d+)\]:/);
+				if (!pidMatch) return;
+
+				var idx = line.indexOf('[report]');
+				var body = line.substring(idx + 8);
+				var conn = (body.match(/^\s*(\[[^\]]*\])/) || [])[1] || '';
+				var timeMatch = line.match(/(\w{3}\s+\w{3}\s+\d+\s+\d+:\d+:\d+\s+\d{4})/);
+				var dirs = {};
+				var m;
+
+				REPORT_DIRECTION_RE.lastIndex = 0;
+				while ((m = REPORT_DIRECTION_RE.exec(body)) !== null) {
+					dirs[m[1] + '>' + m[2]] = {
+						origPkt: +m[3], origByte: +m[4],
+						fecPkt: +m[5], fecByte: +m[6]
+					};
+				}
+
+				if (!dirs['client>server'] || !dirs['server>client']) return;
+
+				var pid = pidMatch[1];
+				reports[pid] = reports[pid] || { conns: {}, time: null };
+				reports[pid].conns[conn] = dirs;
+				reports[pid].time = timeMatch ? new Date(timeMatch[1]) : new Date();
+			});
+
+			return reports;
+		}).catch(function () {
+			return {};
+		});
+	},
+
+	/**
+	 * Turn raw report counters into the figures shown in the FEC table.
+	 *
+	 * Loss is estimated from bytes rather than packets because mode 0
+	 * merges and splits packets, so original and FEC packet counts are
+	 * not comparable. Every x data bytes travel with y parity bytes.
+	 */
+	computeFecStats: function (tunnel, report) {
+		var tx = tunnel.mode === 'client' ? 'client>server' : 'server>client';
+		var rx = tunnel.mode === 'client' ? 'server>client' : 'client>server';
+		var ratio = parseFecRatio(tunnel.fec);
+		var sum = { txOrigPkt: 0, txOrigByte: 0, txFecPkt: 0, txFecByte: 0,
+			rxOrigPkt: 0, rxOrigByte: 0, rxFecPkt: 0, rxFecByte: 0 };
+
+		for (var conn in report.conns) {
+			var d = report.conns[conn];
+			sum.txOrigPkt += d[tx].origPkt;
+			sum.txOrigByte += d[tx].origByte;
+			sum.txFecPkt += d[tx].fecPkt;
+			sum.txFecByte += d[tx].fecByte;
+			sum.rxOrigPkt += d[rx].origPkt;
+			sum.rxOrigByte += d[rx].origByte;
+			sum.rxFecPkt += d[rx].fecPkt;
+			sum.rxFecByte += d[rx].fecByte;
+		}
+
+		var stats = {
+			packetsOut: sum.txFecPkt,
+			packetsIn: sum.rxFecPkt,
+			delivered: sum.rxOrigPkt,
+			overhead: sum.txOrigByte > 0 ? sum.txFecByte / sum.txOrigByte - 1 : null,
+			loss: null,
+			recovered: null,
+			redundancy: ratio ? ratio.y / (ratio.x + ratio.y) : null,
+			time: report.time
+		};
+
+		if (ratio && sum.rxOrigByte > 0) {
+			var expected = sum.rxOrigByte * ratio.factor;
+			stats.loss = Math.min(Math.max(1 - sum.rxFecByte / expected, 0), 1);
+
+			if (stats.loss < 1)
+				stats.recovered = Math.round(sum.rxFecPkt * stats.loss / (1 - stats.loss) * ratio.x / (ratio.x + ratio.y));
+		}
+
+		return stats;
+	},
+
+	getMD5: function () {
+		return fs.exec('/usr/bin/md5sum', ['/usr/bin/udpspeeder']).then(function (res) {
+			var match = (res.stdout || '').trim().match(/^([a-f0-9]{32})/i);
+			if (match && match[1]) {
+				return {
+					installed: true,
+					md5: match[1].substring(0, 10)
+				};
+			}
+			throw new Error('MD5 parse failed');
+		}).catch(function () {
+			return { installed: false, md5: null };
+		});
+	},
+
+	fetchStatusData: function () {
+		return Promise.all([
+			this.getServiceStatus(),
+			this.getTunnelConfigs(),
+			this.getMD5(),
+			this.getFecReports()
+		]);
+	},
+
+	load: function () {
+		return Promise.all([
+			this.fetchStatusData(),
+			this.getRecentLogs()
+		]);
+	},
+
+	render: function (data) {
+		var self = this;
+		var statusData = data[0];
+		var initialLogs = data[1];
+
+		var view = E('div', { 'class': 'cbi-map' }, [
+			E('h2', {}, _('udpspeeder Status')),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('div', { 'style': 'display: flex; align-items: center; padding: 10px 0;' }, [
+					E('div', { 'style': 'width: 200px; font-weight: bold;' }, _('Service Status:')),
+					E('div', { 'id': 'status-indicator', 'style': 'font-weight: bold;' }, _('Loading...'))
+				])
+			]),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('h3', {}, _('Tunnel Status')),
+				E('table', { 'class': 'table cbi-section-table', 'id': 'tunnel-table' }, [
+					E('tr', { 'class': 'tr table-titles' }, [
+						E('th', { 'class': 'th' }, _('Name')),
+						E('th', { 'class': 'th' }, _('Mode')),
+						E('th', { 'class': 'th' }, _('Status')),
+						E('th', { 'class': 'th' }, _('Local')),
+						E('th', { 'class': 'th' }, _('Remote')),
+						E('th', { 'class': 'th' }, _('FEC')),
+						E('th', { 'class': 'th' }, _('PID'))
+					])
+				])
+			]),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('h3', {}, _('FEC Statistics')),
+				E('div', { 'class': 'cbi-section-descr' },
+					_('Counters since the instance started. Loss rate and recovered packets are estimated from the configured FEC ratio; compare the loss rate with the redundancy to tell whether the ratio is too weak or too aggressive.')),
+				E('table', { 'class': 'table cbi-section-table', 'id': 'fec-table' }, [
+					E('tr', { 'class': 'tr table-titles' }, [
+						E('th', { 'class': 'th' }, _('Name')),
+						E('th', { 'class': 'th' }, _('Packets Out')),
+						E('th', { 'class': 'th' }, _('Packets In')),
+						E('th', { 'class': 'th' }, _('Delivered')),
+						E('th', { 'class': 'th' }, _('FEC Recovered (est.)')),
+						E('th', { 'class': 'th' }, _('Loss Rate (est.)')),
+						E('th', { 'class': 'th' }, _('Redundancy')),
+						E('th', { 'class': 'th' }, _('Last Report'))
+					])
+				])
+			]),
+
+			E('div', { 'class': 'cbi-section' }, [
+				E('h3', {}, _('System Diagnostics')),
+				E('div', { 'style': 'display: grid; grid-template-columns: 200px 1fr; gap: 10px;' }, [
+					E('div', { 'style': 'font-weight: bold;' }, _('Core Binary:')),
+					E('div', { 'id': 'diag-binary' }, _('Checking...')),
+					E('div', { 'style': 'font-weight: bold;' }, _('Statistics Reports:')),
+					E('div', { 'id': 'diag-report' }, _('Checking...'))
+				])
+			]),
+
+			E('div', { 'class': 'cbi-section', 'style': 'margin-top: 20px;' }, [
+				E('h3', { 'style': 'display:flex; justify-content:space-between; align-items:center;' }, [
+					_('Recent Logs'),
+					E('span', { 'id': 'log-status', 'style': 'font-size: 0.85em;' }, '')
+				]),
+				E('textarea', {
+					'style': 'width: 100%; height: 500px; font-family: monospace; font-size: 12px; background: #1e1e1e; color: #ddd; border: 1px solid #444; padding: 10px; border-radius: 3px;',
+					'readonly': 'readonly',
+					'wrap': 'off',
+					'id': 'syslog-textarea'
+				}),
+				E('div', { 'style': 'margin-top: 5px; text-align: right;' }, [
+					E('button', {
+						'class': 'cbi-button cbi-button-negative',
+						'id': 'log-stop-btn',
+						'click': function () {
+							if (self.logPollFn) {
+								poll.remove(self.logPollFn);
+								self.logPollFn = null;
+							}
+							var logStatus = view.querySelector('#log-status');
+							if (logStatus) logStatus.textContent = _('Auto-refresh stopped');
+						}
+					}, _('Stop Refresh')),
+					' ',
+					E('button', {
+						'class': 'cbi-button cbi-button-positive',
+						'id': 'log-start-btn',
+						'click': function () {
+							if (!self.logPollFn) {
+								self.logPollFn = poll.add(function () {
+									return self.getRecentLogs().then(function (logs) {
+										self.updateLogView(view, logs);
+									});
+								}, 10);
+							}
+						}
+					}, _('Start Refresh')),
+					' ',
+					E('button', {
+						'class': 'cbi-button cbi-button-reset',
+						'click': function () {
+							lastClearTime = new Date();
+							self.getRecentLogs().then(function (logs) {
+								self.updateLogView(view, logs);
+							});
+						}
+					}, _('Clear Logs')),
+					' ',
+					E('button', {
+						'class': 'cbi-button cbi-button-apply',
+						'click': function () {
+							var ta = document.getElementById('syslog-textarea');
+							if (ta && ta.value) {
+								var blob = new Blob([ta.value], { type: 'text/plain' });
+								var url = URL.createObjectURL(blob);
+								var a = document.createElement('a');
+								a.href = url;
+								a.download = 'udpspeeder_log_' + new Date().toISOString().slice(0, 19).replace(/:/g, '-') + '.txt';
+								a.click();
+								URL.revokeObjectURL(url);
+							}
+						}
+					}, _('Download Logs')),
+					' ',
+					E('button', {
+						'class': 'cbi-button cbi-button-neutral',
+						'click': function () {
+							var ta = document.getElementById('syslog-textarea');
+							if (ta) ta.scrollTop = 0;
+						}
+					}, _('Scroll to Top'))
+				])
+			])
+		]);
+
+		this.updateStatusView(view, statusData);
+		this.updateLogView(view, initialLogs);
+
+		this.logPollFn = poll.add(function () {
+			return self.getRecentLogs().then(function (logs) {
+				self.updateLogView(view, logs);
+			});
+		}, 10);
+
+		poll.add(function () {
+			return self.fetchStatusData().then(function (newData) {
+				self.updateStatusView(view, newData);
+			});
+		}, this.pollInterval);
+
+		return view;
+	},
+
+	updateLogView: function (view, logs) {
+		var logTa = view.querySelector('#syslog-textarea');
+		var logStatus = view.querySelector('#log-status');
+
+		if (logTa) {
+			logTa.value = logs.length > 0 ? logs.join('\n') : _('No logs found.');
+			logTa.scrollTop = 0;
+		}
+
+		if (logStatus) {
+			var d = new Date();
+			logStatus.textContent = _('Last updated: ') + d.toLocaleTimeString();
+			logStatus.style.color = 'inherit';
+		}
+	},
+
+	updateStatusView: function (view, data) {
+		var self = this;
+		var status = data[0];
+		var tunnels = data[1].tunnels;
+		var reportInterval = data[1].reportInterval;
+		var md5Info = data[2];
+		var reports = data[3];
+
+		var statusEl = view.querySelector('#status-indicator');
+		if (statusEl) {
+			var activeCount = Object.keys(status.instances).length;
+			if (status.running) {
+				statusEl.style.color = '#5cb85c';
+				statusEl.textContent = _('Running') + ' (' + _('%d tunnels active').format(activeCount) + ')';
+			} else {
+				statusEl.style.color = '#d9534f';
+				statusEl.textContent = _('Stopped');
+			}
+		}
+
+		var addCell = function (row, text, color) {
+			var c = row.insertCell(-1);
+			c.className = 'td';
+			if (color) c.style.color = color;
+			if (color) c.style.fontWeight = 'bold';
+			c.textContent = text;
+			return c;
+		};
+
+		var addEmptyRow = function (table, colSpan, text) {
+			var row = table.insertRow(-1);
+			row.className = 'tr';
+			var cell = row.insertCell(0);
+			cell.className = 'td';
+			cell.colSpan = colSpan;
+			cell.style.textAlign = 'center';
+			cell.style.padding = '20px';
+			cell.appendChild(E('em', {}, text));
+		};
+
+		var table = view.querySelector('#tunnel-table');
+		if (table) {
+			while (table.rows.length > 1) { table.deleteRow(1); }
+
+			if (tunnels.length === 0) {
+				addEmptyRow(table, 7, _('No tunnels configured.'));
+			} else {
+				tunnels.forEach(function (t) {
+					var instance = status.instances[t.id];
+
+					var rowColor = '#d9534f';
+					var statusLabel = _('Stopped');
+					if (t.disabled) {
+						rowColor = '#999';
+						statusLabel = _('Disabled');
+					} else if (instance) {
+						rowColor = '#5cb85c';
+						statusLabel = _('Running');
+					}
+
+					var row = table.insertRow(-1);
+					row.className = 'tr';
+
+					addCell(row, t.alias);
+					addCell(row, t.mode === 'server' ? _('Server') : _('Client'));
+					addCell(row, statusLabel, rowColor);
+					addCell(row, t.local);
+					addCell(row, t.remote);
+					addCell(row, t.fec + ' / ' + _('mode') + ' ' + t.fec_mode);
+					addCell(row, instance ? instance.pid : '-');
+				});
+			}
+		}
+
+		var fecTable = view.querySelector('#fec-table');
+		if (fecTable) {
+			while (fecTable.rows.length > 1) { fecTable.deleteRow(1); }
+
+			var running = tunnels.filter(function (t) { return !!status.instances[t.id]; });
+
+			if (running.length === 0) {
+				addEmptyRow(fecTable, 8, _('No running tunnels.'));
+			} else {
+				running.forEach(function (t) {
+					var report = reports[String(status.instances[t.id].pid)];
+					var row = fecTable.insertRow(-1);
+					row.className = 'tr';
+
+					addCell(row, t.alias);
+
+					if (!report) {
+						var c = addCell(row, _('Waiting for the first report...'));
+						c.colSpan = 7;
+						c.style.color = '#999';
+						return;
+					}
+
+					var st = self.computeFecStats(t, report);
+
+					/* Loss close to the redundancy leaves no margin for bursts */
+					var lossColor = null;
+					if (st.loss != null && st.redundancy != null) {
+						if (st.loss >= st.redundancy * 0.5)
+							lossColor = '#d9534f';
+						else if (st.loss >= st.redundancy * 0.25)
+							lossColor = '#f0ad4e';
+						else
+							lossColor = '#5cb85c';
+					}
+
+					var redundancyText = st.redundancy != null ? formatPercent(st.redundancy) : '-';
+					if (st.overhead != null)
+						redundancyText += ' (' + _('overhead') + ' ' + formatPercent(st.overhead) + ')';
+
+					addCell(row, String(st.packetsOut));
+					addCell(row, String(st.packetsIn));
+					addCell(row, String(st.delivered));
+					addCell(row, st.recovered != null ? String(st.recovered) : '-');
+
+					var lossCell = addCell(row, st.loss != null ? formatPercent(st.loss) : '-', lossColor);
+					if (lossColor === '#d9534f')
+						lossCell.title = _('Loss is high compared to the redundancy, consider raising y.');
+					else if (lossColor === '#5cb85c' && st.loss < st.redundancy * 0.05)
+						lossCell.title = _('Loss is far below the redundancy, y could be lowered to save bandwidth.');
+
+					addCell(row, redundancyText);
+					addCell(row, st.time ? st.time.toLocaleTimeString() : '-');
+				});
+			}
+		}
+
+		var diagBin = view.querySelector('#diag-binary');
+		if (diagBin) {
+			if (md5Info.installed) {
+				diagBin.innerHTML = '<span style="color:#5cb85c">✓ ' + _('Verified') + ' (' + md5Info.md5 + ')</span>';
+			} else {
+				diagBin.innerHTML = '<span style="color:#d9534f">✗ ' + _('Not Found') + '</span>';
+			}
+		}
+
+		var diagReport = view.querySelector('#diag-report');
+		if (diagReport) {
+			if (reportInterval > 0) {
+				diagReport.innerHTML = '<span style="color:#5cb85c">✓ ' + _('Enabled, every %d seconds').format(reportInterval) + '</span>';
+			} else {
+				diagReport.innerHTML = '<span style="color:#f0ad4e">⚠ ' + _('Disabled, set a Report Interval in the configuration to collect FEC statistics') + '</span>';
+			}
+		}
+	},
+
+	handleSave: null,
+	handleSaveApply: null,
+	handleReset: null
+});